@@ -0,0 +1,735 @@
+#!/usr/bin/env node
+
+/**
+ * JS Symbolicate - Source map resolution for js_errors stacks
+ *
+ * Reads js_errors log entries, resolves every stack frame of a minified
+ * bundle against local .map files and prints (or writes back) the original
+ * file, line and function. Source maps stay on the server - they never need
+ * to be deployed publicly.
+ *
+ * USAGE:
+ * ```bash
+ * # Print symbolicated stacks
+ * node bin/js-symbolicate.js --maps ./sourcemaps storage/logs/js_errors-2026-01-27.log
+ *
+ * # Rewrite a past day's log file (minified stack kept in context.stack_minified,
+ * # context.frames rewritten too)
+ * node bin/js-symbolicate.js --maps ./sourcemaps --in-place storage/logs/js_errors-2026-01-26.log
+ *
+ * # Read from stdin, force a release
+ * tail -n 100 js_errors.log | node bin/js-symbolicate.js --maps ./sourcemaps --release 1.4.2 -
+ * ```
+ *
+ * OPTIONS:
+ * - --maps <dir>      Source map directory (required)
+ * - --release <name>  Release to use when an entry has no context.release
+ * - --in-place        Rewrite the input file instead of printing. The file is
+ *                     replaced through a temporary file in the same directory
+ *                     (a crash never truncates it), and today's daily file is
+ *                     refused: it is still appended to, use --output instead
+ * - --output <file>   Write the rewritten log to another file
+ *
+ * SOURCE MAP LAYOUT:
+ * Maps are tagged by release: .map files anywhere below <maps>/<release>/,
+ * matching the `release` sent by error-handler.js (window.PSR3_RELEASE).
+ * Entries without a release use the .map files directly under <maps>. A frame in
+ * https://cdn.example.com/js/app.3f2a9c1b.js is resolved with app.3f2a9c1b.js.map.
+ *
+ * SUPPORTED LOG FORMATS:
+ * - JsonFormatter (one JSON object per line, stack in context.stack)
+ * - LineFormatter SIMPLE_FORMAT ([datetime] channel.LEVEL: message {context} {extra})
+ * - DetailedLineFormatter (the default): stack and frames on the entry's
+ *   js={...} line, release from its key=value line
+ *
+ * A warning is printed when the input has no entry with a stack (e.g. a
+ * custom formatter that truncates context values).
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// Stack Parsing (same formats as public/js/error-handler.js)
+// ============================================================================
+
+// V8: "    at fn (file:1:2)", "    at file:1:2"
+const V8_FRAME = /^(\s*at\s+)(?:(.+?)\s+\()?(.+?):(\d+):(\d+)\)?\s*$/;
+
+// Firefox/Safari: "fn@file:1:2", "@file:1:2"
+const GECKO_FRAME = /^(\s*)(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+/**
+ * Parse one stack line into {function, file, line, column} (null if not a frame)
+ */
+function parseFrame(line) {
+    const match = V8_FRAME.exec(line) || GECKO_FRAME.exec(line);
+    if (!match) {
+        return null;
+    }
+
+    return {
+        function: match[2] || null,
+        file: match[3],
+        line: parseInt(match[4], 10),
+        column: parseInt(match[5], 10),
+    };
+}
+
+// ============================================================================
+// Source Map Decoding (Source Map Revision 3, base64 VLQ mappings)
+// ============================================================================
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = {};
+for (let i = 0; i < BASE64.length; i++) {
+    BASE64_VALUES[BASE64[i]] = i;
+}
+
+/**
+ * Decode one mappings segment ("AAgBC") into its integer fields
+ */
+function decodeVlq(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of segment) {
+        const digit = BASE64_VALUES[char];
+        if (digit === undefined) {
+            throw new Error(`Invalid base64 VLQ character "${char}"`);
+        }
+
+        value += (digit & 31) << shift;
+
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parsed source map with position lookup
+ */
+class SourceMap {
+    /**
+     * @param {object} raw Parsed .map JSON
+     */
+    constructor(raw) {
+        if (raw.sections) {
+            throw new Error('Indexed source maps (sections) are not supported');
+        }
+
+        const sourceRoot = raw.sourceRoot ? raw.sourceRoot.replace(/\/?$/, '/') : '';
+        this.sources = (raw.sources || []).map((source) => sourceRoot + source);
+        this.names = raw.names || [];
+        this.lines = this.decodeMappings(raw.mappings || '');
+    }
+
+    /**
+     * Decode mappings into per-generated-line arrays of
+     * [generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex]
+     * (all 0-based, sorted by generated column)
+     */
+    decodeMappings(mappings) {
+        const lines = [];
+        let sourceIndex = 0;
+        let sourceLine = 0;
+        let sourceColumn = 0;
+        let nameIndex = 0;
+
+        for (const lineMappings of mappings.split(';')) {
+            const segments = [];
+            let generatedColumn = 0;
+
+            for (const segment of lineMappings.split(',')) {
+                if (segment === '') {
+                    continue;
+                }
+
+                const fields = decodeVlq(segment);
+                generatedColumn += fields[0];
+
+                if (fields.length < 4) {
+                    // Generated code with no original source
+                    continue;
+                }
+
+                sourceIndex += fields[1];
+                sourceLine += fields[2];
+                sourceColumn += fields[3];
+
+                const mapped = [generatedColumn, sourceIndex, sourceLine, sourceColumn, null];
+                if (fields.length >= 5) {
+                    nameIndex += fields[4];
+                    mapped[4] = nameIndex;
+                }
+
+                segments.push(mapped);
+            }
+
+            segments.sort((a, b) => a[0] - b[0]);
+            lines.push(segments);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Original position for a 1-based generated line/column
+     *
+     * @returns {{source: string, line: number, column: number, name: string|null}|null}
+     */
+    originalPositionFor(line, column) {
+        const segments = this.lines[line - 1];
+        if (!segments || segments.length === 0) {
+            return null;
+        }
+
+        // Last segment starting at or before the column (binary search)
+        const target = column - 1;
+        let low = 0;
+        let high = segments.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (segments[mid][0] <= target) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        if (found === -1) {
+            return null;
+        }
+
+        const segment = segments[found];
+
+        return {
+            source: this.sources[segment[1]],
+            line: segment[2] + 1,
+            column: segment[3] + 1,
+            name: segment[4] !== null ? this.names[segment[4]] : null,
+        };
+    }
+}
+
+// ============================================================================
+// Source Map Store (per-release index, maps loaded lazily)
+// ============================================================================
+
+class SourceMapStore {
+    /**
+     * @param {string} mapsDir Root source map directory
+     */
+    constructor(mapsDir) {
+        this.mapsDir = mapsDir;
+        this.indexes = new Map(); // release -> Map(bundle basename -> [map paths])
+        this.maps = new Map(); // map path -> SourceMap|null
+    }
+
+    /**
+     * Resolve a frame for a release; returns null when no map covers it
+     */
+    resolve(release, frame) {
+        const mapPath = this.findMap(release, frame.file);
+        if (mapPath === null) {
+            return null;
+        }
+
+        const map = this.load(mapPath);
+
+        return map !== null ? map.originalPositionFor(frame.line, frame.column) : null;
+    }
+
+    /**
+     * Find the .map for a bundle URL, preferring the longest matching path suffix
+     */
+    findMap(release, fileUrl) {
+        const bundlePath = String(fileUrl).split('#')[0].split('?')[0].replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '');
+        const candidates = this.index(release).get(path.posix.basename(bundlePath)) || [];
+
+        let best = null;
+        let bestScore = -1;
+
+        for (const candidate of candidates) {
+            const relative = candidate.relative.replace(/\.map$/, '');
+            const score = bundlePath.endsWith(relative) ? relative.length : 0;
+            if (score > bestScore) {
+                best = candidate.path;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Index .map files of a release directory by bundle basename
+     */
+    index(release) {
+        const key = release || '';
+        if (this.indexes.has(key)) {
+            return this.indexes.get(key);
+        }
+
+        const root = release ? path.join(this.mapsDir, release) : this.mapsDir;
+        const index = new Map();
+
+        // Entries without a release only look at maps directly in the root
+        const walk = (dir, recursive) => {
+            let entries = [];
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch (e) {
+                return;
+            }
+
+            for (const entry of entries) {
+                const full = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    if (recursive) {
+                        walk(full, true);
+                    }
+                } else if (entry.name.endsWith('.map')) {
+                    const bundleName = entry.name.replace(/\.map$/, '');
+                    const relative = '/' + path.relative(root, full).split(path.sep).join('/');
+                    if (!index.has(bundleName)) {
+                        index.set(bundleName, []);
+                    }
+                    index.get(bundleName).push({ path: full, relative });
+                }
+            }
+        };
+
+        // Never walk outside the maps directory (release comes from log data):
+        // a release must name a directory strictly inside it
+        const inside = !release || path.resolve(root).startsWith(path.resolve(this.mapsDir) + path.sep);
+        if (inside) {
+            walk(root, Boolean(release));
+        }
+
+        this.indexes.set(key, index);
+
+        return index;
+    }
+
+    load(mapPath) {
+        if (!this.maps.has(mapPath)) {
+            try {
+                this.maps.set(mapPath, new SourceMap(JSON.parse(fs.readFileSync(mapPath, 'utf8'))));
+            } catch (e) {
+                process.stderr.write(`Skipping ${mapPath}: ${e.message}\n`);
+                this.maps.set(mapPath, null);
+            }
+        }
+
+        return this.maps.get(mapPath);
+    }
+}
+
+// ============================================================================
+// Log Entry Parsing
+// ============================================================================
+
+/**
+ * Find balanced JSON objects in a line (string-aware), with their offsets
+ */
+function findJsonObjects(line) {
+    const objects = [];
+    let start = line.indexOf('{');
+
+    while (start !== -1) {
+        let depth = 0;
+        let inString = false;
+        let end = -1;
+
+        for (let i = start; i < line.length; i++) {
+            const char = line[i];
+            if (inString) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === '"') {
+                    inString = false;
+                }
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && --depth === 0) {
+                end = i + 1;
+                break;
+            }
+        }
+
+        if (end === -1) {
+            break;
+        }
+
+        try {
+            objects.push({ start, end, value: JSON.parse(line.slice(start, end)) });
+            start = line.indexOf('{', end);
+        } catch (e) {
+            start = line.indexOf('{', start + 1);
+        }
+    }
+
+    return objects;
+}
+
+// DetailedLineFormatter entry header: [datetime] [LVL] [channel] ...
+const DETAILED_HEADER = /^\[\d{4}-\d{2}-\d{2} [\d:.]+\]\s+\[\w+\]\s+\[[\w.-]+\]/;
+
+// DetailedLineFormatter line with the full fields of a JavaScript event
+const DETAILED_JS_LINE = /^(\s+[│└] js=)(\{.*\})\s*$/;
+
+/**
+ * Parse a log line into an entry with a js_errors context
+ *
+ * DetailedLineFormatter entries are read from their js={...} line, which
+ * has no message or release: see trackDetailedEntry().
+ *
+ * @returns {{format: string, context: object, message: string, prefix?: string, suffix?: string, record?: object}|null}
+ */
+function parseEntry(line) {
+    const trimmed = line.trim();
+
+    // DetailedLineFormatter js={...} line
+    const detailed = DETAILED_JS_LINE.exec(line);
+    if (detailed) {
+        try {
+            const context = JSON.parse(detailed[2]);
+            if (context && typeof context.stack === 'string') {
+                return { format: 'detailed', prefix: detailed[1], suffix: '', context, message: '' };
+            }
+        } catch (e) {
+            // Not a JSON object, no usable stack
+        }
+
+        return null;
+    }
+
+    // JsonFormatter
+    if (trimmed.startsWith('{')) {
+        try {
+            const record = JSON.parse(trimmed);
+            if (record && typeof record.context === 'object' && record.context !== null) {
+                return { format: 'json', record, context: record.context, message: String(record.message || '') };
+            }
+        } catch (e) {
+            // Not a JSON record, try line format
+        }
+    }
+
+    // LineFormatter SIMPLE_FORMAT: the context is the JSON object carrying the stack
+    const header = /^\[[^\]]+\]\s+[\w.-]+\.\w+\s*:\s*/.exec(line);
+    if (!header) {
+        return null;
+    }
+
+    const context = findJsonObjects(line).find((object) => typeof object.value.stack === 'string');
+    if (!context) {
+        return null;
+    }
+
+    return {
+        format: 'line',
+        prefix: line.slice(0, context.start),
+        suffix: line.slice(context.end),
+        context: context.value,
+        message: line.slice(header[0].length, context.start).trim(),
+    };
+}
+
+/**
+ * Follow the DetailedLineFormatter entry a line belongs to, collecting the
+ * message (▶ line) and release (key=value line) its js={...} line lacks
+ *
+ * @param {string} line
+ * @param {{message: string, release: string|null}} entry - Updated in place
+ */
+function trackDetailedEntry(line, entry) {
+    if (DETAILED_HEADER.test(line)) {
+        entry.message = '';
+        entry.release = null;
+        return;
+    }
+
+    const message = /^\s+▶ (.*)$/.exec(line);
+    if (message) {
+        entry.message = message[1];
+        return;
+    }
+
+    // Values over 50 characters end with "..." and don't match
+    const release = /^\s+[│└] (?:.*\s)?release=([A-Za-z0-9._+@/-]+)(?:\s|$)/.exec(line);
+    if (release) {
+        entry.release = release[1];
+    }
+}
+
+// ============================================================================
+// Symbolication
+// ============================================================================
+
+/**
+ * Symbolicate a stack string
+ *
+ * The name mapped at a frame's own position is whatever identifier sits
+ * there (often a property). The enclosing function's original name is the
+ * callee name at the caller's call site, i.e. the name mapped for the next
+ * frame down the stack, so that is used when available.
+ *
+ * @returns {{stack: string, resolved: number, frames: number}}
+ */
+function symbolicateStack(stack, release, store) {
+    const lines = stack.split('\n');
+    const frames = lines.map(parseFrame);
+    const originals = frames.map((frame) => (frame !== null ? store.resolve(release, frame) : null));
+    let resolved = 0;
+
+    const output = lines.map((line, i) => {
+        const original = originals[i];
+        if (original === null) {
+            return line;
+        }
+
+        resolved++;
+        const caller = originals[i + 1];
+        const name = (caller && caller.name) || frames[i].function || '<anonymous>';
+
+        return `    at ${name} (${original.source}:${original.line}:${original.column})`;
+    });
+
+    return {
+        stack: output.join('\n'),
+        resolved,
+        frames: frames.filter((frame) => frame !== null).length,
+    };
+}
+
+/**
+ * Symbolicate the parsed frames sent by error-handler.js (context.frames)
+ *
+ * Same caller-name rule as symbolicateStack(); unresolved frames are kept.
+ *
+ * @returns {Array<{function: string, file: string, line: number, column: number}>}
+ */
+function symbolicateFrames(frames, release, store) {
+    const originals = frames.map((frame) => (frame && typeof frame === 'object' ? store.resolve(release, frame) : null));
+
+    return frames.map((frame, i) => {
+        const original = originals[i];
+        if (original === null) {
+            return frame;
+        }
+
+        const caller = originals[i + 1];
+
+        return {
+            function: (caller && caller.name) || frame.function || '<anonymous>',
+            file: original.source,
+            line: original.line,
+            column: original.column,
+        };
+    });
+}
+
+function parseArgs(argv) {
+    const options = { maps: null, release: null, inPlace: false, output: null, input: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--maps') {
+            options.maps = argv[++i];
+        } else if (arg === '--release') {
+            options.release = argv[++i];
+        } else if (arg === '--in-place') {
+            options.inPlace = true;
+        } else if (arg === '--output') {
+            options.output = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (options.input === null) {
+            options.input = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Local date of a daily log file name (js_errors-2026-01-27.log), or null
+ */
+function logFileDate(file) {
+    const match = /-(\d{4}-\d{2}-\d{2})\.log$/.exec(path.basename(file));
+
+    return match ? match[1] : null;
+}
+
+function localDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Replace a log file with its rewritten text
+ *
+ * Written to a temporary file in the same directory and renamed over the
+ * original, so a crash leaves either file whole. Lines appended since the
+ * file was read would be lost: the file is left alone if it changed.
+ *
+ * @param {string} file
+ * @param {string} text
+ * @param {fs.Stats} readStat - Stat of the file taken before it was read
+ */
+function replaceFile(file, text, readStat) {
+    const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    fs.writeFileSync(temp, text, { mode: readStat.mode });
+
+    const stat = fs.statSync(file);
+    if (stat.size !== readStat.size || stat.mtimeMs !== readStat.mtimeMs) {
+        fs.unlinkSync(temp);
+        throw new Error(`${file} changed while it was symbolicated, left unchanged`);
+    }
+
+    fs.renameSync(temp, file);
+}
+
+function usage() {
+    return 'Usage: node bin/js-symbolicate.js --maps <dir> [--release <name>] [--in-place | --output <file>] <logfile|->\n';
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        process.stderr.write(`${e.message}\n${usage()}`);
+        return 2;
+    }
+
+    if (options.help) {
+        process.stdout.write(usage());
+        return 0;
+    }
+
+    if (!options.maps || !options.input) {
+        process.stderr.write(usage());
+        return 2;
+    }
+
+    if (options.inPlace && options.input === '-') {
+        process.stderr.write('--in-place needs a file, not stdin\n');
+        return 2;
+    }
+
+    if (options.inPlace && logFileDate(options.input) === localDate(new Date())) {
+        process.stderr.write("--in-place refuses today's log file (still being written), use --output\n");
+        return 2;
+    }
+
+    const readStat = options.inPlace ? fs.statSync(options.input) : null;
+    const content = fs.readFileSync(options.input === '-' ? 0 : options.input, 'utf8');
+    const store = new SourceMapStore(options.maps);
+    const writeBack = options.inPlace || options.output !== null;
+    const output = [];
+    const detailedEntry = { message: '', release: null };
+    let totalEntries = 0;
+    let totalResolved = 0;
+    let totalFrames = 0;
+
+    for (const line of content.split('\n')) {
+        trackDetailedEntry(line, detailedEntry);
+        const entry = parseEntry(line);
+
+        if (entry === null || typeof entry.context.stack !== 'string' || entry.context.stack === '') {
+            if (writeBack) {
+                output.push(line);
+            }
+            continue;
+        }
+
+        const detailed = entry.format === 'detailed';
+        const release = entry.context.release || (detailed ? detailedEntry.release : null) || options.release;
+        const result = symbolicateStack(entry.context.stack, release, store);
+        totalEntries++;
+        totalResolved += result.resolved;
+        totalFrames += result.frames;
+
+        if (!writeBack) {
+            const message = detailed ? detailedEntry.message : entry.message;
+            output.push(`${message}${release ? ` [release ${release}]` : ''}`);
+            output.push(result.stack, '');
+            continue;
+        }
+
+        if (result.resolved === 0) {
+            output.push(line);
+            continue;
+        }
+
+        const context = Object.assign({}, entry.context, {
+            stack: result.stack,
+            stack_minified: entry.context.stack_minified || entry.context.stack,
+        });
+
+        if (Array.isArray(entry.context.frames)) {
+            context.frames = symbolicateFrames(entry.context.frames, release, store);
+        }
+
+        if (entry.format === 'json') {
+            output.push(JSON.stringify(Object.assign({}, entry.record, { context })));
+        } else {
+            output.push(entry.prefix + JSON.stringify(context) + entry.suffix);
+        }
+    }
+
+    if (totalEntries === 0) {
+        process.stderr.write('No entries with a stack found (JSON context or DetailedLineFormatter js={...} lines needed)\n');
+    }
+
+    const text = output.join('\n');
+
+    if (options.inPlace) {
+        // Nothing resolved: the file stays untouched
+        if (totalResolved > 0) {
+            try {
+                replaceFile(options.input, text, readStat);
+            } catch (e) {
+                process.stderr.write(`${e.message}\n`);
+                return 1;
+            }
+        }
+    } else if (options.output !== null) {
+        fs.writeFileSync(options.output, text);
+    } else {
+        process.stdout.write(text.endsWith('\n') ? text : text + '\n');
+    }
+
+    process.stderr.write(`Resolved ${totalResolved} of ${totalFrames} frames\n`);
+
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = { SourceMap, SourceMapStore, parseEntry, trackDetailedEntry, symbolicateStack, symbolicateFrames };
@@ -0,0 +1,593 @@
+/**
+ * Enterprise PSR-3 Logger - Node.js SDK
+ *
+ * Channel/level API of Logger::channel() for Node services running next to
+ * the PHP app. Files are written in the LineFormatter / JsonFormatter layouts
+ * with RotatingFileHandler naming, so the admin file viewer lists and parses
+ * them together with the PHP logs.
+ *
+ * USAGE:
+ * ```js
+ * const Logger = require('./node/psr3-logger');
+ *
+ * Logger.configure({ logsPath: '/var/www/storage/logs' });
+ * Logger.channel('payments').error('Charge {id} failed', { id: 17, exception: err });
+ * Logger.channel('api').info('Request received', { method: 'GET' });
+ * ```
+ *
+ * OPTIONS (configure):
+ * - logsPath      Log directory (default: $LOGS_PATH or ./storage/logs)
+ * - formatter     'line' (LineFormatter SIMPLE_FORMAT), 'enhanced' or 'json'
+ * - rotation      'daily' (default), 'hourly' or 'none'
+ * - maxFiles      Rotated files kept per channel (default: 14, 0 = unlimited)
+ * - level         Minimum level (default: 'debug')
+ *
+ * FILE NAMING (same as RotatingFileHandler):
+ * - payments-2026-01-27.log (daily)
+ * - payments-2026-01-27-14.log (hourly)
+ * - payments.log (no rotation)
+ *
+ * The admin viewer lists channels matching [a-z_]+ (e.g. "payments",
+ * "node_worker"); names that would put the file outside logsPath (path
+ * separators, "../") throw. Like the PHP Logger, messages are not interpolated:
+ * {placeholders} stay in the message and the values are written to the context.
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Monolog level values and enum case names (Level::Error->name === 'Error')
+const LEVELS = {
+    debug: { value: 100, name: 'Debug' },
+    info: { value: 200, name: 'Info' },
+    notice: { value: 250, name: 'Notice' },
+    warning: { value: 300, name: 'Warning' },
+    error: { value: 400, name: 'Error' },
+    critical: { value: 500, name: 'Critical' },
+    alert: { value: 550, name: 'Alert' },
+    emergency: { value: 600, name: 'Emergency' },
+};
+
+const MAX_NORMALIZE_DEPTH = 9;
+const MAX_TRACE_FRAMES = 20;
+
+/**
+ * Resolve a PSR-3 level name
+ *
+ * @throws {Error} Unknown level (PSR-3 InvalidArgumentException)
+ */
+function resolveLevel(level) {
+    const name = String(level).toLowerCase();
+
+    if (!LEVELS[name]) {
+        throw new Error(`Invalid log level: ${level}`);
+    }
+
+    return name;
+}
+
+// ============================================================================
+// Date formatting
+// ============================================================================
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Y-m-d H:i:s in local time (LineFormatter default date format)
+ */
+function formatDateTime(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+        + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * RFC3339_EXTENDED in local time (2024-01-15T10:30:00.123+01:00)
+ */
+function formatRfc3339(date) {
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    const absolute = Math.abs(offset);
+
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+        + `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`
+        + `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+// ============================================================================
+// Normalization (NormalizerFormatter equivalent)
+// ============================================================================
+
+/**
+ * First "file:line" of a V8 stack
+ */
+function errorLocation(error) {
+    const match = /\(?([^\s()]+):(\d+):\d+\)?\s*$/m.exec(String(error.stack || '').split('\n').slice(1).join('\n'));
+
+    return match ? { file: match[1], line: Number(match[2]) } : { file: '', line: 0 };
+}
+
+/**
+ * Error -> { class, message, code, file, line, trace, previous } like JsonFormatter::normalizeException()
+ */
+function normalizeError(error, depth = 0) {
+    if (depth > 10) {
+        return { class: error.name || 'Error', message: '[max depth reached]' };
+    }
+
+    const location = errorLocation(error);
+    const data = {
+        class: error.name || 'Error',
+        message: error.message,
+        code: error.code !== undefined ? error.code : 0,
+        file: location.file,
+        line: location.line,
+    };
+
+    const trace = String(error.stack || '').split('\n').slice(1).map((line) => line.trim()).filter(Boolean);
+    if (trace.length > MAX_TRACE_FRAMES) {
+        trace.length = MAX_TRACE_FRAMES;
+        trace.push('... (truncated)');
+    }
+    data.trace = trace;
+
+    if (error.cause instanceof Error) {
+        data.previous = normalizeError(error.cause, depth + 1);
+    }
+
+    return data;
+}
+
+function normalize(value, depth = 0) {
+    if (depth > MAX_NORMALIZE_DEPTH) {
+        return 'Over 9 levels deep, aborting normalization';
+    }
+
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'bigint' || typeof value === 'symbol' || typeof value === 'function') {
+        return `[${typeof value}]`;
+    }
+    if (typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Date) {
+        return formatRfc3339(value);
+    }
+    if (value instanceof Error) {
+        return normalizeError(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => normalize(item, depth + 1));
+    }
+
+    const normalized = {};
+    for (const [key, item] of Object.entries(value)) {
+        normalized[key] = normalize(item, depth + 1);
+    }
+
+    return normalized;
+}
+
+/**
+ * Empty arrays and objects both count as empty (PHP empty([]))
+ */
+const isEmpty = (value) => value === null || (typeof value === 'object' && Object.keys(value).length === 0);
+
+// ============================================================================
+// Formatters
+// ============================================================================
+
+class LineFormatter {
+    static SIMPLE_FORMAT = '[%datetime%] %channel%.%level_name%: %message% %context% %extra%\n';
+    static ENHANCED_FORMAT = '[%datetime%] [%level_name%] %channel% | %message% | %context_kv%\n';
+    static COMPACT_FORMAT = '[%datetime%] %level_name% %message%\n';
+
+    /**
+     * @param {string|null} format Line format (null = SIMPLE_FORMAT)
+     * @param {boolean} ignoreEmptyContextAndExtra Omit empty context/extra
+     */
+    constructor(format = null, ignoreEmptyContextAndExtra = false) {
+        this.format = format || LineFormatter.SIMPLE_FORMAT;
+        this.ignoreEmptyContextAndExtra = ignoreEmptyContextAndExtra;
+    }
+
+    useEnhancedFormat() {
+        this.format = LineFormatter.ENHANCED_FORMAT;
+        this.ignoreEmptyContextAndExtra = true;
+
+        return this;
+    }
+
+    formatRecord(record) {
+        const vars = {
+            '%datetime%': formatDateTime(record.datetime),
+            '%channel%': sanitizeString(record.channel),
+            '%level_name%': LEVELS[record.level].name.padEnd(9),
+            '%level%': record.level,
+            '%message%': sanitizeString(record.message),
+            '%pid%': '',
+            '%memory%': '',
+        };
+
+        const context = normalize(record.context);
+        if (this.ignoreEmptyContextAndExtra && isEmpty(context)) {
+            vars['%context%'] = '';
+            vars['%context_kv%'] = '';
+        } else {
+            vars['%context%'] = toJson(context);
+            vars['%context_kv%'] = toKeyValue(context);
+        }
+
+        const extra = normalize(record.extra);
+        if (this.ignoreEmptyContextAndExtra && isEmpty(extra)) {
+            vars['%extra%'] = '';
+            vars['%extra_kv%'] = '';
+        } else {
+            vars['%extra%'] = toJson(extra);
+            vars['%extra_kv%'] = toKeyValue(extra);
+        }
+
+        // strtr(): single pass, replacements are never re-scanned
+        let output = this.format.replace(/%[a-z_]+%/g, (placeholder) => (
+            Object.prototype.hasOwnProperty.call(vars, placeholder) ? vars[placeholder] : placeholder
+        ));
+
+        output = output.replace(/\s*\|\s*\n/g, '\n').replace(/\s+\n/g, '\n');
+
+        // No inline line breaks (only the final newline survives)
+        const hasNewline = output.endsWith('\n');
+        output = output.replace(/\r\n|\r|\n/g, ' ');
+
+        return hasNewline ? `${output.trimEnd()}\n` : output;
+    }
+}
+
+class JsonFormatter {
+    /**
+     * @param {boolean} ignoreEmptyContextAndExtra Omit empty context/extra
+     */
+    constructor(ignoreEmptyContextAndExtra = false) {
+        this.ignoreEmptyContextAndExtra = ignoreEmptyContextAndExtra;
+    }
+
+    formatRecord(record) {
+        const data = {
+            timestamp: formatRfc3339(record.datetime),
+            level: record.level,
+            level_name: LEVELS[record.level].name,
+            channel: record.channel,
+            message: record.message,
+        };
+
+        // An empty PHP array encodes as [], not {}
+        if (!isEmpty(record.context) || !this.ignoreEmptyContextAndExtra) {
+            data.context = isEmpty(record.context) ? [] : normalize(record.context);
+        }
+        if (!isEmpty(record.extra) || !this.ignoreEmptyContextAndExtra) {
+            data.extra = isEmpty(record.extra) ? [] : normalize(record.extra);
+        }
+
+        return `${JSON.stringify(data)}\n`;
+    }
+}
+
+/**
+ * Strip what LineFormatter::sanitizeString() strips (log forging, escapes,
+ * null bytes and other control characters, bidi overrides), in the same order
+ */
+function sanitizeString(value) {
+    let result = String(value)
+        .replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')
+        .replace(/\x1b\][^\x07]*\x07/g, '')
+        .replace(/\x1b[PX^_][^\x1b]*\x1b\\/g, '')
+        .replace(/\x1b./g, '')
+        .replace(/\r\n|\r|\n/g, ' ⏎ ')
+        .replace(/\0/g, '')
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+        .replace(/[\u202A-\u202E\u2066-\u2069]/g, '');
+
+    if (Buffer.byteLength(result) > 10000) {
+        const bytes = Buffer.from(result);
+        let end = 10000;
+
+        // Back up to the first byte of a character (no replacement character in the log)
+        while (end > 0 && (bytes[end] & 0xc0) === 0x80) {
+            end--;
+        }
+
+        result = `${bytes.subarray(0, end).toString()}...[truncated]`;
+    }
+
+    return result;
+}
+
+/**
+ * PHP json_encode() of an empty array is "[]", whatever the container
+ */
+function toJson(data) {
+    if (isEmpty(data)) {
+        return '[]';
+    }
+
+    try {
+        return JSON.stringify(data);
+    } catch (e) {
+        return '[]';
+    }
+}
+
+function toKeyValue(data) {
+    if (isEmpty(data) || typeof data !== 'object') {
+        return '';
+    }
+
+    return Object.entries(data)
+        .filter(([key, value]) => key !== 'exception' && !(value && value.class && value.trace))
+        .map(([key, value]) => `${key}=${formatScalarValue(value)}`)
+        .join(' ');
+}
+
+function formatScalarValue(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (typeof value === 'boolean' || typeof value === 'number') {
+        return String(value);
+    }
+    if (typeof value === 'string') {
+        if (value.includes(' ') || value.includes('=') || value.includes('"')) {
+            return `"${value.replace(/"/g, '\\"')}"`;
+        }
+
+        return value;
+    }
+
+    return JSON.stringify(value);
+}
+
+// ============================================================================
+// Rotating File Handler
+// ============================================================================
+
+class RotatingFileHandler {
+    static ROTATION_DAILY = 'daily';
+    static ROTATION_HOURLY = 'hourly';
+    static ROTATION_NONE = 'none';
+
+    /**
+     * @param {string} filename Base filename (e.g. /var/log/app.log)
+     * @param {Object} [options]
+     * @param {string} [options.level] Minimum level (default: debug)
+     * @param {string} [options.rotationType] daily, hourly or none
+     * @param {number} [options.maxFiles] Files to keep (0 = unlimited)
+     * @param {LineFormatter|JsonFormatter} [options.formatter]
+     */
+    constructor(filename, options = {}) {
+        if (String(filename).split(/[\\/]/).includes('..')) {
+            throw new Error(`Path traversal detected in log filename: ${filename}`);
+        }
+
+        this.filename = path.resolve(filename);
+        this.level = resolveLevel(options.level || 'debug');
+        this.rotationType = options.rotationType || RotatingFileHandler.ROTATION_DAILY;
+        this.maxFiles = Math.max(0, options.maxFiles !== undefined ? options.maxFiles : 14);
+        this.formatter = options.formatter || new LineFormatter();
+        this.currentFilename = null;
+    }
+
+    isHandling(record) {
+        return LEVELS[record.level].value >= LEVELS[this.level].value;
+    }
+
+    handle(record) {
+        if (!this.isHandling(record)) {
+            return;
+        }
+
+        const targetFile = this.getTargetFilename(record.datetime);
+
+        if (this.currentFilename !== targetFile) {
+            fs.mkdirSync(path.dirname(targetFile), { recursive: true, mode: 0o755 });
+            const firstOpen = this.currentFilename === null;
+            this.currentFilename = targetFile;
+
+            if (!firstOpen && this.maxFiles > 0) {
+                this.cleanOldFiles();
+            }
+        }
+
+        try {
+            // O_APPEND: whole-line writes don't interleave with the PHP writers
+            fs.appendFileSync(targetFile, this.formatter.formatRecord(record));
+        } catch (error) {
+            process.stderr.write(`RotatingFileHandler: Failed to write ${targetFile}: ${error.message}\n`);
+        }
+    }
+
+    getTargetFilename(date) {
+        if (this.rotationType === RotatingFileHandler.ROTATION_NONE) {
+            return this.filename;
+        }
+
+        const extension = path.extname(this.filename);
+        const basename = path.basename(this.filename, extension);
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        const suffix = this.rotationType === RotatingFileHandler.ROTATION_HOURLY ? `${day}-${pad(date.getHours())}` : day;
+
+        return path.join(path.dirname(this.filename), `${basename}-${suffix}${extension}`);
+    }
+
+    /**
+     * Delete the oldest "<basename>-<date><extension>" files beyond maxFiles
+     * (only this handler's names: "app-eu-2026-01-27.log" is not a file of app.log)
+     */
+    cleanOldFiles() {
+        const dir = path.dirname(this.filename);
+        const extension = path.extname(this.filename);
+        const prefix = `${path.basename(this.filename, extension)}-`;
+        const suffix = this.rotationType === RotatingFileHandler.ROTATION_HOURLY ? /^\d{4}-\d{2}-\d{2}-\d{2}$/ : /^\d{4}-\d{2}-\d{2}$/;
+
+        let files;
+        try {
+            files = fs.readdirSync(dir)
+                .filter((name) => name.startsWith(prefix) && name.endsWith(extension)
+                    && suffix.test(name.slice(prefix.length, name.length - extension.length)))
+                .map((name) => {
+                    const file = path.join(dir, name);
+                    try {
+                        return { file, mtime: fs.statSync(file).mtimeMs };
+                    } catch (e) {
+                        return null;
+                    }
+                })
+                .filter(Boolean);
+        } catch (e) {
+            return;
+        }
+
+        if (files.length <= this.maxFiles) {
+            return;
+        }
+
+        files.sort((a, b) => a.mtime - b.mtime);
+
+        for (const { file } of files.slice(0, files.length - this.maxFiles)) {
+            try {
+                fs.unlinkSync(file);
+            } catch (e) {
+                // Already removed by another process
+            }
+        }
+    }
+}
+
+// ============================================================================
+// Logger
+// ============================================================================
+
+class Logger {
+    /**
+     * @param {string} name Channel name
+     * @param {Array<RotatingFileHandler>} [handlers]
+     */
+    constructor(name, handlers = []) {
+        this.name = name;
+        this.handlers = handlers;
+    }
+
+    addHandler(handler) {
+        this.handlers.push(handler);
+
+        return this;
+    }
+
+    /**
+     * @param {string} level PSR-3 level
+     * @param {string} message
+     * @param {Object} [context]
+     * @throws {Error} Unknown level
+     */
+    log(level, message, context = {}) {
+        const record = {
+            datetime: new Date(),
+            channel: this.name,
+            level: resolveLevel(level),
+            message: String(message),
+            context: context || {},
+            extra: {},
+        };
+
+        for (const handler of this.handlers) {
+            handler.handle(record);
+        }
+    }
+
+    emergency(message, context) { this.log('emergency', message, context); }
+    alert(message, context) { this.log('alert', message, context); }
+    critical(message, context) { this.log('critical', message, context); }
+    error(message, context) { this.log('error', message, context); }
+    warning(message, context) { this.log('warning', message, context); }
+    notice(message, context) { this.log('notice', message, context); }
+    info(message, context) { this.log('info', message, context); }
+    debug(message, context) { this.log('debug', message, context); }
+}
+
+// ============================================================================
+// Facade (Logger::channel() equivalent)
+// ============================================================================
+
+const settings = {
+    logsPath: process.env.LOGS_PATH || path.join(process.cwd(), 'storage', 'logs'),
+    formatter: 'line',
+    rotation: RotatingFileHandler.ROTATION_DAILY,
+    maxFiles: 14,
+    level: 'debug',
+};
+
+const loggers = new Map();
+
+function createFormatter(type) {
+    switch (type) {
+        case 'json':
+            return new JsonFormatter();
+        case 'enhanced':
+            return new LineFormatter().useEnhancedFormat();
+        case 'line':
+            return new LineFormatter();
+        default:
+            throw new Error(`Unknown formatter: ${type}`);
+    }
+}
+
+/**
+ * Change the defaults used for channels created from now on
+ */
+function configure(options = {}) {
+    Object.assign(settings, options);
+    loggers.clear();
+}
+
+/**
+ * Get (or create) the logger for a channel
+ *
+ * @param {string} name Channel name
+ * @returns {Logger}
+ * @throws {Error} Name that would put the log file outside logsPath
+ */
+function channel(name) {
+    if (!loggers.has(name)) {
+        // The name becomes a file name: resolve it first, then check the
+        // file is still directly inside the log directory
+        const logsPath = path.resolve(settings.logsPath);
+        const filename = path.resolve(logsPath, `${name}.log`);
+
+        if (String(name) === '' || String(name).includes('\0') || path.dirname(filename) !== logsPath) {
+            throw new Error(`Invalid channel name: ${name}`);
+        }
+
+        const handler = new RotatingFileHandler(filename, {
+            level: settings.level,
+            rotationType: settings.rotation,
+            maxFiles: settings.maxFiles,
+            formatter: createFormatter(settings.formatter),
+        });
+
+        loggers.set(name, new Logger(name, [handler]));
+    }
+
+    return loggers.get(name);
+}
+
+module.exports = {
+    channel,
+    configure,
+    Logger,
+    LineFormatter,
+    JsonFormatter,
+    RotatingFileHandler,
+};
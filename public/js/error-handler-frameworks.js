@@ -0,0 +1,236 @@
+/**
+ * Enterprise PSR-3 Logger - React and Vue Integrations
+ *
+ * Errors thrown while rendering are caught by the framework and never reach
+ * window.onerror, so error-handler.js can't see them. This optional module
+ * reports them through PSR3Logger with the component name, the component
+ * stack and the current route as context.
+ *
+ * Load it after error-handler.js (script tag or bundler import). It exposes
+ * window.PSR3Integrations and, under CommonJS, module.exports.
+ *
+ * React (16.0+):
+ *   var ErrorBoundary = PSR3Integrations.createErrorBoundary(React);
+ *   // window.React present at load time: PSR3Integrations.ErrorBoundary
+ *
+ *   <ErrorBoundary
+ *       name="Checkout"                                  // optional, used as component name
+ *       fallback={function(props) {                      // render prop, or a plain element
+ *           return <button onClick={props.resetError}>Retry ({props.error.message})</button>;
+ *       }}
+ *       onError={function(error, componentStack) {}}     // optional
+ *   >
+ *       <Checkout />
+ *   </ErrorBoundary>
+ *
+ * Vue (3.x):
+ *   app.use(PSR3Integrations.vuePlugin, { level: 'error' });
+ *   // Chains to an app.config.errorHandler installed before the plugin;
+ *   // without one, errors are still printed with console.error as Vue does
+ *
+ * @version 1.0.0
+ */
+(function(root) {
+    'use strict';
+
+    var MAX_COMPONENT_STACK_LENGTH = 2000;
+
+    /**
+     * Report a framework-caught error through PSR3Logger
+     */
+    function report(level, framework, error, details) {
+        var logger = root.PSR3Logger;
+
+        if (!logger || typeof logger.log !== 'function') {
+            return;
+        }
+
+        if (!(error instanceof Error)) {
+            error = new Error(typeof error === 'string' ? error : String(error));
+        }
+
+        var context = {
+            exception: error,
+            framework: framework,
+            component: details.component || 'Anonymous',
+            route: details.route || currentRoute()
+        };
+
+        if (details.componentStack) {
+            context.component_stack = String(details.componentStack).slice(0, MAX_COMPONENT_STACK_LENGTH);
+        }
+        if (details.info) {
+            context.info = details.info;
+        }
+
+        var message = framework + ' error in ' + context.component + ': ' + (error.message || error.name || 'Error');
+
+        logger.log(level || 'error', message, context);
+    }
+
+    /**
+     * Route from the location (path and hash only - the query may hold PII)
+     */
+    function currentRoute() {
+        if (!root.location) {
+            return '';
+        }
+
+        return root.location.pathname + (root.location.hash || '');
+    }
+
+    // =========================================================================
+    // React
+    // =========================================================================
+
+    /**
+     * First component named in a React component stack ("in Foo" or "at Foo")
+     */
+    function componentFromStack(componentStack) {
+        var match = /(?:^|\n)\s*(?:in|at)\s+([A-Za-z0-9_$.]+)/.exec(componentStack || '');
+
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Build an ErrorBoundary class for the given React
+     *
+     * Written without JSX or ES classes so it works straight from a script tag.
+     *
+     * @param {Object} React
+     * @returns {Function} ErrorBoundary component
+     */
+    function createErrorBoundary(React) {
+        if (!React || typeof React.Component !== 'function') {
+            throw new Error('[PSR3] createErrorBoundary() requires React');
+        }
+
+        function ErrorBoundary(props) {
+            React.Component.call(this, props);
+            this.state = { error: null };
+            this.resetError = this.resetError.bind(this);
+        }
+
+        ErrorBoundary.prototype = Object.create(React.Component.prototype);
+        ErrorBoundary.prototype.constructor = ErrorBoundary;
+        ErrorBoundary.displayName = 'PSR3ErrorBoundary';
+
+        ErrorBoundary.getDerivedStateFromError = function(error) {
+            return { error: error || new Error('Unknown render error') };
+        };
+
+        ErrorBoundary.prototype.componentDidCatch = function(error, info) {
+            var componentStack = info && info.componentStack ? info.componentStack : '';
+
+            report(this.props.level, 'React', error, {
+                component: this.props.name || componentFromStack(componentStack),
+                componentStack: componentStack
+            });
+
+            if (typeof this.props.onError === 'function') {
+                this.props.onError(error, componentStack);
+            }
+        };
+
+        ErrorBoundary.prototype.resetError = function() {
+            this.setState({ error: null });
+        };
+
+        ErrorBoundary.prototype.render = function() {
+            var error = this.state.error;
+
+            if (error === null) {
+                return this.props.children;
+            }
+
+            var fallback = this.props.fallback;
+
+            if (typeof fallback === 'function') {
+                return fallback({ error: error, resetError: this.resetError });
+            }
+
+            return fallback === undefined ? null : fallback;
+        };
+
+        return ErrorBoundary;
+    }
+
+    // =========================================================================
+    // Vue
+    // =========================================================================
+
+    /**
+     * Component name from a Vue 3 instance (options name, SFC name or file)
+     */
+    function vueComponentName(instance) {
+        if (!instance) {
+            return null;
+        }
+
+        var options = instance.$options || {};
+
+        if (options.name || options.__name) {
+            return options.name || options.__name;
+        }
+        if (options.__file) {
+            return options.__file.split('/').pop().replace(/\.vue$/, '');
+        }
+
+        return instance.$parent ? null : 'Root';
+    }
+
+    /**
+     * Component stack by walking $parent, innermost first
+     */
+    function vueComponentStack(instance) {
+        var lines = [];
+
+        while (instance && lines.length < 50) {
+            lines.push('at ' + (vueComponentName(instance) || 'Anonymous'));
+            instance = instance.$parent;
+        }
+
+        return lines.join('\n');
+    }
+
+    var vuePlugin = {
+        install: function(app, options) {
+            options = options || {};
+
+            var previous = app.config.errorHandler;
+
+            app.config.errorHandler = function(error, instance, info) {
+                var route = instance && instance.$route ? instance.$route.fullPath.split('?')[0] : null;
+
+                report(options.level, 'Vue', error, {
+                    component: vueComponentName(instance),
+                    componentStack: vueComponentStack(instance),
+                    route: route,
+                    info: info
+                });
+
+                if (typeof previous === 'function') {
+                    previous.call(this, error, instance, info);
+                } else if (root.console && typeof root.console.error === 'function') {
+                    // Setting errorHandler turns off Vue's own console output
+                    root.console.error(error);
+                }
+            };
+        }
+    };
+
+    var integrations = {
+        createErrorBoundary: createErrorBoundary,
+        vuePlugin: vuePlugin
+    };
+
+    if (root.React) {
+        integrations.ErrorBoundary = createErrorBoundary(root.React);
+    }
+
+    root.PSR3Integrations = integrations;
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = integrations;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,414 @@
+/**
+ * Enterprise PSR-3 Logger - Core Web Vitals and Long Tasks
+ *
+ * Opt-in performance telemetry for pages running error-handler.js. Collects
+ * LCP, CLS, INP, TTFB and long tasks with PerformanceObserver and sends one
+ * summary record per page view to the js_vitals channel, when the page is
+ * hidden or unloaded.
+ *
+ * The record is info level; a metric rated poor upgrades it to warning.
+ * Ratings follow the web.dev thresholds (good / needs-improvement / poor),
+ * with the total blocking time of long tasks rated like TBT. Set the
+ * js_vitals channel level to info to keep the good page views too.
+ *
+ * Browsers without an entry type just omit that metric (e.g. no INP or CLS
+ * in Safari); nothing is sent when no metric is available. SPA route changes
+ * are not separate page views.
+ *
+ * Usage (after error-handler.js, starts on load):
+ *   <script src="/js/error-handler-vitals.js"></script>
+ *
+ *   window.PSR3_VITALS_AUTO_START = false;          // before loading, then:
+ *   PSR3Vitals.start({ thresholds: { lcp: [2000, 3500] } });
+ *   PSR3Vitals.report();                            // send now (once per page view)
+ *   PSR3Vitals.stop();                              // disconnect without sending
+ *
+ * @version 1.0.0
+ */
+(function(root) {
+    'use strict';
+
+    // [good, poor]: value <= good is good, value > poor is poor
+    var THRESHOLDS = {
+        lcp: [2500, 4000],
+        cls: [0.1, 0.25],
+        inp: [200, 500],
+        ttfb: [800, 1800],
+        tbt: [200, 600]
+    };
+
+    var LONG_TASK_BLOCKING_MS = 50;
+    var CLS_SESSION_GAP_MS = 1000;
+    var CLS_SESSION_MAX_MS = 5000;
+
+    var options = {
+        channel: 'js_vitals',
+        thresholds: THRESHOLDS
+    };
+
+    var state = null;
+
+    function createState() {
+        return {
+            observers: [],
+            teardowns: [],
+            reported: false,
+            firstHiddenTime: root.document && root.document.visibilityState === 'hidden' ? 0 : Infinity,
+            lcp: null,
+            lcpElement: null,
+            lcpFinal: false,
+            cls: null,
+            clsSession: 0,
+            clsSessionStart: 0,
+            clsLastShift: 0,
+            inpSupported: false,
+            interactions: {},
+            longTasks: null,
+            longTaskTotal: 0,
+            longTaskMax: 0,
+            blockingTime: 0
+        };
+    }
+
+    /**
+     * Observe an entry type (buffered); false when the browser lacks it
+     */
+    function observe(type, callback, init) {
+        var Observer = root.PerformanceObserver;
+
+        if (typeof Observer !== 'function') {
+            return false;
+        }
+        if (Observer.supportedEntryTypes && Observer.supportedEntryTypes.indexOf(type) === -1) {
+            return false;
+        }
+
+        try {
+            var observer = new Observer(function(list) {
+                list.getEntries().forEach(callback);
+            });
+            var params = { type: type, buffered: true };
+
+            for (var key in init) {
+                params[key] = init[key];
+            }
+
+            observer.observe(params);
+            state.observers.push(observer);
+
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function listen(target, type, handler, capture) {
+        target.addEventListener(type, handler, capture || false);
+        state.teardowns.push(function() {
+            target.removeEventListener(type, handler, capture || false);
+        });
+    }
+
+    /**
+     * Short selector for the LCP element (tag#id or tag.class)
+     */
+    function describeElement(element) {
+        if (!element || !element.tagName) {
+            return null;
+        }
+
+        var selector = element.tagName.toLowerCase();
+
+        if (element.id) {
+            selector += '#' + element.id;
+        } else if (typeof element.className === 'string' && element.className.trim() !== '') {
+            selector += '.' + element.className.trim().split(/\s+/)[0];
+        }
+
+        return selector.slice(0, 100);
+    }
+
+    function navigationEntry() {
+        var performance = root.performance;
+
+        if (!performance || typeof performance.getEntriesByType !== 'function') {
+            return null;
+        }
+
+        return performance.getEntriesByType('navigation')[0] || null;
+    }
+
+    /**
+     * Time the page was activated (prerendered pages start later than navigation)
+     */
+    function activationStart() {
+        var entry = navigationEntry();
+
+        return entry && entry.activationStart ? entry.activationStart : 0;
+    }
+
+    // =========================================================================
+    // Metrics
+    // =========================================================================
+
+    function onLargestContentfulPaint(entry) {
+        // Only paints while the page was visible and before the first input count
+        if (state.lcpFinal || entry.startTime >= state.firstHiddenTime) {
+            return;
+        }
+
+        state.lcp = Math.max(0, entry.startTime - activationStart());
+        state.lcpElement = describeElement(entry.element);
+    }
+
+    /**
+     * CLS: largest session window of shifts (gap < 1s, window <= 5s)
+     */
+    function onLayoutShift(entry) {
+        if (entry.hadRecentInput) {
+            return;
+        }
+
+        if (state.clsSession > 0
+            && entry.startTime - state.clsLastShift < CLS_SESSION_GAP_MS
+            && entry.startTime - state.clsSessionStart < CLS_SESSION_MAX_MS) {
+            state.clsSession += entry.value;
+        } else {
+            state.clsSession = entry.value;
+            state.clsSessionStart = entry.startTime;
+        }
+
+        state.clsLastShift = entry.startTime;
+        state.cls = Math.max(state.cls || 0, state.clsSession);
+    }
+
+    /**
+     * INP: slowest event per interaction (see interactionToNextPaint())
+     */
+    function onEventTiming(entry) {
+        if (!entry.interactionId) {
+            return;
+        }
+
+        state.interactions[entry.interactionId] = Math.max(state.interactions[entry.interactionId] || 0, entry.duration);
+    }
+
+    function onLongTask(entry) {
+        state.longTasks++;
+        state.longTaskTotal += entry.duration;
+        state.longTaskMax = Math.max(state.longTaskMax, entry.duration);
+        state.blockingTime += Math.max(0, entry.duration - LONG_TASK_BLOCKING_MS);
+    }
+
+    /**
+     * 98th percentile of interaction latency: the slowest one, skipping one
+     * outlier per 50 interactions
+     */
+    function interactionToNextPaint() {
+        var durations = Object.keys(state.interactions).map(function(id) {
+            return state.interactions[id];
+        });
+
+        if (durations.length === 0) {
+            return null;
+        }
+
+        durations.sort(function(a, b) {
+            return b - a;
+        });
+
+        return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+    }
+
+    function timeToFirstByte() {
+        var entry = navigationEntry();
+
+        if (entry && entry.responseStart > 0) {
+            return Math.max(0, entry.responseStart - activationStart());
+        }
+
+        var timing = root.performance && root.performance.timing;
+
+        if (timing && timing.responseStart > 0 && timing.navigationStart > 0) {
+            return Math.max(0, timing.responseStart - timing.navigationStart);
+        }
+
+        return null;
+    }
+
+    function rate(name, value) {
+        var threshold = options.thresholds[name];
+
+        if (value <= threshold[0]) return 'good';
+        if (value <= threshold[1]) return 'needs-improvement';
+
+        return 'poor';
+    }
+
+    // =========================================================================
+    // Reporting
+    // =========================================================================
+
+    /**
+     * Send the page view summary through PSR3Logger (once per page view)
+     *
+     * @returns {string|null} Event ID, or null when nothing was sent
+     */
+    function report() {
+        var logger = root.PSR3Logger;
+
+        if (!state || state.reported || !logger || typeof logger.captureEvent !== 'function') {
+            return null;
+        }
+
+        var metrics = {};
+        var parts = [];
+        var poor = [];
+
+        var add = function(name, label, value, unit) {
+            if (value === null) {
+                return;
+            }
+
+            var rating = rate(name, value);
+            var key = unit === 'ms' ? name + '_ms' : name;
+
+            metrics[key] = unit === 'ms' ? Math.round(value) : Math.round(value * 10000) / 10000;
+            metrics[name + '_rating'] = rating;
+            parts.push(label + ' ' + metrics[key] + (unit || '') + ' ' + rating);
+
+            if (rating === 'poor') {
+                poor.push(name);
+            }
+        };
+
+        add('lcp', 'LCP', state.lcp, 'ms');
+        add('cls', 'CLS', state.cls, '');
+        add('inp', 'INP', interactionToNextPaint(), 'ms');
+        add('ttfb', 'TTFB', timeToFirstByte(), 'ms');
+
+        if (state.longTasks !== null) {
+            add('tbt', 'TBT', state.blockingTime, 'ms');
+            metrics.long_tasks = state.longTasks;
+            metrics.long_task_total_ms = Math.round(state.longTaskTotal);
+            metrics.long_task_max_ms = Math.round(state.longTaskMax);
+            parts.push(state.longTasks + ' long task' + (state.longTasks === 1 ? '' : 's'));
+        }
+
+        if (parts.length === 0) {
+            return null;
+        }
+
+        if (state.lcpElement) metrics.lcp_element = state.lcpElement;
+        if (state.inpSupported) metrics.interactions = Object.keys(state.interactions).length;
+
+        var navigation = navigationEntry();
+        if (navigation && navigation.type) metrics.navigation_type = navigation.type;
+        if (poor.length > 0) metrics.poor = poor.join(',');
+
+        state.reported = true;
+
+        var eventId = logger.captureEvent({
+            level: poor.length > 0 ? 'warning' : 'info',
+            message: 'Web Vitals ' + (root.location ? root.location.pathname : '') + ': ' + parts.join(', '),
+            channel: options.channel,
+            metrics: metrics
+        });
+
+        // The page is going away: don't wait for the batch timer
+        logger.flush();
+        stop();
+
+        return eventId;
+    }
+
+    /**
+     * Start collecting (automatic unless PSR3_VITALS_AUTO_START is false)
+     *
+     * @param {Object} [config] { channel, thresholds: { lcp: [good, poor], ... } }
+     */
+    function start(config) {
+        if (state) {
+            return;
+        }
+
+        config = config || {};
+
+        var thresholds = {};
+        for (var name in THRESHOLDS) {
+            thresholds[name] = config.thresholds && config.thresholds[name] ? config.thresholds[name] : THRESHOLDS[name];
+        }
+
+        options = {
+            channel: config.channel || 'js_vitals',
+            thresholds: thresholds
+        };
+
+        state = createState();
+
+        observe('largest-contentful-paint', onLargestContentfulPaint);
+
+        if (observe('layout-shift', onLayoutShift)) {
+            state.cls = 0;
+        }
+
+        state.inpSupported = observe('event', onEventTiming, { durationThreshold: 40 });
+        observe('first-input', onEventTiming);
+
+        if (observe('longtask', onLongTask)) {
+            state.longTasks = 0;
+        }
+
+        var finalizeLcp = function() {
+            if (state) state.lcpFinal = true;
+        };
+
+        if (root.document) {
+            listen(root.document, 'keydown', finalizeLcp, true);
+            listen(root.document, 'pointerdown', finalizeLcp, true);
+            listen(root.document, 'visibilitychange', function() {
+                if (root.document.visibilityState === 'hidden') {
+                    state.firstHiddenTime = Math.min(state.firstHiddenTime, root.performance ? root.performance.now() : 0);
+                    report();
+                }
+            });
+        }
+
+        listen(root, 'pagehide', report);
+    }
+
+    /**
+     * Disconnect the observers and listeners without sending
+     */
+    function stop() {
+        if (!state) {
+            return;
+        }
+
+        state.observers.forEach(function(observer) {
+            observer.disconnect();
+        });
+        state.teardowns.forEach(function(teardown) {
+            teardown();
+        });
+
+        state = null;
+    }
+
+    var vitals = {
+        start: start,
+        stop: stop,
+        report: report,
+        THRESHOLDS: THRESHOLDS
+    };
+
+    root.PSR3Vitals = vitals;
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = vitals;
+    }
+
+    if (root.PSR3_VITALS_AUTO_START !== false) {
+        start();
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,310 @@
+/**
+ * Enterprise PSR-3 Logger - Worker Error Handler
+ *
+ * Worker companion of error-handler.js for dedicated, shared and service
+ * workers: no window, document or sendBeacon. Captures 'error' and
+ * 'unhandledrejection' on self and either forwards the events to the page's
+ * PSR3Logger or sends them straight to the endpoint. Manual events are built
+ * by error-handler.js (PSR3Core.buildLogEvent), so it is loaded first.
+ *
+ * Every event is tagged with the worker type and script URL
+ * (tags.worker, tags.worker_script) and has an event ID, returned by the
+ * logging methods. Forwarded events get the page's session and page-view
+ * IDs; a worker sending itself has no tab session, so both identify the
+ * worker instance.
+ *
+ * Transports:
+ * - postMessage (dedicated workers, default): the page's error-handler.js
+ *   queues the event, so page scope, breadcrumbs, PII scrubbing, rate
+ *   limiting and batching all apply. The page must call
+ *   PSR3Logger.attachWorker(worker), which hands over a MessagePort of our
+ *   own: the worker's postMessage() channel stays the app's. Events logged
+ *   before the port arrives are held (up to 50).
+ * - fetch: batched POST to the endpoint from the worker itself (release tag,
+ *   dedupe and a per-minute cap only). Always used by service and shared
+ *   workers, which have no single page to forward to.
+ *
+ * Usage (inside the worker, before the app sets its own message handlers):
+ *   self.PSR3_WORKER_TRANSPORT = 'fetch';           // optional, see above
+ *   self.PSR3_ERROR_ENDPOINT = '/api/log/js-error'; // fetch transport only
+ *   self.PSR3_RELEASE = '1.4.2';                    // fetch transport only
+ *   importScripts('/js/error-handler.js', '/js/error-handler-worker.js');
+ *
+ *   var eventId = PSR3Logger.error('Chunk {n} failed', { n: 3, exception: err }); // null if dropped here
+ *
+ * @version 1.0.0
+ */
+(function(self) {
+    'use strict';
+
+    var core = self.PSR3Core;
+
+    if (!core) {
+        throw new Error('[PSR3] Load error-handler.js before error-handler-worker.js');
+    }
+
+    var config = {
+        transport: self.PSR3_WORKER_TRANSPORT || null,
+        endpoint: self.PSR3_ERROR_ENDPOINT || '/api/log/js-error',
+        release: self.PSR3_RELEASE || null,
+        maxErrorsPerMinute: 10,
+        dedupeWindowMs: 5000,
+        batchSize: 5,
+        batchDelayMs: 1000
+    };
+
+    var LEVELS = ['emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug'];
+
+    // Events held until the page's port arrives (postMessage transport)
+    var MAX_PENDING = 50;
+
+    var state = {
+        // Session and page-view ID of the fetch transport's events
+        instanceId: core.generateEventId(),
+        sentTimestamps: [],
+        recent: {},
+        queue: [],
+        sendTimeout: null,
+        port: null,
+        pending: []
+    };
+
+    /**
+     * Worker flavour: 'service', 'shared' or 'dedicated'
+     */
+    function workerType() {
+        if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+            return 'service';
+        }
+        if (typeof SharedWorkerGlobalScope !== 'undefined' && self instanceof SharedWorkerGlobalScope) {
+            return 'shared';
+        }
+
+        return 'dedicated';
+    }
+
+    var type = workerType();
+    var scriptUrl = self.location ? String(self.location.href).split(/[?#]/)[0] : '';
+
+    if (!config.transport || type !== 'dedicated') {
+        config.transport = type === 'dedicated' ? 'postMessage' : 'fetch';
+    }
+
+    // =========================================================================
+    // Event building
+    // =========================================================================
+
+    function createEvent(level, message, stack, extra) {
+        var event = {
+            event_id: core.generateEventId(),
+            level: level,
+            message: message,
+            url: scriptUrl,
+            userAgent: self.navigator ? self.navigator.userAgent : '',
+            tags: { worker: type, worker_script: scriptUrl }
+        };
+
+        if (stack) {
+            event.stack = String(stack);
+        }
+        if (extra && Object.keys(extra).length > 0) {
+            event.extra = extra;
+        }
+
+        return event;
+    }
+
+    /**
+     * @returns {string|null} Event ID, or null when dedupe or the per-minute
+     *     cap of the fetch transport dropped the event
+     */
+    function logEvent(level, message, context) {
+        var built = core.buildLogEvent(level, message, context);
+        var event = createEvent(built.level, built.message, built.stack, built.extra);
+
+        return dispatch(event);
+    }
+
+    function handleError(event) {
+        var error = event.error;
+        var data = createEvent(
+            'error',
+            event.message || (error && error.message) || 'Unknown worker error',
+            error && error.stack
+        );
+
+        if (event.filename) data.url = event.filename;
+        if (event.lineno) data.line = event.lineno;
+        if (event.colno) data.column = event.colno;
+
+        dispatch(data);
+    }
+
+    function handleRejection(event) {
+        var reason = event.reason;
+        var message = 'Unhandled Promise Rejection';
+        var stack = null;
+
+        if (reason) {
+            if (typeof reason === 'string') {
+                message = reason;
+            } else if (reason.message) {
+                message = reason.message;
+                stack = reason.stack;
+            } else {
+                try {
+                    message = JSON.stringify(reason);
+                } catch (e) {
+                    message = String(reason);
+                }
+            }
+        }
+
+        dispatch(createEvent('error', 'Unhandled Promise Rejection: ' + message, stack));
+    }
+
+    // =========================================================================
+    // Transports
+    // =========================================================================
+
+    function dispatch(event) {
+        if (config.transport === 'postMessage') {
+            forward(event);
+            return event.event_id;
+        }
+
+        return enqueue(event);
+    }
+
+    /**
+     * Hand the event to the page's PSR3Logger (see attachWorker() there)
+     */
+    function forward(event) {
+        if (state.port === null) {
+            if (state.pending.length < MAX_PENDING) {
+                state.pending.push(event);
+            }
+            return;
+        }
+
+        try {
+            state.port.postMessage({ psr3: 'event', event: event });
+        } catch (e) {
+            // Not cloneable (exotic extra values)
+            enqueue(event);
+        }
+    }
+
+    /**
+     * Take the port sent by the page's attachWorker(); the handshake message
+     * is not passed on to the app's own message handlers
+     */
+    function handlePortMessage(event) {
+        var data = event.data;
+
+        if (!data || data.psr3 !== 'port' || !event.ports || !event.ports[0]) {
+            return;
+        }
+
+        event.stopImmediatePropagation();
+
+        state.port = event.ports[0];
+        state.pending.splice(0).forEach(forward);
+    }
+
+    /**
+     * Dedupe and per-minute cap for the fetch transport
+     */
+    function shouldSend(event) {
+        var now = Date.now();
+        var key = event.level + ':' + event.message + ':' + (event.stack || '').slice(0, 200);
+
+        if (state.recent[key] && now - state.recent[key] < config.dedupeWindowMs) {
+            return false;
+        }
+        state.recent[key] = now;
+
+        state.sentTimestamps = state.sentTimestamps.filter(function(timestamp) {
+            return now - timestamp < 60000;
+        });
+        if (state.sentTimestamps.length >= config.maxErrorsPerMinute) {
+            return false;
+        }
+        state.sentTimestamps.push(now);
+
+        for (var recentKey in state.recent) {
+            if (now - state.recent[recentKey] >= config.dedupeWindowMs) {
+                delete state.recent[recentKey];
+            }
+        }
+
+        return true;
+    }
+
+    function enqueue(event) {
+        if (!shouldSend(event)) {
+            return null;
+        }
+
+        event.session_id = state.instanceId;
+        event.page_view_id = state.instanceId;
+
+        if (config.release) {
+            event.release = config.release;
+        }
+
+        state.queue.push(event);
+
+        if (state.queue.length >= config.batchSize) {
+            flush();
+        } else if (!state.sendTimeout) {
+            state.sendTimeout = setTimeout(flush, config.batchDelayMs);
+        }
+
+        return event.event_id;
+    }
+
+    function flush() {
+        if (state.sendTimeout) {
+            clearTimeout(state.sendTimeout);
+            state.sendTimeout = null;
+        }
+
+        if (state.queue.length === 0 || typeof self.fetch !== 'function') {
+            return;
+        }
+
+        var events = state.queue;
+        state.queue = [];
+
+        self.fetch(config.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(events),
+            keepalive: true,
+            credentials: 'same-origin'
+        }).catch(function() {
+            // Best effort: a worker has no durable storage we can rely on
+        });
+    }
+
+    self.addEventListener('error', handleError);
+    self.addEventListener('unhandledrejection', handleRejection);
+
+    if (config.transport === 'postMessage') {
+        self.addEventListener('message', handlePortMessage);
+    }
+
+    var api = {
+        log: logEvent,
+        flush: flush
+    };
+
+    LEVELS.forEach(function(level) {
+        api[level] = function(message, context) {
+            return logEvent(level, message, context);
+        };
+    });
+
+    self.PSR3Logger = api;
+})(self);
@@ -5,33 +5,151 @@
  * and sends them to the server-side PSR-3 logger.
  *
  * Features:
- * - Global error handler (window.onerror)
+ * - Global error handler ('error' listener - never replaces window.onerror)
+ * - Failed <script>, <link> and <img> loads (capture phase)
  * - Unhandled promise rejection handler
+ * - Ignore rules: ignoreErrors (message), denyUrls/allowUrls (script source and
+ *   top stack frame) and a built-in browser noise list
  * - Console override (optional)
- * - Rate limiting (max 10 errors per minute)
- * - Deduplication (same error within 5 seconds)
- * - Batching (sends errors in batches when possible)
- * - Offline queue (stores errors when offline)
+ * - Breadcrumbs (navigation, clicks, fetch/XHR, console) attached to each error
+ * - Failed fetch/XHR capture (opt-in: network errors, 5xx, optionally 4xx)
+ * - Safe serialization (cycles, depth/breadth limits, Errors, DOM nodes,
+ *   Map/Set, functions) and client-side truncation to the server's limits
+ * - PII scrubbing (emails, bearer/JWT tokens, card numbers, sensitive query keys)
+ * - beforeSend(event) hook to modify or drop events
+ * - Scoped user, tags and named contexts merged into every event
+ * - Events forwarded from dedicated workers (see error-handler-worker.js)
+ * - Core Web Vitals and long tasks, one summary per page view to the
+ *   js_vitals channel (opt-in, see error-handler-vitals.js)
+ * - Event ID (UUID) on every event, returned by the logging methods and
+ *   searchable in the admin log viewer (/logger/view?event_id=...)
+ * - Session ID (per tab, sessionStorage) and page-view ID on every event
+ * - W3C trace context (opt-in): traceparent header on same-origin fetch/XHR
+ *   (and tracePropagationTargets), one trace ID per page view, logged by PHP's RequestProcessor as trace_id
+ * - Content-Security-Policy violations (securitypolicyviolation), once per
+ *   directive, blocked URI and source file per page view, to the security channel
+ * - Crash and freeze detection (opt-in): a heartbeat per page view in
+ *   localStorage, cleared on a clean exit; the next page load reports page
+ *   views that stopped without one (OOM kill, renderer crash, hung tab)
+ * - User feedback dialog (opt-in on critical errors, or showReportDialog()),
+ *   linked to the error by event ID; CSP-safe, styled by error-handler-feedback.css
+ * - PSR-3 style API: all eight levels, log(level, ...), {placeholder}
+ *   interpolation, Error objects in the 'exception' context key
+ * - Sampling per level (critical is never sampled)
+ * - Rate limiting (token bucket per level, 10 events per minute by default)
+ * - Dropped event summary (rate limit / dedupe / sampling) sent periodically
+ * - Stack parsing (V8, Firefox, Safari) into structured frames
+ * - Deduplication by normalized fingerprint (same error within 5 seconds, on
+ *   any page)
+ * - Batching (one request per batch, sent as a JSON array)
+ * - Pluggable transports (beacon, fetch or custom) and gzip compression of
+ *   large batches (CompressionStream, where supported)
+ * - Retry with exponential backoff and jitter on 429/5xx responses, honoring
+ *   the server's retry_after; the queue is paused while blocked
+ * - Offline queue (failed/offline sends kept in localStorage, replayed on
+ *   reconnect and on the next page load)
  *
  * Usage:
  *   1. Include this script early in <head>
  *   2. Configure the endpoint (optional):
  *      window.PSR3_ERROR_ENDPOINT = '/api/log/js-error';
+ *   3. Enable failed request capture (optional):
+ *      window.PSR3_CAPTURE_NETWORK = true;
+ *   4. Tag events with the deployed release (optional, used by
+ *      bin/js-symbolicate.js to pick the matching source maps):
+ *      window.PSR3_RELEASE = '1.4.2';
+ *
+ * Programmatic control (SPAs, tests, micro-frontends):
+ *   window.PSR3_AUTO_INIT = false;          // before loading this script
+ *   PSR3Logger.init({ endpoint: '/logs', captureConsole: false });
+ *   PSR3Logger.configure({ debug: true }); // merge options at runtime
+ *   PSR3Logger.close();                     // flush, restore console/fetch/XHR/history, remove listeners
+ *
+ * Transports (one collector path per app, custom delivery):
+ *   PSR3Logger.init({ endpoint: '/collect/shop', transport: 'fetch' });
+ *   PSR3Logger.init({ transport: function(request, done) {   // request: url, body, headers, events, unloading
+ *       myQueue.push(request.body).then(function() { done(true); }, function() { done(false); });
+ *   } });
+ *   // request.body is a string, or an ArrayBuffer when headers['Content-Encoding'] === 'gzip'
+ *
+ * Feedback (include /css/error-handler-feedback.css for the dialog styles):
+ *   PSR3Logger.init({ reportDialog: true });  // open automatically on critical errors
+ *   PSR3Logger.showReportDialog();            // for the last error, or { eventId: '...' }
+ *   PSR3Logger.captureFeedback({ eventId: '...', comment: '...', email: '...' }); // own UI
+ *
+ * Trace correlation with PHP logs (RequestProcessor logs the trace_id):
+ *   window.PSR3_TRACE_PROPAGATION = true;   // or init({ tracePropagation: true })
+ *   PSR3Logger.init({ tracePropagationTargets: ['https://api.example.com/'] }); // other origins too
+ *   otherClient.get(url, { headers: { traceparent: PSR3Logger.getTraceparent() } });
+ *
+ * CSP violations (on by default, logged to the security channel; not sampled,
+ * rate limited or matched against ignoreErrors, denyUrls still apply):
+ *   window.PSR3_CAPTURE_CSP = false;        // or init({ captureCspViolations: false })
+ *
+ * Crash and freeze detection (reported by the next page load of the same origin):
+ *   window.PSR3_DETECT_CRASHES = true;      // or init({ detectCrashes: true })
+ *
+ * Workers (load error-handler-worker.js inside the worker):
+ *   var detach = PSR3Logger.attachWorker(new Worker('/js/import.js'));
+ *   // Service and shared workers send to the endpoint themselves
+ *
+ * Manual logging (PSR-3 style):
+ *   PSR3Logger.error('Order {id} failed', { id: 17, exception: err });
+ *   PSR3Logger.log('notice', 'Cache miss for {key}', { key: 'home' });
+ *   var eventId = PSR3Logger.error('Payment failed');  // null if dropped (filtered, sampled, rate limited)
+ *   showSupportCode(eventId || PSR3Logger.lastEventId()); // last error-or-worse event ID
+ *
+ * Scope (merged into every event, including automatically captured ones):
+ *   PSR3Logger.setUser({ id: 42, username: 'jdoe' });   // null to clear
+ *   PSR3Logger.setTag('tenant', 'acme');
+ *   PSR3Logger.setTags({ feature_checkout_v2: 'on' });
+ *   PSR3Logger.setContext('cart', { items: 3 });         // null to remove
+ *   PSR3Logger.withScope(function(logger) {              // synchronous only
+ *       logger.setTag('job', 'import');
+ *       logger.error('Import failed');
+ *   });
  *
  * @version 1.0.0
  */
 (function() {
     'use strict';
 
-    // Configuration
-    var config = {
+    var PSR3_LEVELS = ['emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug'];
+
+    // Loaded in a worker (before error-handler-worker.js): share the PSR-3
+    // event builder and event IDs only, everything below needs a window
+    if (typeof window === 'undefined') {
+        self.PSR3Core = { buildLogEvent: buildLogEvent, generateEventId: generateEventId };
+        return;
+    }
+
+    // Default configuration (window.PSR3_* globals are read once, at load time)
+    var defaults = {
         // API endpoint (can be overridden via window.PSR3_ERROR_ENDPOINT)
         endpoint: window.PSR3_ERROR_ENDPOINT || '/api/log/js-error',
 
-        // Rate limiting
-        maxErrorsPerMinute: 10,
+        // Release/version of the deployed bundle (selects source maps server-side)
+        release: window.PSR3_RELEASE || null,
+
+        // Filtering (strings: substring match, or RegExp). ignoreErrors matches the
+        // message; denyUrls/allowUrls the script source and the top stack frame.
+        ignoreErrors: [],
+        denyUrls: [],
+        allowUrls: [],              // non-empty: only errors from matching scripts are kept
+        ignoreBrowserNoise: true,   // built-in list (extensions, "Script error.", ResizeObserver...)
+
+        // Sampling: fraction of events kept per level (critical and above: always 1)
+        sampleRates: {},  // e.g. { debug: 0.1, info: 0.25, warning: 0.5 }
+
+        // Rate limiting: one token bucket per level, refilled continuously over
+        // rateLimitWindowMs, so a noisy level can't use up another level's budget
+        maxErrorsPerMinute: 10,  // default budget for every level
+        levelBudgets: {},        // per-level overrides, e.g. { warning: 5, critical: 30 }
         rateLimitWindowMs: 60000,
 
+        // Dropped event summary (sent when something was dropped, 0 = disabled)
+        droppedReportIntervalMs: 60000,
+
         // Deduplication
         dedupeWindowMs: 5000,
 
@@ -39,6 +157,72 @@
         batchSize: 5,
         batchDelayMs: 1000,
 
+        // Transport: 'auto' (fetch, beacon while the page is hidden or unloading),
+        // 'beacon', 'fetch', or a custom transport: function(request, done) /
+        // { send: function(request, done) }
+        // request = { url, body, headers, events, unloading }; body is the JSON string, or an
+        // ArrayBuffer of gzipped JSON when headers['Content-Encoding'] is 'gzip'
+        // ({ headers: false, send: ... } never gets one). Call done(true) when delivered,
+        // done(false) to keep the events in the offline queue, or
+        // done(false, { status: 429, retryAfter: 30 }) to back off as well
+        transport: 'auto',
+
+        // Backoff after 429/5xx (fetch path): base * 2^attempt with jitter, at
+        // least the server's retry_after, at most retryMaxDelayMs
+        retryBaseDelayMs: 1000,
+        retryMaxDelayMs: 300000,
+
+        // Gzip batches whose JSON is at least this many bytes (0 = never).
+        // Needs CompressionStream and a transport that can set headers (not beacon).
+        compressMinBytes: 1024,
+
+        // Offline queue (localStorage, capped and expired by age)
+        offlineStorageKey: 'psr3_error_queue',
+        offlineMaxItems: 50,
+        offlineTtlMs: 86400000,
+
+        // Breadcrumbs (ring buffer of recent user/app activity)
+        captureBreadcrumbs: window.PSR3_CAPTURE_BREADCRUMBS !== false,
+        maxBreadcrumbs: 20,
+
+        // Failed fetch/XHR capture (opt-in). Our own endpoint is always ignored.
+        captureNetworkErrors: window.PSR3_CAPTURE_NETWORK === true,
+        captureHttp4xx: false,
+        networkIgnoreUrls: [],  // strings (substring match) or RegExp
+
+        // W3C trace context (opt-in): add a traceparent header to same-origin
+        // fetch/XHR and a trace_id to every event (one trace per page view)
+        tracePropagation: window.PSR3_TRACE_PROPAGATION === true,
+        tracePropagationTargets: [],    // other origins to trace: strings (substring match) or RegExp
+
+        // CSP violations, reported to the security channel (window.PSR3_CAPTURE_CSP = false to disable)
+        captureCspViolations: window.PSR3_CAPTURE_CSP !== false,
+
+        // Crash and freeze detection (opt-in): heartbeat of this page view in
+        // localStorage (plus a Web Lock held while the page is open, where
+        // supported); the next page load reports page views without a clean exit
+        detectCrashes: window.PSR3_DETECT_CRASHES === true,
+        heartbeatIntervalMs: 5000,
+        heartbeatStorageKey: 'psr3_heartbeats',
+
+        // Serialization of console arguments, extra and contexts
+        maxDepth: 5,           // nested levels kept ('[Object]' / '[Array(n)]' below)
+        maxBreadth: 50,        // items per array/Map/Set, keys per object
+        maxStringLength: 1000, // per string value
+
+        // PII scrubbing, applied to every string in the event before it is queued
+        scrubPii: true,
+        scrubQueryParams: ['token', 'access_token', 'refresh_token', 'id_token', 'password', 'passwd', 'secret', 'api_key', 'apikey', 'auth', 'signature'],
+
+        // Last chance to modify an event: function(event) { return event; }
+        // Return null/false to drop it. Runs after scrubbing, sampling,
+        // deduplication and rate limiting, just before the event is queued.
+        beforeSend: null,
+
+        // Feedback dialog: open automatically on critical (and worse) errors, once per page
+        reportDialog: false,
+        reportDialogLabels: {},  // overrides for FEEDBACK_LABELS (title, subtitle, comment, ...)
+
         // Debug mode (logs to console)
         debug: window.PSR3_ERROR_DEBUG || false,
 
@@ -46,15 +230,105 @@
         captureConsole: window.PSR3_CAPTURE_CONSOLE !== false
     };
 
+    // Options that change what init() installs or how often its timers run
+    // (configure() re-installs on change)
+    var INSTRUMENTATION_KEYS = ['captureConsole', 'captureBreadcrumbs', 'captureNetworkErrors', 'tracePropagation', 'captureCspViolations', 'detectCrashes',
+        'heartbeatIntervalMs', 'droppedReportIntervalMs'];
+
+    // Active configuration (defaults merged with init()/configure() options)
+    var config = extend({}, defaults);
+
     // State
-    var state = {
-        errorCount: 0,
-        errorCountResetTime: Date.now() + config.rateLimitWindowMs,
-        recentErrors: {},  // hash -> timestamp for deduplication
-        errorQueue: [],
-        sendTimeout: null,
-        initialized: false
-    };
+    var state = createState();
+
+    // User, tags and named contexts (kept across init(), cleared by close())
+    var scope = createScope();
+
+    // Errors logged with an exception context: printed to the console
+    // afterwards (e.g. by the Vue integration), they are not captured again
+    var loggedErrors = typeof WeakSet === 'function' ? new WeakSet() : null;
+
+    /**
+     * Fresh runtime state (used on load and on every init())
+     */
+    function createState() {
+        return {
+            buckets: {},       // level -> {tokens, updatedAt}
+            dropped: { rate_limit: 0, dedupe: 0, sampling: 0 },
+            droppedByLevel: {},
+            recentErrors: {},  // hash -> timestamp for deduplication
+            errorQueue: [],
+            breadcrumbs: [],
+            lastUrl: window.location.href,
+            sendTimeout: null,
+            sessionId: null,   // per tab, kept in sessionStorage across page loads
+            pageViewId: null,  // per init()
+            traceId: null,     // W3C trace ID of this page view (32 hex)
+            cspReported: {},   // directive|blocked URI|source file -> true (once per page view)
+            pageStartedAt: Date.now(),
+            heartbeatVisibility: null,  // 'visible', 'hidden' or 'frozen' (null: not tracking)
+            heartbeatWrittenAt: 0,
+            heartbeatTimeout: null,     // trailing write of throttled breadcrumb heartbeats
+            lastErrorEventId: null,  // last queued error-or-worse event (feedback default)
+            reportDialogShown: false,
+            retryAttempt: 0,   // consecutive 429/5xx responses
+            pausedUntil: 0,    // no requests before this timestamp
+            retryTimeout: null,
+            replaying: false,  // an offline queue batch is in flight
+            unloading: false,  // flushing from pagehide/visibilitychange (no response will be read)
+            teardowns: [],     // undo functions for everything install() did
+            initialized: false
+        };
+    }
+
+    function createScope() {
+        return { user: null, tags: {}, contexts: {} };
+    }
+
+    /**
+     * Shallow-copy own properties of source into target
+     */
+    function extend(target, source) {
+        for (var key in source) {
+            if (Object.prototype.hasOwnProperty.call(source, key)) {
+                target[key] = source[key];
+            }
+        }
+        return target;
+    }
+
+    /**
+     * addEventListener that close() will undo
+     */
+    function listen(target, type, handler, capture) {
+        target.addEventListener(type, handler, capture || false);
+        state.teardowns.push(function() {
+            target.removeEventListener(type, handler, capture || false);
+        });
+    }
+
+    /**
+     * Replace obj[name] with factory(original); close() restores the original
+     *
+     * If other code has wrapped obj[name] since, restoring would throw its
+     * wrapper away: ours is left in the chain as a pass-through instead.
+     */
+    function patch(obj, name, factory) {
+        var original = obj[name];
+        var wrapped = factory(original);
+        var active = true;
+        var wrapper = function() {
+            return (active ? wrapped : original).apply(this, arguments);
+        };
+
+        obj[name] = wrapper;
+        state.teardowns.push(function() {
+            active = false;
+            if (obj[name] === wrapper) {
+                obj[name] = original;
+            }
+        });
+    }
 
     /**
      * Simple hash function for error deduplication
@@ -69,263 +343,2608 @@
         return hash.toString(36);
     }
 
+    // =========================================================================
+    // Stack Parsing and Fingerprints
+    // =========================================================================
+
+    // V8: "    at fn (file:1:2)", "    at file:1:2", "    at async fn (file:1:2)"
+    var V8_FRAME = /^\s*at\s+(?:(.+?)\s+\()?(.+?):(\d+):(\d+)\)?\s*$/;
+
+    // Firefox/Safari: "fn@file:1:2", "@file:1:2", "global code@file:1:2"
+    var GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+    var MAX_FRAMES = 50;
+
+    /**
+     * Parse a stack string into frames: {function, file, line, column}
+     *
+     * Lines that match no known format (the message line, "[native code]")
+     * are skipped.
+     */
+    function parseStack(stack) {
+        var frames = [];
+
+        if (typeof stack !== 'string') return frames;
+
+        stack.split('\n').forEach(function(line) {
+            if (frames.length >= MAX_FRAMES) return;
+
+            var match = V8_FRAME.exec(line) || GECKO_FRAME.exec(line);
+            if (!match) return;
+
+            frames.push({
+                'function': (match[1] || '').replace(/^async\s+/, '') || '<anonymous>',
+                file: match[2],
+                line: parseInt(match[3], 10),
+                column: parseInt(match[4], 10)
+            });
+        });
+
+        return frames;
+    }
+
+    /**
+     * Deploy-independent file name: no origin, query string, hash or
+     * content-hash segment (app.3f2a9c1b.js -> /app.js)
+     */
+    function normalizeFrameFile(file) {
+        return String(file)
+            .split('#')[0]
+            .split('?')[0]
+            .replace(/^[a-z][a-z0-9+.-]*:\/\/[^\/]*/i, '')
+            .replace(/[.-][0-9a-f]{8,}(?=\.[a-z]+$)/i, '');
+    }
+
+    /**
+     * Browser-independent message: no "Uncaught " prefix, numbers replaced
+     */
+    function normalizeMessage(message) {
+        return String(message)
+            .replace(/^Uncaught\s+/, '')
+            .replace(/\d+/g, '<n>');
+    }
+
+    /**
+     * Stable grouping key: normalized message + top frames (function@file)
+     *
+     * The page URL is deliberately not part of it: the same bug hit on two
+     * pages is one group, and deduplicated as one error.
+     */
+    function computeFingerprint(message, frames) {
+        var key = normalizeMessage(message);
+
+        frames.slice(0, 5).forEach(function(frame) {
+            key += '|' + frame['function'] + '@' + normalizeFrameFile(frame.file);
+        });
+
+        return simpleHash(key);
+    }
+
+    /**
+     * Levels that are never sampled away
+     */
+    function isNeverSampled(level) {
+        return level === 'critical' || level === 'alert' || level === 'emergency';
+    }
+
+    /**
+     * Take one token from the level's bucket
+     */
+    function takeToken(level) {
+        var capacity = config.levelBudgets[level] !== undefined ? config.levelBudgets[level] : config.maxErrorsPerMinute;
+        var now = Date.now();
+        var bucket = state.buckets[level];
+
+        if (!bucket) {
+            bucket = state.buckets[level] = { tokens: capacity, updatedAt: now };
+        }
+
+        // Refill continuously: capacity tokens per rateLimitWindowMs
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * capacity / config.rateLimitWindowMs);
+        bucket.updatedAt = now;
+
+        if (bucket.tokens < 1) {
+            return false;
+        }
+
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * Count a dropped event for the periodic summary
+     */
+    function recordDrop(reason, level) {
+        state.dropped[reason]++;
+        state.droppedByLevel[level] = (state.droppedByLevel[level] || 0) + 1;
+
+        if (config.debug) {
+            console.log('[PSR3] Dropped ' + level + ' event (' + reason + ')');
+        }
+    }
+
+    /**
+     * Check if error should be sent (sampling + deduplication + rate limiting)
+     *
+     * Runs before the event is serialized and scrubbed, so dropped events
+     * cost a stack parse and nothing more.
+     *
+     * @param {string} level
+     * @param {string} hash Event fingerprint
+     */
+    function shouldSendError(level, hash) {
+        var now = Date.now();
+
+        // Sampling (cheapest check first)
+        var rate = config.sampleRates[level];
+        if (!isNeverSampled(level) && rate !== undefined && Math.random() >= rate) {
+            recordDrop('sampling', level);
+            return false;
+        }
+
+        // Deduplicate by fingerprint (stable across browsers, deploys, query strings and pages)
+        // Check for duplicate within window
+        if (state.recentErrors[hash] && now - state.recentErrors[hash] < config.dedupeWindowMs) {
+            recordDrop('dedupe', level);
+            return false;
+        }
+
+        // Check the level's rate limit budget
+        if (!takeToken(level)) {
+            recordDrop('rate_limit', level);
+            return false;
+        }
+
+        // Update state
+        state.recentErrors[hash] = now;
+
+        // Cleanup old hashes (keep memory usage low)
+        var cutoff = now - config.dedupeWindowMs;
+        for (var key in state.recentErrors) {
+            if (state.recentErrors[key] < cutoff) {
+                delete state.recentErrors[key];
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Queue a summary of dropped events (if any) and reset the counters
+     *
+     * The summary bypasses sampling and rate limiting - it is how we see
+     * what those dropped.
+     */
+    function reportDropped() {
+        var dropped = state.dropped;
+        var total = dropped.rate_limit + dropped.dedupe + dropped.sampling;
+
+        if (total === 0) return;
+
+        var event = {
+            level: 'warning',
+            message: total + ' client events dropped (rate limit: ' + dropped.rate_limit +
+                ', dedupe: ' + dropped.dedupe + ', sampling: ' + dropped.sampling + ')',
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            event_id: generateEventId(),
+            extra: {
+                dropped: dropped,
+                dropped_by_level: state.droppedByLevel
+            }
+        };
+
+        applyCorrelation(event);
+
+        if (config.release) event.release = config.release;
+
+        state.errorQueue.push(event);
+
+        state.dropped = { rate_limit: 0, dedupe: 0, sampling: 0 };
+        state.droppedByLevel = {};
+
+        if (!state.sendTimeout) {
+            state.sendTimeout = setTimeout(sendErrors, config.batchDelayMs);
+        }
+    }
+
+    function startDroppedReporting() {
+        if (!config.droppedReportIntervalMs) return;
+
+        var intervalId = setInterval(reportDropped, config.droppedReportIntervalMs);
+
+        state.teardowns.push(function() {
+            clearInterval(intervalId);
+        });
+    }
+
+    // =========================================================================
+    // Ignore Rules
+    // =========================================================================
+
+    // Known browser noise: nothing the page can act on
+    var BROWSER_NOISE_MESSAGES = [
+        /^(Uncaught )?Script error\.?$/,   // cross-origin script without CORS, no details
+        /ResizeObserver loop (limit exceeded|completed with undelivered notifications)/,
+        /instantSearchSDKJSBridgeClearHighlight/,   // Edge/Bing on iOS
+        /_AutofillCallbackHandler/,                 // Facebook/Instagram in-app browser
+        /__gCrWeb/                                  // Chrome on iOS
+    ];
+
+    var BROWSER_NOISE_URLS = [
+        /^(chrome|moz|safari|safari-web|ms-browser)-extension:\/\//,
+        /^webkit-masked-url:/
+    ];
+
+    /**
+     * Check a string against rules (strings: substring match, or RegExp)
+     */
+    function matchesAny(value, rules) {
+        return rules.some(function(rule) {
+            if (typeof rule === 'string') {
+                return value.indexOf(rule) !== -1;
+            }
+
+            // Duck-typed: a RegExp from another frame fails instanceof
+            return !!rule && typeof rule.test === 'function' && rule.test(value);
+        });
+    }
+
+    /**
+     * Script URL excluded by denyUrls (or the noise list), or not in allowUrls
+     */
+    function isDeniedUrl(url) {
+        if (!url) return false;
+
+        var denyUrls = config.ignoreBrowserNoise ? config.denyUrls.concat(BROWSER_NOISE_URLS) : config.denyUrls;
+
+        if (matchesAny(url, denyUrls)) return true;
+
+        return config.allowUrls.length > 0 && !matchesAny(url, config.allowUrls);
+    }
+
+    /**
+     * Message ignore rules and URL rules on the top stack frame
+     */
+    function isIgnoredEvent(errorData) {
+        var ignoreErrors = config.ignoreBrowserNoise ? config.ignoreErrors.concat(BROWSER_NOISE_MESSAGES) : config.ignoreErrors;
+
+        if (matchesAny(String(errorData.message), ignoreErrors)) {
+            return true;
+        }
+
+        var frames = parseStack(errorData.stack);
+
+        return frames.length > 0 && isDeniedUrl(frames[0].file);
+    }
+
+    // =========================================================================
+    // Serialization and Size Limits
+    // =========================================================================
+
+    var TRUNCATED_MARKER = '...[truncated]';
+
+    // Server-side limits (JsEventCollector::processJsError): anything longer is
+    // cut there without a marker, so cut it here first
+    var FIELD_LIMITS = { message: 2000, stack: 5000, url: 500, userAgent: 500 };
+    var MAP_VALUE_LIMIT = 200;        // user and tags values
+    var BREADCRUMB_MESSAGE_LIMIT = 300;
+    var MAX_CONTEXTS_BYTES = 5000;    // contexts over this are dropped whole by the server
+
+    /**
+     * UTF-8 byte length (the server counts bytes, not UTF-16 units)
+     */
+    function byteLength(str) {
+        var bytes = 0;
+
+        for (var i = 0; i < str.length; i++) {
+            var code = str.charCodeAt(i);
+
+            if (code < 0x80) {
+                bytes += 1;
+            } else if (code < 0x800) {
+                bytes += 2;
+            } else if (code >= 0xD800 && code <= 0xDBFF) {
+                bytes += 4;
+                i++;
+            } else {
+                bytes += 3;
+            }
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Cut a string to maxBytes UTF-8 bytes, marker included
+     */
+    function truncate(str, maxBytes) {
+        if (typeof str !== 'string' || str.length * 3 <= maxBytes || byteLength(str) <= maxBytes) {
+            return str;
+        }
+
+        var budget = maxBytes - TRUNCATED_MARKER.length;
+        var end = Math.min(str.length, budget);
+
+        while (end > 0 && byteLength(str.slice(0, end)) > budget) {
+            end = Math.floor(end * 0.9);
+        }
+
+        // Don't split a surrogate pair
+        var code = str.charCodeAt(end - 1);
+        if (code >= 0xD800 && code <= 0xDBFF) {
+            end--;
+        }
+
+        return str.slice(0, end) + TRUNCATED_MARKER;
+    }
+
+    function describeNode(node) {
+        if (node.nodeType === 1 && node.tagName) {
+            return '[HTMLElement: ' + describeElement(node) + ']';
+        }
+
+        return '[Node: ' + (node.nodeName || node.nodeType) + ']';
+    }
+
+    /**
+     * JSON-safe copy of any value
+     *
+     * Cycles become '[Circular]', values below maxDepth '[Object]'/'[Array(n)]',
+     * and the items over maxBreadth are summarized by a '[truncated]' entry.
+     */
+    function serialize(value) {
+        return serializeValue(value, 0, []);
+    }
+
+    function serializeValue(value, depth, ancestors) {
+        var type = typeof value;
+
+        if (value === null || type === 'boolean') {
+            return value;
+        }
+        if (type === 'string') {
+            return truncate(value, config.maxStringLength);
+        }
+        if (type === 'number') {
+            return isFinite(value) ? value : String(value);
+        }
+        if (type === 'undefined') {
+            return '[undefined]';
+        }
+        if (type === 'function') {
+            return '[Function: ' + (value.name || 'anonymous') + ']';
+        }
+        if (type !== 'object') {
+            // symbol, bigint
+            return String(value);
+        }
+
+        if (value === window) {
+            return '[Window]';
+        }
+        if (typeof value.nodeType === 'number' && typeof value.nodeName === 'string') {
+            return describeNode(value);
+        }
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? '[Invalid Date]' : value.toISOString();
+        }
+        if (value instanceof RegExp) {
+            return String(value);
+        }
+
+        if (ancestors.indexOf(value) !== -1) {
+            return '[Circular]';
+        }
+
+        if (value instanceof Error) {
+            var error = { name: value.name || 'Error', message: truncate(String(value.message), config.maxStringLength) };
+
+            if (value.stack) {
+                error.stack = truncate(String(value.stack), FIELD_LIMITS.stack);
+            }
+
+            return error;
+        }
+
+        var isMap = typeof Map === 'function' && value instanceof Map;
+        var isSet = typeof Set === 'function' && value instanceof Set;
+        var isArray = Array.isArray(value);
+
+        if (depth >= config.maxDepth) {
+            if (isArray) return '[Array(' + value.length + ')]';
+            if (isMap) return '[Map(' + value.size + ')]';
+            if (isSet) return '[Set(' + value.size + ')]';
+            return '[Object]';
+        }
+
+        ancestors.push(value);
+
+        var result;
+
+        if (isMap || isSet) {
+            var items = [];
+            value.forEach(function(item, key) {
+                items.push(isMap ? [key, item] : item);
+            });
+            result = {};
+            result[isMap ? '[Map]' : '[Set]'] = serializeList(items, depth + 1, ancestors);
+        } else if (isArray) {
+            result = serializeList(value, depth, ancestors);
+        } else {
+            result = {};
+            var keys = Object.keys(value);
+
+            for (var i = 0; i < keys.length && i < config.maxBreadth; i++) {
+                try {
+                    result[keys[i]] = serializeValue(value[keys[i]], depth + 1, ancestors);
+                } catch (e) {
+                    // Throwing getter
+                    result[keys[i]] = '[Unreadable]';
+                }
+            }
+
+            if (keys.length > config.maxBreadth) {
+                result['[truncated]'] = (keys.length - config.maxBreadth) + ' more keys';
+            }
+        }
+
+        ancestors.pop();
+
+        return result;
+    }
+
+    function serializeList(list, depth, ancestors) {
+        var result = [];
+
+        for (var i = 0; i < list.length && i < config.maxBreadth; i++) {
+            result.push(serializeValue(list[i], depth + 1, ancestors));
+        }
+
+        if (list.length > config.maxBreadth) {
+            result.push('[truncated] ' + (list.length - config.maxBreadth) + ' more items');
+        }
+
+        return result;
+    }
+
+    /**
+     * One-line string form of any value (console arguments)
+     */
+    function stringify(value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+        if (value instanceof Error) {
+            return (value.name || 'Error') + ': ' + value.message;
+        }
+
+        var serialized = serialize(value);
+
+        return typeof serialized === 'string' ? serialized : JSON.stringify(serialized);
+    }
+
+    /**
+     * Keep whole named contexts while the total stays under the server limit
+     */
+    function limitContexts(contexts) {
+        var kept = {};
+        var dropped = [];
+
+        Object.keys(contexts).forEach(function(name) {
+            kept[name] = contexts[name];
+
+            if (byteLength(JSON.stringify(kept)) > MAX_CONTEXTS_BYTES - 100) {
+                delete kept[name];
+                dropped.push(name);
+            }
+        });
+
+        if (dropped.length > 0) {
+            kept['[truncated]'] = dropped.slice(0, 10);
+        }
+
+        return kept;
+    }
+
+    function limitMap(map) {
+        var limited = {};
+
+        for (var key in map) {
+            if (Object.prototype.hasOwnProperty.call(map, key)) {
+                limited[key] = truncate(map[key], MAP_VALUE_LIMIT);
+            }
+        }
+
+        return limited;
+    }
+
+    /**
+     * Truncate event fields to the server's limits, with an explicit marker
+     */
+    function applySizeLimits(event) {
+        for (var field in FIELD_LIMITS) {
+            if (typeof event[field] === 'string') {
+                event[field] = truncate(event[field], FIELD_LIMITS[field]);
+            }
+        }
+
+        if (event.user) event.user = limitMap(event.user);
+        if (event.tags) event.tags = limitMap(event.tags);
+        if (event.metrics) event.metrics = limitMap(event.metrics);
+        if (event.csp) event.csp = limitMap(event.csp);
+        if (event.contexts) event.contexts = limitContexts(event.contexts);
+
+        if (event.breadcrumbs) {
+            event.breadcrumbs = event.breadcrumbs.map(function(crumb) {
+                var limited = extend({}, crumb);
+                limited.message = truncate(String(crumb.message), BREADCRUMB_MESSAGE_LIMIT);
+                if (crumb.data) limited.data = limitMap(crumb.data);
+                return limited;
+            });
+        }
+
+        return event;
+    }
+
+    // =========================================================================
+    // PII Scrubbing and beforeSend
+    // =========================================================================
+
+    var EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+    var AUTH_HEADER_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+\/=-]+/gi;
+    var JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+    var CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+    /**
+     * Luhn checksum (keeps order IDs and timestamps out of the card scrubber)
+     */
+    function isLuhnValid(digits) {
+        var sum = 0;
+        var double = false;
+
+        for (var i = digits.length - 1; i >= 0; i--) {
+            var d = parseInt(digits.charAt(i), 10);
+            if (double) {
+                d *= 2;
+                if (d > 9) d -= 9;
+            }
+            sum += d;
+            double = !double;
+        }
+
+        return sum % 10 === 0;
+    }
+
+    function escapeRegExp(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Replace PII in a single string
+     */
+    function scrubString(str) {
+        var result = str
+            .replace(AUTH_HEADER_PATTERN, '$1 [Filtered]')
+            .replace(JWT_PATTERN, '[jwt]')
+            .replace(EMAIL_PATTERN, '[email]')
+            .replace(CARD_PATTERN, function(match) {
+                return isLuhnValid(match.replace(/[ -]/g, '')) ? '[card]' : match;
+            });
+
+        if (config.scrubQueryParams.length > 0) {
+            var keys = config.scrubQueryParams.map(escapeRegExp).join('|');
+            result = result.replace(new RegExp('([?&;#](?:' + keys + ')=)[^&#\\s"\']*', 'gi'), '$1[Filtered]');
+        }
+
+        return result;
+    }
+
+    /**
+     * Recursively scrub strings in event values (objects, arrays)
+     */
+    function scrubValue(value, depth) {
+        if (typeof value === 'string') {
+            return scrubString(value);
+        }
+
+        if (value === null || typeof value !== 'object' || depth > 10) {
+            return value;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(function(item) {
+                return scrubValue(item, depth + 1);
+            });
+        }
+
+        var copy = {};
+        for (var key in value) {
+            if (Object.prototype.hasOwnProperty.call(value, key)) {
+                copy[key] = scrubValue(value[key], depth + 1);
+            }
+        }
+        return copy;
+    }
+
+    /**
+     * Add frames + fingerprint to an event, then serialize and scrub it
+     */
+    function prepareEvent(errorData, frames, fingerprint) {
+        if (errorData.extra !== undefined) errorData.extra = serialize(errorData.extra);
+        if (errorData.contexts) errorData.contexts = serialize(errorData.contexts);
+
+        if (frames.length > 0) {
+            errorData.frames = frames;
+        }
+        errorData.fingerprint = fingerprint;
+
+        return config.scrubPii ? scrubValue(errorData, 0) : errorData;
+    }
+
+    /**
+     * Run an event that passed every other check through beforeSend
+     *
+     * @returns {Object|null} Event to queue, or null to drop it
+     */
+    function runBeforeSend(event) {
+        if (typeof config.beforeSend !== 'function') {
+            return event;
+        }
+
+        try {
+            var result = config.beforeSend(event);
+
+            if (!result && config.debug) {
+                console.log('[PSR3] Event dropped by beforeSend');
+            }
+
+            return result || null;
+        } catch (e) {
+            // A broken hook must not lose the event
+            if (config.debug) {
+                console.log('[PSR3] beforeSend threw, sending event unchanged:', e);
+            }
+            return event;
+        }
+    }
+
+    // =========================================================================
+    // Scope (user, tags, named contexts)
+    // =========================================================================
+
+    function setUser(user) {
+        scope.user = user ? extend({}, user) : null;
+    }
+
+    function setTag(key, value) {
+        scope.tags[key] = value;
+    }
+
+    function setTags(tags) {
+        extend(scope.tags, tags || {});
+    }
+
+    function setContext(name, context) {
+        if (context === null || context === undefined) {
+            delete scope.contexts[name];
+        } else {
+            scope.contexts[name] = context;
+        }
+    }
+
+    /**
+     * Run callback with a temporary copy of the scope; changes made inside
+     * (and events logged inside) don't leak out once it returns
+     */
+    function withScope(callback) {
+        var previous = scope;
+
+        scope = {
+            user: previous.user,
+            tags: extend({}, previous.tags),
+            contexts: extend({}, previous.contexts)
+        };
+
+        try {
+            return callback(window.PSR3Logger);
+        } finally {
+            scope = previous;
+        }
+    }
+
+    /**
+     * Merge the current scope into an event (event values win)
+     */
+    function applyScope(errorData) {
+        if (scope.user) {
+            errorData.user = extend(extend({}, scope.user), errorData.user || {});
+        }
+
+        var tags = extend(extend({}, scope.tags), errorData.tags || {});
+        if (Object.keys(tags).length > 0) {
+            errorData.tags = tags;
+        }
+
+        var contexts = extend(extend({}, scope.contexts), errorData.contexts || {});
+        if (Object.keys(contexts).length > 0) {
+            errorData.contexts = contexts;
+        }
+    }
+
+    // =========================================================================
+    // PSR-3 Logging API
+    // =========================================================================
+
+    /**
+     * Replace {key} placeholders with context values (PSR-3 interpolation)
+     *
+     * Only values with a sensible string form are used; arrays and plain
+     * objects leave the placeholder untouched.
+     */
+    function interpolate(message, context) {
+        return message.replace(/\{([A-Za-z0-9_.]+)\}/g, function(placeholder, key) {
+            if (!Object.prototype.hasOwnProperty.call(context, key)) {
+                return placeholder;
+            }
+
+            var value = context[key];
+
+            if (value === null || value === undefined) {
+                return String(value);
+            }
+            if (value instanceof Date) {
+                return value.toISOString();
+            }
+            if (value instanceof Error) {
+                return value.message;
+            }
+            if (Array.isArray(value)) {
+                return placeholder;
+            }
+            if (typeof value === 'object' && value.toString === Object.prototype.toString) {
+                return placeholder;
+            }
+
+            return String(value);
+        });
+    }
+
+    /**
+     * Build a manual log event: {level, message, stack, extra}
+     *
+     * Shared with error-handler-worker.js (PSR3Core.buildLogEvent).
+     *
+     * @param {string} level PSR-3 level (unknown levels are logged as error, like the server does)
+     * @param {string} message Message with optional {placeholders}
+     * @param {Object} [context] Placeholder values and extra data; an Error in
+     *                           context.exception provides the stack
+     */
+    function buildLogEvent(level, message, context) {
+        level = String(level).toLowerCase();
+        if (PSR3_LEVELS.indexOf(level) === -1) {
+            level = 'error';
+        }
+
+        context = context || {};
+
+        var event = {
+            level: level,
+            message: interpolate(String(message), context)
+        };
+
+        var extra = {};
+
+        for (var key in context) {
+            if (!Object.prototype.hasOwnProperty.call(context, key)) continue;
+
+            var value = context[key];
+
+            if (key === 'exception' && value && (value instanceof Error || value.stack)) {
+                if (value.stack) {
+                    event.stack = String(value.stack);
+                }
+                extra.exception = { name: value.name || 'Error', message: value.message || String(value) };
+                continue;
+            }
+
+            extra[key] = value;
+        }
+
+        if (Object.keys(extra).length > 0) {
+            event.extra = extra;
+        }
+
+        return event;
+    }
+
+    /**
+     * Build and queue a manual log event (see buildLogEvent)
+     */
+    function logEvent(level, message, context) {
+        var event = buildLogEvent(level, message, context);
+
+        if (loggedErrors && context && context.exception && typeof context.exception === 'object') {
+            loggedErrors.add(context.exception);
+        }
+
+        event.url = window.location.href;
+        event.userAgent = navigator.userAgent;
+
+        return queueError(event);
+    }
+
+    var CAPTURE_EVENT_FIELDS = ['level', 'message', 'stack', 'url', 'line', 'column', 'extra', 'tags', 'channel', 'metrics'];
+
+    /**
+     * Queue a pre-built event (used by the optional modules)
+     *
+     * channel picks a server-side JS channel other than js_errors (the server
+     * only accepts the ones it knows); such events skip sampling, dedupe, rate
+     * limits and breadcrumbs. metrics is a flat map of numbers and short
+     * strings, logged as top-level context keys (names the server uses itself,
+     * like event_id or url, are dropped).
+     *
+     * @param {Object} event { level, message, stack?, url?, line?, column?, extra?, tags?, channel?, metrics? }
+     * @returns {string|null} Event ID, or null when the event was dropped
+     */
+    function captureEvent(event) {
+        if (!event || typeof event.message !== 'string' || event.message === '') {
+            return null;
+        }
+
+        var errorData = {};
+
+        CAPTURE_EVENT_FIELDS.forEach(function(field) {
+            if (event[field] !== undefined && event[field] !== null) {
+                errorData[field] = event[field];
+            }
+        });
+
+        errorData.level = PSR3_LEVELS.indexOf(errorData.level) !== -1 ? errorData.level : 'error';
+        errorData.url = errorData.url || window.location.href;
+        errorData.userAgent = navigator.userAgent;
+
+        return queueError(errorData);
+    }
+
+    /**
+     * Whether an event goes to js_errors
+     *
+     * Sampling, dedupe, rate limits, breadcrumbs and the feedback dialog are
+     * meant for errors; other channels (js_vitals summaries, CSP reports) carry
+     * at most a few records per page view that would otherwise be dropped or
+     * pollute the error buckets.
+     */
+    function isErrorChannel(errorData) {
+        return !errorData.channel || errorData.channel === 'js_errors';
+    }
+
+    /**
+     * Queue error for sending
+     *
+     * @returns {string|null} Event ID, or null when the event was dropped
+     *     (not initialized, ignored, sampling, dedupe, rate limit or beforeSend;
+     *     the middle three only apply to js_errors events)
+     */
+    function queueError(errorData) {
+        if (!state.initialized) {
+            return null;
+        }
+
+        // CSP reports have their own URL rules (handleCspViolation); an
+        // ignoreErrors pattern written for error messages must not hide them
+        if (!errorData.csp && isIgnoredEvent(errorData)) {
+            if (config.debug) {
+                console.log('[PSR3] Event ignored by filter rules:', errorData.message);
+            }
+            return null;
+        }
+
+        // Fingerprinted from the scrubbed message, so PII doesn't split groups
+        var frames = parseStack(errorData.stack);
+        var message = String(errorData.message);
+        var fingerprint = computeFingerprint(config.scrubPii ? scrubString(message) : message, frames);
+
+        var isError = isErrorChannel(errorData);
+
+        if (isError && !shouldSendError(errorData.level || 'error', fingerprint)) {
+            return null;
+        }
+
+        if (!errorData.event_id) {
+            errorData.event_id = generateEventId();
+        }
+
+        applyCorrelation(errorData);
+
+        if (config.release) {
+            errorData.release = config.release;
+        }
+
+        applyScope(errorData);
+
+        if (isError && !errorData.breadcrumbs && state.breadcrumbs.length > 0) {
+            errorData.breadcrumbs = state.breadcrumbs.slice();
+        }
+
+        errorData = prepareEvent(errorData, frames, fingerprint);
+
+        // Last, so the hook only sees events that will actually be sent
+        errorData = runBeforeSend(errorData);
+
+        if (!errorData) {
+            return null;
+        }
+
+        errorData = applySizeLimits(errorData);
+
+        state.errorQueue.push(errorData);
+
+        if (isError && PSR3_LEVELS.indexOf(errorData.level) !== -1 && PSR3_LEVELS.indexOf(errorData.level) <= PSR3_LEVELS.indexOf('error')) {
+            state.lastErrorEventId = errorData.event_id;
+        }
+
+        if (isError && config.reportDialog && isNeverSampled(errorData.level) && !state.reportDialogShown) {
+            showReportDialog({ eventId: errorData.event_id });
+        }
+
+        // Send immediately if batch size reached
+        if (state.errorQueue.length >= config.batchSize) {
+            sendErrors();
+        } else if (!state.sendTimeout) {
+            // Otherwise schedule send after delay
+            state.sendTimeout = setTimeout(sendErrors, config.batchDelayMs);
+        }
+
+        return errorData.event_id || null;
+    }
+
+    /**
+     * Send queued errors to server
+     */
+    function sendErrors() {
+        if (state.sendTimeout) {
+            clearTimeout(state.sendTimeout);
+            state.sendTimeout = null;
+        }
+
+        if (state.errorQueue.length === 0) {
+            return;
+        }
+
+        // Take all errors from queue
+        var errors = state.errorQueue.splice(0, state.errorQueue.length);
+
+        // Backing off: park them with the offline queue, replayed on resume
+        if (isPaused()) {
+            persistErrors(errors);
+            return;
+        }
+
+        sendBatch(errors);
+    }
+
+    /**
+     * Send queued errors while the page is going away (beacon for 'auto')
+     */
+    function flushOnExit() {
+        state.unloading = true;
+
+        try {
+            sendErrors();
+        } finally {
+            state.unloading = false;
+        }
+    }
+
+    /**
+     * Send a batch of errors to server as a single JSON array request
+     *
+     * @param {Array} errors
+     * @param {Array} [queuedAt] Original offline-queue timestamps, one per error (replays)
+     * @param {Function} [onDone] Receives whether the batch was delivered
+     */
+    function sendBatch(errors, queuedAt, onDone) {
+        if (config.debug) {
+            console.log('[PSR3] Sending ' + errors.length + ' error(s):', errors);
+        }
+
+        // Don't even try while the browser knows it's offline
+        if (navigator.onLine === false) {
+            persistErrors(errors, queuedAt);
+            if (onDone) onDone(false);
+            return;
+        }
+
+        var transport = resolveTransport();
+        var body = JSON.stringify(errors);
+        var request = {
+            url: config.endpoint,
+            body: body,
+            headers: { 'Content-Type': 'application/json' },
+            events: errors,
+            unloading: state.unloading
+        };
+
+        var done = function(delivered, failure) {
+            if (delivered) {
+                state.retryAttempt = 0;
+            } else {
+                persistErrors(errors, queuedAt);
+
+                if (failure && (failure.status === 429 || failure.status >= 500)) {
+                    pauseSending(failure.retryAfter);
+                }
+            }
+
+            if (onDone) onDone(delivered);
+        };
+
+        // No time left to compress once the page is going away
+        if (request.unloading || !shouldCompress(transport, body)) {
+            deliver(transport, request, done);
+            return;
+        }
+
+        gzip(body, function(compressed) {
+            // Compression failed: send the plain JSON instead
+            if (compressed) {
+                request.body = compressed;
+                request.headers['Content-Encoding'] = 'gzip';
+            }
+
+            deliver(transport, request, done);
+        });
+    }
+
+    /**
+     * Hand a request to a transport; a throwing transport counts as a failed send
+     */
+    function deliver(transport, request, done) {
+        var called = false;
+        var once = function(delivered, failure) {
+            if (called) return;
+            called = true;
+
+            if (!delivered && config.debug) {
+                console.log('[PSR3] Failed to send ' + request.events.length + ' error(s)', failure || '');
+            }
+            done(delivered, failure);
+        };
+
+        try {
+            transport.send(request, once);
+        } catch (e) {
+            if (config.debug) {
+                console.log('[PSR3] Transport error:', e);
+            }
+            once(false);
+        }
+    }
+
+    // =========================================================================
+    // Transports
+    // =========================================================================
+
+    var transports = {
+        beacon: {
+            headers: false,
+            send: function(request, done) {
+                if (!navigator.sendBeacon) {
+                    done(false);
+                    return;
+                }
+
+                var blob = new Blob([request.body], { type: request.headers['Content-Type'] });
+                done(navigator.sendBeacon(request.url, blob));
+            }
+        },
+
+        fetch: {
+            headers: true,
+            send: function(request, done) {
+                fetch(request.url, {
+                    method: 'POST',
+                    headers: extend({ 'Accept': 'application/json' }, request.headers),
+                    body: request.body,
+                    keepalive: true
+                }).then(function(response) {
+                    if (response.status === 429 || response.status >= 500) {
+                        readRetryAfter(response, function(retryAfter) {
+                            done(false, { status: response.status, retryAfter: retryAfter });
+                        });
+                        return;
+                    }
+
+                    // Other 4xx: the payload was rejected, sending it again won't help
+                    if (!response.ok && response.status !== 0 && config.debug) {
+                        console.log('[PSR3] Server rejected errors: HTTP ' + response.status);
+                    }
+                    done(true);
+                }, function(e) {
+                    if (config.debug) {
+                        console.log('[PSR3] Failed to send errors:', e);
+                    }
+                    done(false);
+                });
+            }
+        },
+
+        // fetch, so 429/5xx responses reach the backoff; sendBeacon (more reliable
+        // for page unload, but blind to the response) only for the final flush,
+        // falling back to fetch when it is missing or refuses the payload
+        auto: {
+            headers: true,
+            send: function(request, done) {
+                if (!request.unloading || request.headers['Content-Encoding'] || !navigator.sendBeacon) {
+                    transports.fetch.send(request, done);
+                    return;
+                }
+
+                transports.beacon.send(request, function(delivered) {
+                    if (delivered) {
+                        done(true);
+                        return;
+                    }
+
+                    transports.fetch.send(request, done);
+                });
+            }
+        }
+    };
+
+    /**
+     * Seconds to wait from a 429/503: Retry-After header, else the JSON retry_after
+     *
+     * @param {Response} response
+     * @param {Function} callback Receives seconds, or null when not given
+     */
+    function readRetryAfter(response, callback) {
+        var header = response.headers && response.headers.get ? response.headers.get('Retry-After') : null;
+
+        if (header) {
+            var seconds = /^\d+$/.test(header) ? parseInt(header, 10) : (Date.parse(header) - Date.now()) / 1000;
+            callback(isNaN(seconds) ? null : Math.max(0, seconds));
+            return;
+        }
+
+        if (typeof response.json !== 'function') {
+            callback(null);
+            return;
+        }
+
+        response.json().then(function(body) {
+            var retryAfter = body && Number(body.retry_after);
+            callback(retryAfter > 0 ? retryAfter : null);
+        }, function() {
+            callback(null);
+        });
+    }
+
+    // =========================================================================
+    // Backoff
+    // =========================================================================
+
+    function isPaused() {
+        return state.pausedUntil > Date.now();
+    }
+
+    /**
+     * Stop sending after a 429/5xx; resume after the backoff delay
+     *
+     * @param {number|null} retryAfter Seconds requested by the server
+     */
+    function pauseSending(retryAfter) {
+        if (!state.initialized) return;
+
+        var exponential = Math.min(
+            config.retryMaxDelayMs,
+            config.retryBaseDelayMs * Math.pow(2, state.retryAttempt)
+        );
+
+        // Jitter: spread clients that were blocked together over [delay/2, delay]
+        var delay = exponential / 2 + Math.random() * exponential / 2;
+
+        if (retryAfter) {
+            delay = Math.max(delay, retryAfter * 1000);
+        }
+
+        // Several batches failing for the same block count as one attempt
+        if (!isPaused()) {
+            state.retryAttempt++;
+        }
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+
+        if (config.debug) {
+            console.log('[PSR3] Backing off for ' + Math.round(state.pausedUntil - Date.now()) + 'ms (attempt ' + state.retryAttempt + ')');
+        }
+
+        clearTimeout(state.retryTimeout);
+        state.retryTimeout = setTimeout(resumeSending, state.pausedUntil - Date.now());
+    }
+
+    function resumeSending() {
+        state.retryTimeout = null;
+        state.pausedUntil = 0;
+
+        replayOfflineQueue();
+        sendErrors();
+    }
+
+    /**
+     * Transport object for config.transport (name, function or { send })
+     */
+    function resolveTransport() {
+        var transport = config.transport;
+
+        if (typeof transport === 'function') {
+            return { headers: true, send: transport };
+        }
+        if (transport && typeof transport.send === 'function') {
+            return transport;
+        }
+        if (transports[transport]) {
+            return transports[transport];
+        }
+
+        if (config.debug) {
+            console.log('[PSR3] Unknown transport "' + transport + '", using auto');
+        }
+
+        return transports.auto;
+    }
+
+    /**
+     * Compress only large batches, only when it can finish: not while the page
+     * is being hidden/unloaded (async work may never complete there)
+     */
+    function shouldCompress(transport, body) {
+        // UTF-8 bytes are at least as many as UTF-16 units: count them only when needed
+        return config.compressMinBytes > 0
+            && (body.length >= config.compressMinBytes || byteLength(body) >= config.compressMinBytes)
+            && transport.headers !== false
+            && typeof CompressionStream === 'function'
+            && typeof Response === 'function'
+            && document.visibilityState !== 'hidden';
+    }
+
+    /**
+     * Gzip a string with CompressionStream
+     *
+     * @param {string} body
+     * @param {Function} callback Receives an ArrayBuffer, or null on failure
+     */
+    function gzip(body, callback) {
+        try {
+            var stream = new Blob([body]).stream().pipeThrough(new CompressionStream('gzip'));
+
+            new Response(stream).arrayBuffer().then(callback, function() {
+                callback(null);
+            });
+        } catch (e) {
+            callback(null);
+        }
+    }
+
+    /**
+     * Read the offline queue from localStorage, dropping expired entries
+     */
+    function loadOfflineQueue() {
+        try {
+            var items = JSON.parse(localStorage.getItem(config.offlineStorageKey) || '[]');
+            if (!Array.isArray(items)) return [];
+
+            var cutoff = Date.now() - config.offlineTtlMs;
+            return items.filter(function(item) {
+                return item && item.queuedAt >= cutoff && item.error;
+            });
+        } catch (e) {
+            // Storage disabled (private mode) or corrupted entry
+            return [];
+        }
+    }
+
+    /**
+     * Write the offline queue to localStorage (empty queue removes the key)
+     */
+    function saveOfflineQueue(items) {
+        try {
+            if (items.length === 0) {
+                localStorage.removeItem(config.offlineStorageKey);
+            } else {
+                localStorage.setItem(config.offlineStorageKey, JSON.stringify(items));
+            }
+        } catch (e) {
+            // Quota exceeded or storage disabled - errors are lost
+            if (config.debug) {
+                console.log('[PSR3] Failed to persist offline queue:', e);
+            }
+        }
+    }
+
+    /**
+     * Keep errors that could not be sent, newest first when over the cap
+     *
+     * Replayed errors keep their original queuedAt, so a failing endpoint
+     * cannot keep them alive past offlineTtlMs.
+     */
+    function persistErrors(errors, queuedAt) {
+        var now = Date.now();
+        var items = loadOfflineQueue().concat(errors.map(function(errorData, i) {
+            return { queuedAt: queuedAt ? queuedAt[i] : now, error: errorData };
+        }));
+
+        if (items.length > config.offlineMaxItems) {
+            items = items.slice(items.length - config.offlineMaxItems);
+        }
+
+        saveOfflineQueue(items);
+
+        if (config.debug) {
+            console.log('[PSR3] Stored ' + errors.length + ' error(s) offline (' + items.length + ' queued)');
+        }
+    }
+
+    /**
+     * Replay errors stored while offline (on 'online', on page load and after a backoff)
+     *
+     * One batch at a time: the next one is sent only once the server accepted
+     * the previous one, so a recovering server is not hit with the whole queue.
+     */
+    function replayOfflineQueue() {
+        if (navigator.onLine === false || isPaused() || state.replaying) return;
+
+        var items = loadOfflineQueue();
+        if (items.length === 0) return;
+
+        var batch = items.slice(0, config.batchSize);
+        saveOfflineQueue(items.slice(batch.length));
+
+        if (config.debug) {
+            console.log('[PSR3] Replaying ' + batch.length + ' of ' + items.length + ' offline error(s)');
+        }
+
+        // A failed send is persisted again by sendBatch and waits for the next replay
+        var current = state;
+        current.replaying = true;
+
+        sendBatch(batch.map(function(item) {
+            return item.error;
+        }), batch.map(function(item) {
+            return item.queuedAt;
+        }), function(delivered) {
+            // close()/init() in between: the new state starts its own replay
+            if (state !== current) return;
+
+            state.replaying = false;
+            if (delivered) replayOfflineQueue();
+        });
+    }
+
+    /**
+     * Create error data object
+     */
+    function createErrorData(level, message, source, line, column, error) {
+        var data = {
+            level: level,
+            message: message || 'Unknown error',
+            url: source || window.location.href,
+            userAgent: navigator.userAgent
+        };
+
+        if (line) data.line = line;
+        if (column) data.column = column;
+
+        if (error && error.stack) {
+            data.stack = error.stack;
+        }
+
+        return data;
+    }
+
+    /**
+     * Global error handler
+     */
+    function handleError(message, source, line, column, error) {
+        // Scripts excluded by denyUrls/allowUrls (browser extensions by default)
+        if (isDeniedUrl(source)) {
+            return;
+        }
+
+        var errorData = createErrorData('error', message, source, line, column, error);
+        queueError(errorData);
+
+        // Don't prevent default error handling
+        return false;
+    }
+
+    /**
+     * Window 'error' listener (capture phase)
+     *
+     * Runtime errors arrive as ErrorEvents targeted at window. Failed
+     * resource loads don't bubble, but are visible in the capture phase with
+     * the failing element as target.
+     */
+    function handleErrorEvent(event) {
+        var target = event.target;
+
+        if (target && target !== window && target.tagName) {
+            handleResourceError(target);
+            return;
+        }
+
+        handleError(event.message, event.filename, event.lineno, event.colno, event.error);
+    }
+
+    /**
+     * Failed <script>, <link> or <img> load
+     */
+    function handleResourceError(element) {
+        var tag = element.tagName.toLowerCase();
+        var assetUrl;
+
+        if (tag === 'script') {
+            assetUrl = element.src;
+        } else if (tag === 'link') {
+            assetUrl = element.href;
+        } else if (tag === 'img') {
+            assetUrl = element.currentSrc || element.src;
+        } else {
+            return;
+        }
+
+        // Inline scripts and empty src attributes have nothing to report
+        if (!assetUrl) return;
+
+        queueError({
+            level: 'error',
+            message: 'Resource Error: <' + tag + '> failed to load ' + assetUrl,
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            extra: {
+                resource: {
+                    tag: tag,
+                    url: assetUrl
+                }
+            }
+        });
+    }
+
+    /**
+     * Unhandled promise rejection handler
+     */
+    function handleRejection(event) {
+        var reason = event.reason;
+        var message = 'Unhandled Promise Rejection';
+        var stack = null;
+
+        if (reason) {
+            if (typeof reason === 'string') {
+                message = reason;
+            } else if (reason.message) {
+                message = reason.message;
+                stack = reason.stack;
+            } else {
+                try {
+                    message = JSON.stringify(reason);
+                } catch (e) {
+                    message = String(reason);
+                }
+            }
+        }
+
+        var errorData = {
+            level: 'error',
+            message: 'Unhandled Promise Rejection: ' + message,
+            url: window.location.href,
+            userAgent: navigator.userAgent
+        };
+
+        if (stack) {
+            errorData.stack = stack;
+        }
+
+        queueError(errorData);
+    }
+
+    // =========================================================================
+    // Event IDs and User Feedback
+    // =========================================================================
+
+    /**
+     * Random bytes (crypto.getRandomValues, Math.random as a last resort)
+     */
+    function randomBytes(length) {
+        var cryptoApi = self.crypto;
+
+        if (cryptoApi && typeof cryptoApi.getRandomValues === 'function') {
+            return cryptoApi.getRandomValues(new Uint8Array(length));
+        }
+
+        var bytes = [];
+        for (var i = 0; i < length; i++) {
+            bytes.push(Math.floor(Math.random() * 256));
+        }
+
+        return bytes;
+    }
+
+    function toHex(bytes) {
+        var hex = '';
+        for (var i = 0; i < bytes.length; i++) {
+            hex += (bytes[i] + 0x100).toString(16).slice(1);
+        }
+
+        return hex;
+    }
+
+    /**
+     * Random UUID v4 identifying one event (links feedback to its error)
+     */
+    function generateEventId() {
+        var cryptoApi = self.crypto;
+
+        if (cryptoApi && typeof cryptoApi.randomUUID === 'function') {
+            return cryptoApi.randomUUID();
+        }
+
+        var bytes = randomBytes(16);
+
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;  // version 4
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;  // RFC 4122 variant
+
+        var hex = toHex(bytes);
+
+        return hex.slice(0, 8) + '-' + hex.slice(8, 12) + '-' + hex.slice(12, 16) + '-' + hex.slice(16, 20) + '-' + hex.slice(20);
+    }
+
+    var FEEDBACK_PREFIX = 'User Feedback: ';
+
+    var FEEDBACK_LABELS = {
+        title: 'It looks like something went wrong',
+        subtitle: 'Our team has been notified. Telling us what happened helps us fix it.',
+        comment: 'What were you doing?',
+        email: 'Email (optional, if you want us to follow up)',
+        submit: 'Send report',
+        cancel: 'Close',
+        thanks: 'Thank you! Your report has been sent.'
+    };
+
+    /**
+     * Send user feedback for an event
+     *
+     * Bypasses filters and sampling. The comment and URL are scrubbed like
+     * any event (users paste tokens and card numbers too); the email and name
+     * fields are kept, the user chose to share them. Still batched, persisted
+     * offline and paused during backoff like any other event.
+     *
+     * @param {Object} feedback { eventId, comment, email?, name? }
+     * @returns {boolean} Whether the feedback was queued
+     */
+    function captureFeedback(feedback) {
+        feedback = feedback || {};
+
+        var comment = typeof feedback.comment === 'string' ? feedback.comment.trim() : '';
+
+        if (!state.initialized || comment === '') {
+            return false;
+        }
+
+        var event = {
+            level: 'info',
+            message: FEEDBACK_PREFIX + (config.scrubPii ? scrubString(comment) : comment),
+            url: config.scrubPii ? scrubString(window.location.href) : window.location.href,
+            userAgent: navigator.userAgent,
+            event_id: generateEventId(),
+            feedback: {
+                event_id: feedback.eventId || state.lastErrorEventId || null
+            }
+        };
+
+        applyCorrelation(event);
+
+        if (feedback.email) event.feedback.email = String(feedback.email).trim();
+        if (feedback.name) event.feedback.name = String(feedback.name).trim();
+        if (config.release) event.release = config.release;
+
+        state.errorQueue.push(applySizeLimits(event));
+        sendErrors();
+
+        return true;
+    }
+
+    function createElement(tag, className, text) {
+        var element = document.createElement(tag);
+
+        if (className) element.className = className;
+        if (text) element.textContent = text;
+
+        return element;
+    }
+
+    /**
+     * Open the feedback dialog
+     *
+     * Built with DOM APIs only (no inline styles or scripts), styled by
+     * error-handler-feedback.css through the psr3-feedback__* classes.
+     *
+     * @param {Object} [options] { eventId, labels, onSubmit, onClose }
+     */
+    function showReportDialog(options) {
+        options = options || {};
+
+        if (!document.body) {
+            listen(document, 'DOMContentLoaded', function() {
+                showReportDialog(options);
+            });
+            return;
+        }
+
+        var existing = document.querySelector('.psr3-feedback');
+        if (existing) return;
+
+        state.reportDialogShown = true;
+
+        var eventId = options.eventId || state.lastErrorEventId;
+        var labels = extend(extend(extend({}, FEEDBACK_LABELS), config.reportDialogLabels), options.labels || {});
+        var useDialog = typeof window.HTMLDialogElement === 'function';
+
+        var dialog = createElement(useDialog ? 'dialog' : 'div', 'psr3-feedback');
+        var form = createElement('form', 'psr3-feedback__form');
+        var title = createElement('h2', 'psr3-feedback__title', labels.title);
+        var comment = createElement('textarea', 'psr3-feedback__input psr3-feedback__input--comment');
+        var email = createElement('input', 'psr3-feedback__input');
+        var actions = createElement('div', 'psr3-feedback__actions');
+        var cancel = createElement('button', 'psr3-feedback__button', labels.cancel);
+        var submit = createElement('button', 'psr3-feedback__button psr3-feedback__button--primary', labels.submit);
+        var thanks = createElement('p', 'psr3-feedback__thanks', labels.thanks);
+
+        title.id = 'psr3-feedback-title';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', title.id);
+
+        comment.name = 'comment';
+        comment.required = true;
+        comment.maxLength = FIELD_LIMITS.message - FEEDBACK_PREFIX.length;
+        comment.rows = 4;
+
+        email.type = 'email';
+        email.name = 'email';
+        email.maxLength = 254;
+        email.autocomplete = 'email';
+
+        cancel.type = 'button';
+        submit.type = 'submit';
+        thanks.hidden = true;
+
+        var commentLabel = createElement('label', 'psr3-feedback__label', labels.comment);
+        var emailLabel = createElement('label', 'psr3-feedback__label', labels.email);
+        commentLabel.appendChild(comment);
+        emailLabel.appendChild(email);
+
+        actions.appendChild(cancel);
+        actions.appendChild(submit);
+
+        form.appendChild(title);
+        form.appendChild(createElement('p', 'psr3-feedback__subtitle', labels.subtitle));
+        form.appendChild(commentLabel);
+        form.appendChild(emailLabel);
+        form.appendChild(actions);
+        form.appendChild(thanks);
+        dialog.appendChild(form);
+
+        var closeDialog = function() {
+            if (dialog.parentNode) {
+                dialog.parentNode.removeChild(dialog);
+            }
+            if (typeof options.onClose === 'function') {
+                options.onClose();
+            }
+        };
+
+        cancel.addEventListener('click', closeDialog);
+        dialog.addEventListener('cancel', function(event) {
+            // Escape key on <dialog>
+            event.preventDefault();
+            closeDialog();
+        });
+
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+
+            var feedback = { eventId: eventId, comment: comment.value, email: email.value };
+
+            if (!captureFeedback(feedback)) {
+                comment.focus();
+                return;
+            }
+
+            if (typeof options.onSubmit === 'function') {
+                options.onSubmit(feedback);
+            }
+
+            comment.disabled = true;
+            email.disabled = true;
+            submit.hidden = true;
+            thanks.hidden = false;
+            cancel.focus();
+        });
+
+        document.body.appendChild(dialog);
+
+        if (useDialog && typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+
+        comment.focus();
+    }
+
+    // =========================================================================
+    // Session, Page View and Trace Correlation
+    // =========================================================================
+
+    var SESSION_ID_KEY = 'psr3_session_id';
+    var UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    /**
+     * Session ID of this tab: survives reloads and navigations, not the tab
+     */
+    function readSessionId() {
+        try {
+            var stored = window.sessionStorage.getItem(SESSION_ID_KEY);
+
+            if (stored && UUID_PATTERN.test(stored)) {
+                return stored;
+            }
+
+            var sessionId = generateEventId();
+            window.sessionStorage.setItem(SESSION_ID_KEY, sessionId);
+
+            return sessionId;
+        } catch (e) {
+            // Storage disabled (privacy mode, sandboxed iframe): one per page
+            return generateEventId();
+        }
+    }
+
+    function startPageView() {
+        state.sessionId = readSessionId();
+        state.pageViewId = generateEventId();
+        state.traceId = toHex(randomBytes(16));
+    }
+
+    function applyCorrelation(event) {
+        event.session_id = state.sessionId;
+        event.page_view_id = state.pageViewId;
+
+        if (config.tracePropagation) {
+            event.trace_id = state.traceId;
+        }
+    }
+
+    /**
+     * traceparent header value for a new request span of this page view
+     * (version 00, sampled)
+     */
+    function createTraceparent() {
+        return '00-' + state.traceId + '-' + toHex(randomBytes(8)) + '-01';
+    }
+
+    /**
+     * Whether a request URL targets this page's origin (traceparent is only
+     * sent to third parties listed in tracePropagationTargets)
+     */
+    function isSameOrigin(url) {
+        try {
+            return new URL(String(url), window.location.href).origin === window.location.origin;
+        } catch (e) {
+            return !/^[a-z][a-z0-9+.-]*:|^\/\//i.test(String(url));
+        }
+    }
+
+    function shouldTrace(url) {
+        if (!config.tracePropagation || state.traceId === null || isOwnEndpoint(url)) {
+            return false;
+        }
+
+        return isSameOrigin(url) || matchesAny(String(url), config.tracePropagationTargets);
+    }
+
+    // =========================================================================
+    // Content Security Policy Violations
+    // =========================================================================
+
+    var MAX_CSP_REPORTS = 50;       // distinct violations per page view
+    var CSP_SAMPLE_LIMIT = 40;      // browsers send at most 40 characters
+
+    /**
+     * securitypolicyviolation handler: one warning per distinct violation
+     *
+     * The page keeps firing the event for every blocked load or inline
+     * handler, so the same directive, blocked URI and source file is only
+     * reported once per page view. Extension sources are browser noise.
+     */
+    function handleCspViolation(event) {
+        var directive = event.effectiveDirective || event.violatedDirective || '';
+        var blockedUri = event.blockedURI || '';
+        var sourceFile = event.sourceFile || '';
+
+        if (!directive) return;
+
+        var urlRules = config.ignoreBrowserNoise ? config.denyUrls.concat(BROWSER_NOISE_URLS) : config.denyUrls;
+
+        if (matchesAny(blockedUri, urlRules) || (sourceFile && matchesAny(sourceFile, urlRules))) {
+            return;
+        }
+
+        var key = directive + '|' + blockedUri + '|' + sourceFile;
+
+        if (state.cspReported[key] || Object.keys(state.cspReported).length >= MAX_CSP_REPORTS) {
+            return;
+        }
+        state.cspReported[key] = true;
+
+        var reportOnly = event.disposition === 'report';
+        var csp = {
+            directive: directive,
+            blocked_uri: blockedUri || 'none',
+            disposition: reportOnly ? 'report' : 'enforce'
+        };
+
+        if (sourceFile) csp.source_file = sourceFile;
+        if (event.sample) csp.sample = String(event.sample).slice(0, CSP_SAMPLE_LIMIT);
+        if (event.statusCode) csp.status_code = event.statusCode;
+
+        var errorData = {
+            level: 'warning',
+            message: 'CSP violation' + (reportOnly ? ' (report-only)' : '') + ': ' + directive + ' blocked ' + csp.blocked_uri,
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            channel: 'security',
+            csp: csp
+        };
+
+        if (event.lineNumber) errorData.line = event.lineNumber;
+        if (event.columnNumber) errorData.column = event.columnNumber;
+
+        queueError(errorData);
+    }
+
+    function initCspCapture() {
+        if (!config.captureCspViolations) return;
+
+        listen(document, 'securitypolicyviolation', handleCspViolation);
+    }
+
+    // =========================================================================
+    // Crash and Freeze Detection
+    // =========================================================================
+
+    var HEARTBEAT_BREADCRUMBS = 10;     // last breadcrumbs kept with the heartbeat
+    var MAX_HEARTBEAT_RECORDS = 20;     // page views tracked at once (all tabs)
+    var BREADCRUMB_HEARTBEAT_MS = 1000; // at most one breadcrumb-triggered write per second
+    var VISIBLE_STALE_MS = 120000;      // no Web Locks: long tasks, alert() and print dialogs stop timers
+    var HIDDEN_STALE_MS = 300000;       // hidden tabs: timers throttled to once a minute
+    var HEARTBEAT_LOCK_PREFIX = 'psr3-page-view:';
+
+    /**
+     * Heartbeat records of this origin: page view ID -> record
+     */
+    function loadHeartbeats() {
+        try {
+            var records = JSON.parse(localStorage.getItem(config.heartbeatStorageKey) || '{}');
+
+            return records && typeof records === 'object' && !Array.isArray(records) ? records : {};
+        } catch (e) {
+            // Storage disabled (private mode) or corrupted entry
+            return {};
+        }
+    }
+
+    function saveHeartbeats(records) {
+        try {
+            if (Object.keys(records).length === 0) {
+                localStorage.removeItem(config.heartbeatStorageKey);
+            } else {
+                localStorage.setItem(config.heartbeatStorageKey, JSON.stringify(records));
+            }
+        } catch (e) {
+            if (config.debug) {
+                console.log('[PSR3] Failed to write heartbeat:', e);
+            }
+        }
+    }
+
+    /**
+     * Record that this page view is alive: URL, uptime and last breadcrumbs
+     */
+    function writeHeartbeat() {
+        var records = loadHeartbeats();
+        var ids = Object.keys(records);
+
+        // Other tabs' records that were never cleaned up: keep the newest
+        if (ids.length >= MAX_HEARTBEAT_RECORDS && !records[state.pageViewId]) {
+            ids.sort(function(a, b) {
+                return records[a].heartbeat_at - records[b].heartbeat_at;
+            }).slice(0, ids.length - MAX_HEARTBEAT_RECORDS + 1).forEach(function(id) {
+                delete records[id];
+            });
+        }
+
+        var breadcrumbs = state.breadcrumbs.slice(-HEARTBEAT_BREADCRUMBS);
+
+        records[state.pageViewId] = {
+            session_id: state.sessionId,
+            url: window.location.href,
+            started_at: state.pageStartedAt,
+            heartbeat_at: Date.now(),
+            visibility: state.heartbeatVisibility,
+            // localStorage outlives the page: no unscrubbed PII at rest
+            breadcrumbs: config.scrubPii ? scrubValue(breadcrumbs, 0) : breadcrumbs
+        };
+
+        state.heartbeatWrittenAt = Date.now();
+        saveHeartbeats(records);
+    }
+
+    /**
+     * Heartbeat after a breadcrumb: right away after a quiet second (a click
+     * that hangs the page never reaches the next interval beat), otherwise
+     * once at the end of the second, so bursts don't rewrite localStorage
+     */
+    function writeBreadcrumbHeartbeat() {
+        var wait = state.heartbeatWrittenAt + BREADCRUMB_HEARTBEAT_MS - Date.now();
+
+        if (wait <= 0) {
+            writeHeartbeat();
+            return;
+        }
+
+        if (state.heartbeatTimeout) return;
+
+        state.heartbeatTimeout = setTimeout(function() {
+            state.heartbeatTimeout = null;
+
+            if (state.heartbeatVisibility !== null) {
+                writeHeartbeat();
+            }
+        }, wait);
+    }
+
+    /**
+     * Hold a Web Lock named after this page view while it is open
+     *
+     * The browser releases it when the page goes away, crash included, so
+     * other loads can tell a live tab with a late heartbeat from a dead one.
+     *
+     * @returns {Function} Releases the lock
+     */
+    function holdPageViewLock() {
+        var locks = navigator.locks;
+
+        if (!locks || typeof locks.request !== 'function') {
+            return function() {};
+        }
+
+        var release;
+        var held = new Promise(function(resolve) {
+            release = resolve;
+        });
+
+        locks.request(HEARTBEAT_LOCK_PREFIX + state.pageViewId, function() {
+            return held;
+        }).catch(function() {
+            // Locks unavailable (e.g. opaque origin): heartbeat age only
+        });
+
+        return function() {
+            release();
+        };
+    }
+
+    /**
+     * Names of the Web Locks held by open pages of this origin
+     *
+     * @param {Function} callback Receives name -> true, or null without Web Locks
+     */
+    function queryHeldLocks(callback) {
+        var locks = navigator.locks;
+
+        if (!locks || typeof locks.query !== 'function') {
+            callback(null);
+            return;
+        }
+
+        locks.query().then(function(snapshot) {
+            var held = {};
+
+            (snapshot.held || []).forEach(function(lock) {
+                held[lock.name] = true;
+            });
+            callback(held);
+        }, function() {
+            callback(null);
+        });
+    }
+
+    /**
+     * Clean exit marker: the page view is done, nothing to report
+     */
+    function clearHeartbeat() {
+        var records = loadHeartbeats();
+
+        delete records[state.pageViewId];
+        saveHeartbeats(records);
+    }
+
+    /**
+     * Whether a record stopped beating without a clean exit. Frozen pages
+     * (bfcache, tab discarding) may resume later or be reloaded without a
+     * crash, so they are only expired.
+     *
+     * With Web Locks, a page view whose lock is gone is dead: the age check
+     * only covers the moment between its first beat and getting the lock.
+     * Without them, a late heartbeat is the only signal, so the thresholds
+     * allow for long tasks, modal dialogs and background throttling.
+     *
+     * @param {Object|null} heldLocks From queryHeldLocks()
+     */
+    function isUncleanExit(id, record, now, heldLocks) {
+        if (record.visibility === 'frozen') {
+            return false;
+        }
+
+        var age = now - record.heartbeat_at;
+
+        if (heldLocks) {
+            return !heldLocks[HEARTBEAT_LOCK_PREFIX + id] && age > config.heartbeatIntervalMs * 3;
+        }
+
+        var staleAfter = record.visibility === 'hidden' ? HIDDEN_STALE_MS : VISIBLE_STALE_MS;
+
+        return age > Math.max(staleAfter, config.heartbeatIntervalMs * 3);
+    }
+
+    /**
+     * Report page views of earlier loads that ended without a clean exit
+     */
+    function reportUncleanExits() {
+        var current = state;
+
+        queryHeldLocks(function(heldLocks) {
+            // close()/init() while the locks were queried
+            if (state !== current || state.heartbeatVisibility === null) return;
+
+            var records = loadHeartbeats();
+            var now = Date.now();
+            var unclean = [];
+
+            for (var id in records) {
+                if (!Object.prototype.hasOwnProperty.call(records, id) || id === state.pageViewId) continue;
+
+                var record = records[id];
+
+                if (!record || typeof record.heartbeat_at !== 'number' || now - record.heartbeat_at > config.offlineTtlMs) {
+                    delete records[id];
+                } else if (isUncleanExit(id, record, now, heldLocks)) {
+                    unclean.push({ id: id, record: record });
+                    delete records[id];
+                }
+            }
+
+            // Saved before queueing, which narrows (but can't close: localStorage
+            // has no cross-tab transaction) the window in which two tabs loading
+            // at the same moment both report the same page view
+            saveHeartbeats(records);
+
+            unclean.forEach(function(item) {
+                reportUncleanExit(item.id, item.record);
+            });
+        });
+    }
+
+    function reportUncleanExit(id, record) {
+        var uptimeMs = Math.max(0, record.heartbeat_at - record.started_at);
+        var hidden = record.visibility === 'hidden';
+        var termination = {
+            page_view_id: id,
+            last_heartbeat_at: new Date(record.heartbeat_at).toISOString(),
+            visibility: record.visibility || 'visible'
+        };
+
+        if (record.session_id) termination.session_id = record.session_id;
+
+        queueError({
+            level: hidden ? 'warning' : 'error',
+            message: 'Unclean termination: page view ended without a clean exit after '
+                + Math.round(uptimeMs / 1000) + 's' + (hidden ? ' (in background)' : '') + ' on ' + record.url,
+            url: String(record.url || ''),
+            userAgent: navigator.userAgent,
+            breadcrumbs: Array.isArray(record.breadcrumbs) ? record.breadcrumbs : [],
+            termination: termination,
+            metrics: { uptime_ms: uptimeMs }
+        });
+    }
+
+    function initCrashDetection() {
+        if (!config.detectCrashes) return;
+
+        var visibility = function() {
+            return document.visibilityState === 'hidden' ? 'hidden' : 'visible';
+        };
+        // No-op after the clean exit: unload breadcrumbs, freeze or a late
+        // timer must not bring the record back
+        var beat = function(next) {
+            if (state.heartbeatVisibility === null) return;
+
+            state.heartbeatVisibility = next;
+            writeHeartbeat();
+        };
+        var releaseLock = function() {};
+        var start = function() {
+            state.heartbeatVisibility = visibility();
+            writeHeartbeat();
+            releaseLock = holdPageViewLock();
+        };
+
+        start();
+
+        var intervalId = setInterval(function() {
+            beat(state.heartbeatVisibility === 'frozen' ? visibility() : state.heartbeatVisibility);
+        }, config.heartbeatIntervalMs);
+
+        listen(document, 'visibilitychange', function() {
+            beat(visibility());
+        });
+
+        // Page Lifecycle API (Chromium): frozen pages run no timers
+        listen(document, 'freeze', function() {
+            beat('frozen');
+        });
+        listen(document, 'resume', function() {
+            beat(visibility());
+        });
+
+        // Clean exit; a page restored from the back/forward cache beats again
+        // (a held lock would keep it out of that cache)
+        listen(window, 'pagehide', function() {
+            state.heartbeatVisibility = null;
+            clearTimeout(state.heartbeatTimeout);
+            state.heartbeatTimeout = null;
+            clearHeartbeat();
+            releaseLock();
+        });
+        listen(window, 'pageshow', function(event) {
+            if (event.persisted) start();
+        });
+
+        // After init() (queueError needs it), like the offline queue replay
+        var reportTimeout = setTimeout(reportUncleanExits, 0);
+
+        state.teardowns.push(function() {
+            clearInterval(intervalId);
+            clearTimeout(reportTimeout);
+            clearTimeout(state.heartbeatTimeout);
+            state.heartbeatTimeout = null;
+            clearHeartbeat();
+            releaseLock();
+            state.heartbeatVisibility = null;
+        });
+    }
+
+    // =========================================================================
+    // Worker Forwarding
+    // =========================================================================
+
+    var WORKER_EVENT_FIELDS = ['event_id', 'level', 'message', 'stack', 'url', 'line', 'column', 'userAgent', 'extra', 'tags'];
+
     /**
-     * Check if error should be sent (rate limiting + deduplication)
+     * Queue an event posted by error-handler-worker.js
+     *
+     * Only the known event fields are copied; page scope, breadcrumbs and
+     * scrubbing are applied by queueError() like for any other event. The
+     * worker's event ID is kept (its logging methods returned it), the session
+     * and page-view IDs are the page's.
      */
-    function shouldSendError(errorData) {
-        var now = Date.now();
-
-        // Reset rate limit counter if window expired
-        if (now > state.errorCountResetTime) {
-            state.errorCount = 0;
-            state.errorCountResetTime = now + config.rateLimitWindowMs;
-        }
+    function handleWorkerMessage(messageEvent) {
+        var data = messageEvent.data;
 
-        // Check rate limit
-        if (state.errorCount >= config.maxErrorsPerMinute) {
-            if (config.debug) {
-                console.log('[PSR3] Rate limit exceeded, dropping error');
-            }
-            return false;
+        if (!data || data.psr3 !== 'event' || !data.event || typeof data.event.message !== 'string') {
+            return;
         }
 
-        // Create hash for deduplication
-        var hash = simpleHash(errorData.message + (errorData.stack || '') + errorData.url);
+        var errorData = {};
 
-        // Check for duplicate within window
-        if (state.recentErrors[hash] && now - state.recentErrors[hash] < config.dedupeWindowMs) {
-            if (config.debug) {
-                console.log('[PSR3] Duplicate error, skipping');
+        WORKER_EVENT_FIELDS.forEach(function(field) {
+            if (data.event[field] !== undefined && data.event[field] !== null) {
+                errorData[field] = data.event[field];
             }
-            return false;
-        }
+        });
 
-        // Update state
-        state.errorCount++;
-        state.recentErrors[hash] = now;
+        errorData.level = PSR3_LEVELS.indexOf(errorData.level) !== -1 ? errorData.level : 'error';
 
-        // Cleanup old hashes (keep memory usage low)
-        var cutoff = now - config.dedupeWindowMs;
-        for (var key in state.recentErrors) {
-            if (state.recentErrors[key] < cutoff) {
-                delete state.recentErrors[key];
-            }
+        if (typeof errorData.event_id !== 'string' || !UUID_PATTERN.test(errorData.event_id)) {
+            delete errorData.event_id;
         }
 
-        return true;
+        queueError(errorData);
     }
 
     /**
-     * Queue error for sending
+     * Receive events from a dedicated worker
+     *
+     * The events come over a MessageChannel of their own, so the worker's
+     * postMessage() channel is left to the app.
+     *
+     * @param {Worker} worker
+     * @returns {Function} Detaches the channel
      */
-    function queueError(errorData) {
-        if (!shouldSendError(errorData)) {
-            return;
-        }
+    function attachWorker(worker) {
+        var channel = new MessageChannel();
 
-        state.errorQueue.push(errorData);
+        channel.port1.onmessage = handleWorkerMessage;
+        worker.postMessage({ psr3: 'port' }, [channel.port2]);
 
-        // Send immediately if batch size reached
-        if (state.errorQueue.length >= config.batchSize) {
-            sendErrors();
-            return;
-        }
+        return function() {
+            channel.port1.onmessage = null;
+            channel.port1.close();
+        };
+    }
 
-        // Otherwise schedule send after delay
-        if (!state.sendTimeout) {
-            state.sendTimeout = setTimeout(sendErrors, config.batchDelayMs);
-        }
+    /**
+     * Join console arguments into a single message string
+     */
+    function formatConsoleArgs(args) {
+        return Array.prototype.slice.call(args).map(stringify).join(' ');
     }
 
     /**
-     * Send queued errors to server
+     * Wrap console methods to capture errors/warnings
      */
-    function sendErrors() {
-        if (state.sendTimeout) {
-            clearTimeout(state.sendTimeout);
-            state.sendTimeout = null;
-        }
+    function wrapConsole() {
+        if (!config.captureConsole) return;
 
-        if (state.errorQueue.length === 0) {
-            return;
-        }
+        patch(console, 'error', function(originalError) {
+            return function() {
+                // Call original
+                originalError.apply(console, arguments);
 
-        // Take all errors from queue
-        var errors = state.errorQueue.splice(0, state.errorQueue.length);
+                if (loggedErrors && arguments.length === 1 && loggedErrors.has(Object(arguments[0]))) {
+                    return;
+                }
 
-        // Send each error (could be optimized to batch API)
-        errors.forEach(function(errorData) {
-            sendSingleError(errorData);
+                queueError({
+                    level: 'error',
+                    message: 'Console Error: ' + formatConsoleArgs(arguments),
+                    url: window.location.href,
+                    userAgent: navigator.userAgent
+                });
+            };
+        });
+
+        patch(console, 'warn', function(originalWarn) {
+            return function() {
+                // Call original
+                originalWarn.apply(console, arguments);
+
+                queueError({
+                    level: 'warning',
+                    message: 'Console Warning: ' + formatConsoleArgs(arguments),
+                    url: window.location.href,
+                    userAgent: navigator.userAgent
+                });
+            };
         });
     }
 
+    // =========================================================================
+    // Breadcrumbs
+    // =========================================================================
+
     /**
-     * Send single error to server
+     * Record a breadcrumb, dropping the oldest one when the buffer is full
      */
-    function sendSingleError(errorData) {
-        if (config.debug) {
-            console.log('[PSR3] Sending error:', errorData);
-        }
+    function addBreadcrumb(category, message, data) {
+        var crumb = {
+            timestamp: new Date().toISOString(),
+            category: category,
+            message: truncate(String(message), BREADCRUMB_MESSAGE_LIMIT)
+        };
 
-        // Use sendBeacon if available (more reliable for page unload)
-        if (navigator.sendBeacon) {
-            try {
-                var blob = new Blob([JSON.stringify(errorData)], { type: 'application/json' });
-                var sent = navigator.sendBeacon(config.endpoint, blob);
-                if (sent) return;
-            } catch (e) {
-                // Fall through to fetch
-            }
+        if (data) crumb.data = data;
+
+        state.breadcrumbs.push(crumb);
+        if (state.breadcrumbs.length > config.maxBreadcrumbs) {
+            state.breadcrumbs.shift();
         }
 
-        // Fallback to fetch
-        try {
-            fetch(config.endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify(errorData),
-                keepalive: true
-            }).catch(function(e) {
-                if (config.debug) {
-                    console.log('[PSR3] Failed to send error:', e);
-                }
-            });
-        } catch (e) {
-            if (config.debug) {
-                console.log('[PSR3] Failed to send error:', e);
-            }
+        if (state.heartbeatVisibility !== null) {
+            writeBreadcrumbHeartbeat();
         }
     }
 
     /**
-     * Create error data object
+     * Check whether a request URL targets our own logging endpoint
      */
-    function createErrorData(level, message, source, line, column, error) {
-        var data = {
-            level: level,
-            message: message || 'Unknown error',
-            url: source || window.location.href,
-            userAgent: navigator.userAgent
-        };
+    function isOwnEndpoint(url) {
+        return typeof url === 'string' && url.indexOf(config.endpoint) !== -1;
+    }
 
-        if (line) data.line = line;
-        if (column) data.column = column;
+    /**
+     * Short CSS-like selector for an element: tag#id.class1.class2
+     */
+    function describeElement(el) {
+        var selector = el.tagName.toLowerCase();
 
-        if (error && error.stack) {
-            data.stack = error.stack;
+        if (el.id) {
+            selector += '#' + el.id;
         }
 
-        return data;
+        if (typeof el.className === 'string' && el.className.trim() !== '') {
+            selector += '.' + el.className.trim().split(/\s+/).slice(0, 2).join('.');
+        }
+
+        return selector;
     }
 
     /**
-     * Global error handler
+     * Record navigation from the last known URL to the current one
      */
-    function handleError(message, source, line, column, error) {
-        // Ignore errors from extensions or cross-origin scripts
-        if (source && (source.indexOf('chrome-extension://') === 0 || source.indexOf('moz-extension://') === 0)) {
-            return;
-        }
+    function recordNavigation(type) {
+        var to = window.location.href;
+        if (to === state.lastUrl) return;
 
-        var errorData = createErrorData('error', message, source, line, column, error);
-        queueError(errorData);
+        addBreadcrumb('navigation', type + ': ' + to, { from: state.lastUrl, to: to });
+        state.lastUrl = to;
+    }
 
-        // Don't prevent default error handling
-        return false;
+    function instrumentHistory() {
+        if (!window.history || !window.history.pushState) return;
+
+        ['pushState', 'replaceState'].forEach(function(method) {
+            patch(window.history, method, function(original) {
+                return function() {
+                    var result = original.apply(this, arguments);
+                    recordNavigation(method);
+                    return result;
+                };
+            });
+        });
+
+        listen(window, 'popstate', function() {
+            recordNavigation('popstate');
+        });
+        listen(window, 'hashchange', function() {
+            recordNavigation('hashchange');
+        });
+    }
+
+    function instrumentClicks() {
+        listen(document, 'click', function(event) {
+            var el = event.target;
+            if (!el || !el.tagName) return;
+
+            // Prefer the interactive ancestor over an inner <span>/<svg>
+            if (el.closest) {
+                el = el.closest('a, button, input, select, textarea, label, [role="button"]') || el;
+            }
+
+            var text = (el.innerText || el.textContent || el.value || '').trim().slice(0, 50);
+            addBreadcrumb('click', describeElement(el) + (text ? ' "' + text + '"' : ''));
+        }, true);
     }
 
     /**
-     * Unhandled promise rejection handler
+     * Check whether a request URL should not be instrumented at all
      */
-    function handleRejection(event) {
-        var reason = event.reason;
-        var message = 'Unhandled Promise Rejection';
-        var stack = null;
+    function isIgnoredRequest(url) {
+        if (isOwnEndpoint(url)) return true;
 
-        if (reason) {
-            if (typeof reason === 'string') {
-                message = reason;
-            } else if (reason.message) {
-                message = reason.message;
-                stack = reason.stack;
-            } else {
-                try {
-                    message = JSON.stringify(reason);
-                } catch (e) {
-                    message = String(reason);
-                }
-            }
+        return matchesAny(url, config.networkIgnoreUrls);
+    }
+
+    /**
+     * Strip credentials, query string and fragment from a request URL
+     */
+    function sanitizeRequestUrl(url) {
+        return String(url).split('#')[0].split('?')[0].replace(/\/\/[^\/@]*@/, '//');
+    }
+
+    /**
+     * Called when an instrumented fetch/XHR request finishes
+     *
+     * @param {string} type 'fetch' or 'xhr'
+     * @param {string} method HTTP method
+     * @param {string} url Request URL
+     * @param {number} status HTTP status (0 = network error)
+     * @param {number} durationMs Request duration
+     * @param {string|null} errorMessage Network error message, if any
+     */
+    function onRequestComplete(type, method, url, status, durationMs, errorMessage) {
+        var safeUrl = sanitizeRequestUrl(url);
+
+        if (config.captureBreadcrumbs) {
+            var crumbData = { status: status, duration_ms: durationMs };
+            if (errorMessage) crumbData.error = errorMessage;
+
+            addBreadcrumb(type, method + ' ' + safeUrl + ' [' + (status || 'failed') + ']', crumbData);
         }
 
-        var errorData = {
-            level: 'error',
-            message: 'Unhandled Promise Rejection: ' + message,
-            url: window.location.href,
-            userAgent: navigator.userAgent
-        };
+        if (!config.captureNetworkErrors) return;
 
-        if (stack) {
-            errorData.stack = stack;
+        var level = null;
+        var message;
+
+        if (errorMessage !== null || status === 0) {
+            level = 'error';
+            message = 'Network Error: ' + method + ' ' + safeUrl + (errorMessage ? ' (' + errorMessage + ')' : '');
+        } else if (status >= 500) {
+            level = 'error';
+            message = 'HTTP ' + status + ': ' + method + ' ' + safeUrl;
+        } else if (status >= 400 && config.captureHttp4xx) {
+            level = 'warning';
+            message = 'HTTP ' + status + ': ' + method + ' ' + safeUrl;
         }
 
-        queueError(errorData);
+        if (level === null) return;
+
+        queueError({
+            level: level,
+            message: message,
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            extra: {
+                request: {
+                    type: type,
+                    method: method,
+                    url: safeUrl,
+                    status: status,
+                    duration_ms: durationMs
+                }
+            }
+        });
     }
 
-    /**
-     * Wrap console methods to capture errors/warnings
-     */
-    function wrapConsole() {
-        if (!config.captureConsole) return;
+    function instrumentFetch() {
+        if (typeof window.fetch !== 'function') return;
 
-        var originalError = console.error;
-        var originalWarn = console.warn;
+        patch(window, 'fetch', function(originalFetch) {
+            return function(input, init) {
+                var url = typeof input === 'string' ? input : (input && input.url) || String(input);
+                var method = ((init && init.method) || (input && input.method) || 'GET').toUpperCase();
+                var args = arguments;
 
-        console.error = function() {
-            // Call original
-            originalError.apply(console, arguments);
+                if (shouldTrace(url) && typeof Headers === 'function') {
+                    var headers = new Headers((init && init.headers) || (input && typeof input === 'object' && input.headers) || undefined);
 
-            // Capture
-            var message = Array.prototype.slice.call(arguments).map(function(arg) {
-                if (typeof arg === 'string') return arg;
-                try {
-                    return JSON.stringify(arg);
-                } catch (e) {
-                    return String(arg);
+                    if (!headers.has('traceparent')) {
+                        headers.set('traceparent', createTraceparent());
+                        init = extend({}, init || {});
+                        init.headers = headers;
+                        args = [input, init];
+                    }
                 }
-            }).join(' ');
 
-            queueError({
-                level: 'error',
-                message: 'Console Error: ' + message,
-                url: window.location.href,
-                userAgent: navigator.userAgent
-            });
-        };
+                if (isIgnoredRequest(url) || (!config.captureBreadcrumbs && !config.captureNetworkErrors)) {
+                    return originalFetch.apply(this, args);
+                }
 
-        console.warn = function() {
-            // Call original
-            originalWarn.apply(console, arguments);
+                var start = Date.now();
 
-            // Capture
-            var message = Array.prototype.slice.call(arguments).map(function(arg) {
-                if (typeof arg === 'string') return arg;
-                try {
-                    return JSON.stringify(arg);
-                } catch (e) {
-                    return String(arg);
+                return originalFetch.apply(this, args).then(function(response) {
+                    // Opaque (no-cors) responses have no readable status
+                    if (response.type !== 'opaque') {
+                        onRequestComplete('fetch', method, url, response.status, Date.now() - start, null);
+                    }
+                    return response;
+                }, function(err) {
+                    // Aborted requests are intentional, not failures
+                    if (!err || err.name !== 'AbortError') {
+                        onRequestComplete('fetch', method, url, 0, Date.now() - start,
+                            err && err.message ? err.message : String(err));
+                    }
+                    throw err;
+                });
+            };
+        });
+    }
+
+    function instrumentXhr() {
+        if (typeof XMLHttpRequest === 'undefined') return;
+
+        var proto = XMLHttpRequest.prototype;
+
+        patch(proto, 'open', function(originalOpen) {
+            return function(method, url) {
+                this._psr3 = { method: String(method).toUpperCase(), url: String(url), traced: false };
+                return originalOpen.apply(this, arguments);
+            };
+        });
+
+        patch(proto, 'setRequestHeader', function(originalSetRequestHeader) {
+            return function(name) {
+                // The app's own traceparent wins
+                if (this._psr3 && String(name).toLowerCase() === 'traceparent') {
+                    this._psr3.traced = true;
                 }
-            }).join(' ');
+                return originalSetRequestHeader.apply(this, arguments);
+            };
+        });
+
+        patch(proto, 'send', function(originalSend) {
+            return function() {
+                var info = this._psr3;
+
+                if (info && !info.traced && shouldTrace(info.url)) {
+                    try {
+                        this.setRequestHeader('traceparent', createTraceparent());
+                    } catch (e) {
+                        // Not OPENED (send() will throw anyway)
+                    }
+                }
+
+                if (info && !isIgnoredRequest(info.url) && (config.captureBreadcrumbs || config.captureNetworkErrors)) {
+                    var xhr = this;
+                    var start = Date.now();
+                    var aborted = false;
+
+                    xhr.addEventListener('abort', function() {
+                        aborted = true;
+                    });
+                    xhr.addEventListener('loadend', function() {
+                        if (aborted) return;
+                        onRequestComplete('xhr', info.method, info.url, xhr.status, Date.now() - start,
+                            xhr.status === 0 ? 'Request failed' : null);
+                    });
+                }
+
+                return originalSend.apply(this, arguments);
+            };
+        });
+    }
+
+    function instrumentConsoleBreadcrumbs() {
+        ['log', 'info', 'warn', 'error', 'debug'].forEach(function(method) {
+            if (typeof console[method] !== 'function') return;
+
+            patch(console, method, function(original) {
+                return function() {
+                    original.apply(console, arguments);
 
-            queueError({
-                level: 'warning',
-                message: 'Console Warning: ' + message,
-                url: window.location.href,
-                userAgent: navigator.userAgent
+                    // Our own debug output is not app activity
+                    if (typeof arguments[0] === 'string' && arguments[0].indexOf('[PSR3]') === 0) {
+                        return;
+                    }
+
+                    addBreadcrumb('console', formatConsoleArgs(arguments), { level: method });
+                };
             });
-        };
+        });
+    }
+
+    /**
+     * Install all breadcrumb sources
+     */
+    function initBreadcrumbs() {
+        if (!config.captureBreadcrumbs) return;
+
+        instrumentHistory();
+        instrumentClicks();
+        instrumentConsoleBreadcrumbs();
+    }
+
+    /**
+     * Instrument fetch/XHR (breadcrumbs, failed request capture, traceparent)
+     */
+    function initNetworkInstrumentation() {
+        if (!config.captureBreadcrumbs && !config.captureNetworkErrors && !config.tracePropagation) return;
+
+        instrumentFetch();
+        instrumentXhr();
     }
 
     /**
@@ -334,7 +2953,7 @@
      */
     function startPeriodicCleanup() {
         // Run cleanup every minute
-        setInterval(function() {
+        var intervalId = setInterval(function() {
             var now = Date.now();
             var cutoff = now - config.dedupeWindowMs;
             var cleanedCount = 0;
@@ -350,68 +2969,195 @@
                 console.log('[PSR3] Cleaned ' + cleanedCount + ' old error hashes');
             }
         }, 60000); // Every 60 seconds
+
+        state.teardowns.push(function() {
+            clearInterval(intervalId);
+        });
     }
 
     /**
-     * Initialize error handler
+     * Install handlers, wrappers and timers (each one registers its undo)
      */
-    function init() {
-        if (state.initialized) return;
-        state.initialized = true;
-
-        // Global error handler
-        window.onerror = handleError;
+    function install() {
+        // Global error handler + resource load failures. A listener instead of
+        // window.onerror, so handlers set by other scripts keep working.
+        listen(window, 'error', handleErrorEvent, true);
 
         // Promise rejection handler
-        window.addEventListener('unhandledrejection', handleRejection);
+        listen(window, 'unhandledrejection', handleRejection);
 
         // Wrap console
         wrapConsole();
 
+        // Breadcrumbs (after wrapConsole so a console.error is queued before it becomes a crumb)
+        initBreadcrumbs();
+        initNetworkInstrumentation();
+
+        // Content-Security-Policy violations (security channel)
+        initCspCapture();
+
+        // Heartbeat of this page view, report earlier ones without a clean exit
+        initCrashDetection();
+
         // Start periodic cleanup to prevent memory leaks in SPAs
         startPeriodicCleanup();
 
-        // Send remaining errors on page unload
-        window.addEventListener('beforeunload', function() {
-            sendErrors();
+        // Periodic dropped event summary
+        startDroppedReporting();
+
+        // Replay errors stored while offline (now and on reconnect)
+        listen(window, 'online', replayOfflineQueue);
+        var replayTimeout = setTimeout(replayOfflineQueue, 0);
+        state.teardowns.push(function() {
+            clearTimeout(replayTimeout);
         });
 
-        // Send remaining errors on visibility change (mobile)
-        document.addEventListener('visibilitychange', function() {
+        // Send remaining errors (and the dropped summary) on page unload
+        listen(window, 'pagehide', function() {
+            reportDropped();
+            flushOnExit();
+        });
+
+        // Send remaining errors on visibility change (mobile may discard hidden pages)
+        listen(document, 'visibilitychange', function() {
             if (document.visibilityState === 'hidden') {
-                sendErrors();
+                flushOnExit();
             }
         });
+    }
+
+    /**
+     * Undo everything install() did, in reverse order
+     */
+    function uninstall() {
+        while (state.teardowns.length > 0) {
+            state.teardowns.pop()();
+        }
+    }
+
+    /**
+     * Initialize error handler
+     *
+     * @param {Object} [options] Overrides for the default configuration
+     */
+    function init(options) {
+        if (state.initialized) return;
+
+        config = extend(extend({}, defaults), options || {});
+        state = createState();
+        startPageView();
+
+        if (config.captureBreadcrumbs) {
+            addBreadcrumb('navigation', 'load: ' + window.location.href);
+        }
+
+        install();
+        state.initialized = true;
 
         if (config.debug) {
             console.log('[PSR3] Error handler initialized', config);
         }
     }
 
+    /**
+     * Merge options into the active configuration
+     *
+     * Changing a capture* option or a timer interval (heartbeatIntervalMs,
+     * droppedReportIntervalMs) on a running handler re-installs the
+     * instrumentation and restarts the timers; queued errors and breadcrumbs
+     * are kept.
+     *
+     * @param {Object} options Partial configuration
+     */
+    function configure(options) {
+        options = options || {};
+
+        var reinstall = state.initialized && INSTRUMENTATION_KEYS.some(function(key) {
+            return key in options && options[key] !== config[key];
+        });
+
+        extend(config, options);
+
+        if (reinstall) {
+            uninstall();
+            install();
+        }
+    }
+
+    /**
+     * Flush pending errors and restore everything init() replaced
+     */
+    function close() {
+        if (!state.initialized) return;
+
+        reportDropped();
+        sendErrors();
+        uninstall();
+        clearTimeout(state.retryTimeout);
+        state = createState();
+        scope = createScope();
+
+        if (config.debug) {
+            console.log('[PSR3] Error handler closed');
+        }
+    }
+
     /**
      * Public API for manual logging
      */
     window.PSR3Logger = {
-        debug: function(message, extra) {
-            queueError({ level: 'debug', message: message, url: window.location.href, userAgent: navigator.userAgent, extra: extra });
+        emergency: function(message, context) {
+            return logEvent('emergency', message, context);
+        },
+        alert: function(message, context) {
+            return logEvent('alert', message, context);
         },
-        info: function(message, extra) {
-            queueError({ level: 'info', message: message, url: window.location.href, userAgent: navigator.userAgent, extra: extra });
+        critical: function(message, context) {
+            return logEvent('critical', message, context);
         },
-        warning: function(message, extra) {
-            queueError({ level: 'warning', message: message, url: window.location.href, userAgent: navigator.userAgent, extra: extra });
+        error: function(message, context) {
+            return logEvent('error', message, context);
         },
-        error: function(message, extra) {
-            queueError({ level: 'error', message: message, url: window.location.href, userAgent: navigator.userAgent, extra: extra });
+        warning: function(message, context) {
+            return logEvent('warning', message, context);
         },
-        critical: function(message, extra) {
-            queueError({ level: 'critical', message: message, url: window.location.href, userAgent: navigator.userAgent, extra: extra });
+        notice: function(message, context) {
+            return logEvent('notice', message, context);
+        },
+        info: function(message, context) {
+            return logEvent('info', message, context);
+        },
+        debug: function(message, context) {
+            return logEvent('debug', message, context);
+        },
+        log: function(level, message, context) {
+            return logEvent(level, message, context);
+        },
+        lastEventId: function() {
+            return state.lastErrorEventId;
+        },
+        getTraceparent: function() {
+            return state.traceId ? createTraceparent() : null;
         },
         flush: function() {
             sendErrors();
-        }
+        },
+        setUser: setUser,
+        setTag: setTag,
+        setTags: setTags,
+        setContext: setContext,
+        withScope: withScope,
+        captureEvent: captureEvent,
+        showReportDialog: showReportDialog,
+        captureFeedback: captureFeedback,
+        attachWorker: attachWorker,
+        init: init,
+        configure: configure,
+        close: close
     };
 
-    // Initialize immediately
-    init();
+    // Initialize immediately unless the page opted into PSR3Logger.init()
+    if (window.PSR3_AUTO_INIT !== false) {
+        init();
+    }
 })();
@@ -491,6 +491,17 @@
         });
     }
 
+    // ==========================================================================
+    // File View - Jump to Event (?event_id=)
+    // ==========================================================================
+
+    function initEventHighlight() {
+        var entry = document.querySelector('.eap-logger-entry--highlight');
+        if (!entry) return;
+
+        entry.scrollIntoView({ block: 'center' });
+    }
+
     // ==========================================================================
     // Context Modal
     // ==========================================================================
@@ -498,6 +509,7 @@
     function initContextModal() {
         var modal = document.getElementById('context-modal');
         var content = document.getElementById('context-content');
+        var breadcrumbsEl = document.getElementById('context-breadcrumbs');
 
         if (!modal || !content) {
             return;
@@ -507,12 +519,20 @@
         document.querySelectorAll('.eap-logger-context-btn').forEach(function(btn) {
             btn.addEventListener('click', function() {
                 var ctx = this.dataset.context;
+                var breadcrumbs = null;
                 try {
                     var parsed = JSON.parse(ctx);
+                    if (parsed && Array.isArray(parsed.breadcrumbs)) {
+                        breadcrumbs = parsed.breadcrumbs;
+                        delete parsed.breadcrumbs;
+                    }
                     content.textContent = JSON.stringify(parsed, null, 2);
                 } catch (e) {
                     content.textContent = ctx;
                 }
+                if (breadcrumbsEl) {
+                    renderBreadcrumbs(breadcrumbsEl, breadcrumbs);
+                }
                 modal.classList.remove('hidden');
             });
         });
@@ -525,6 +545,67 @@
         });
     }
 
+    /**
+     * Render client breadcrumbs as a timeline (DOM API only, no innerHTML)
+     *
+     * @param {HTMLElement} container - Timeline container
+     * @param {Array|null} breadcrumbs - Breadcrumbs from the js_errors context
+     */
+    function renderBreadcrumbs(container, breadcrumbs) {
+        container.textContent = '';
+
+        if (!breadcrumbs || breadcrumbs.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        var title = document.createElement('h4');
+        title.className = 'eap-logger-breadcrumbs__title';
+        title.textContent = 'Breadcrumbs (oldest first)';
+        container.appendChild(title);
+
+        var list = document.createElement('ol');
+        list.className = 'eap-logger-breadcrumbs__list';
+
+        breadcrumbs.forEach(function(crumb) {
+            var item = document.createElement('li');
+            item.className = 'eap-logger-breadcrumbs__item';
+
+            var time = document.createElement('span');
+            time.className = 'eap-logger-breadcrumbs__time';
+            // ISO timestamp -> HH:MM:SS.mmm
+            var ts = String(crumb.timestamp || '');
+            time.textContent = ts.indexOf('T') !== -1 ? ts.split('T')[1].replace('Z', '') : ts;
+
+            var category = document.createElement('span');
+            category.className = 'eap-logger-breadcrumbs__category eap-logger-breadcrumbs__category--' +
+                String(crumb.category || 'other').replace(/[^a-z]/g, '');
+            category.textContent = crumb.category || 'other';
+
+            var message = document.createElement('span');
+            message.className = 'eap-logger-breadcrumbs__message';
+            message.textContent = crumb.message || '';
+
+            item.appendChild(time);
+            item.appendChild(category);
+            item.appendChild(message);
+
+            if (crumb.data && typeof crumb.data === 'object') {
+                var data = document.createElement('span');
+                data.className = 'eap-logger-breadcrumbs__data';
+                data.textContent = Object.keys(crumb.data).map(function(key) {
+                    return key + '=' + crumb.data[key];
+                }).join(' ');
+                item.appendChild(data);
+            }
+
+            list.appendChild(item);
+        });
+
+        container.appendChild(list);
+        container.classList.remove('hidden');
+    }
+
     // ==========================================================================
     // Modal Close Handlers
     // ==========================================================================
@@ -885,6 +966,7 @@
         initAutoResetTimers();
         initFileClearButtons();
         initPerPageSelector();
+        initEventHighlight();
         initContextModal();
         initModalCloseHandlers();
         initTelegramConfig();
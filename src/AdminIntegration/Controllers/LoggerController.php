@@ -10,6 +10,7 @@ use AdosLabs\AdminPanel\Http\Response;
 use AdosLabs\AdminPanel\Services\AuditService;
 use AdosLabs\AdminPanel\Services\EncryptionService;
 use AdosLabs\AdminPanel\Services\SessionService;
+use AdosLabs\EnterprisePSR3Logger\JavaScript\JsEventCollector;
 use AdosLabs\EnterprisePSR3Logger\LoggerFacade as Logger;
 use AdosLabs\EnterprisePSR3Logger\Security\RateLimiter;
 use AdosLabs\EnterprisePSR3Logger\Security\SecureErrorHandler;
@@ -57,6 +58,11 @@ final class LoggerController extends BaseController
      */
     private const DEFAULT_TIMEZONE = 'Europe/Rome';
 
+    /**
+     * Bytes of other log files read per view when looking for a trace ID
+     */
+    private const MAX_TRACE_SCAN_BYTES = 52428800;
+
     /**
      * Channel definitions - must match database log_channels table
      * These channels are configurable via the admin panel
@@ -131,6 +137,14 @@ final class LoggerController extends BaseController
             'file_prefix' => 'js_errors',
             'allowed_levels' => null, // All levels allowed
         ],
+        'js_vitals' => [
+            'name' => 'JavaScript Vitals',
+            'description' => 'Core Web Vitals (LCP, CLS, INP, TTFB) and long tasks per page view',
+            'icon' => 'zap',
+            'color' => 'cyan',
+            'file_prefix' => 'js_vitals',
+            'allowed_levels' => ['info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'],
+        ],
     ];
 
     /**
@@ -276,6 +290,8 @@ final class LoggerController extends BaseController
     /**
      * View a specific log file
      * GET /admin/logger/view?file=app-2026-01-27.log
+     * GET /admin/logger/view?file=js_errors-2026-01-27.log&event_id=<uuid> (jump to a JS event)
+     * GET /admin/logger/view?file=app-2026-01-27.log&trace_id=<32 hex> (only entries of one trace)
      */
     public function viewFile(): Response
     {
@@ -285,6 +301,10 @@ final class LoggerController extends BaseController
         $filename = $this->input('file', '');
         $page = max(1, (int) $this->input('page', 1));
         $perPage = (int) $this->input('per_page', 100);
+        $eventId = strtolower(trim((string) $this->input('event_id', '')));
+        $eventId = preg_match(JsEventCollector::JS_EVENT_ID_PATTERN, $eventId) ? $eventId : null;
+        $traceId = strtolower(trim((string) $this->input('trace_id', '')));
+        $traceId = preg_match(JsEventCollector::TRACE_ID_PATTERN, $traceId) ? $traceId : null;
 
         // Security: validate filename
         if (!$this->isValidLogFilename($filename)) {
@@ -325,9 +345,28 @@ final class LoggerController extends BaseController
         // Filter out empty lines and count only non-empty lines
         // This prevents "empty pages" issue where blank lines inflate the count
         $lines = array_values(array_filter($allLines, fn ($line) => trim($line) !== ''));
-        $totalLines = count($lines);
+
+        // Trace filter: paginate the matching entries instead of the raw lines
+        // (the trace ID is in the extra/context of PHP and JS entries alike)
+        $traceEntries = $traceId !== null ? $this->parseEntriesContaining($lines, $traceId) : null;
+        [$traceFiles, $traceFilesComplete] = $traceId !== null
+            ? $this->findLogFilesContaining($traceId, $filename)
+            : [[], true];
+
+        $totalLines = $traceEntries !== null ? count($traceEntries) : count($lines);
         $pages = $totalLines > 0 ? (int) ceil($totalLines / $perPage) : 0;
 
+        // Jump to the page holding the requested event
+        $eventLine = $eventId !== null && $traceEntries === null ? $this->findJsEventLine($lines, $eventId) : null;
+        if ($eventLine !== null) {
+            $page = intdiv($eventLine, $perPage) + 1;
+        }
+
+        // Not in this file: point to the JS channel file that has it
+        $eventFile = $eventId !== null && $traceEntries === null && $eventLine === null
+            ? $this->findJsEventFile($eventId, $filename)
+            : null;
+
         // Clamp page to valid range
         $page = max(1, min($page, max(1, $pages)));
 
@@ -336,10 +375,28 @@ final class LoggerController extends BaseController
 
         // Paginate
         $offset = ($page - 1) * $perPage;
-        $pageLines = array_slice($lines, $offset, $perPage);
 
         // Parse log lines for better display
-        $parsedLines = $this->parseLogLines($pageLines);
+        $parsedLines = $traceEntries !== null
+            ? array_slice($traceEntries, $offset, $perPage)
+            : $this->parseLogLines(array_slice($lines, $offset, $perPage));
+
+        // Attach user feedback (logged anywhere in the file) to the entries it refers to
+        $feedback = $this->collectJsFeedback($lines);
+        foreach ($parsedLines as &$parsedLine) {
+            $lineTraceId = $this->extractContextValue(($parsedLine['context'] ?? '') ?: '', 'trace_id');
+            if ($lineTraceId !== null && preg_match(JsEventCollector::TRACE_ID_PATTERN, $lineTraceId)) {
+                $parsedLine['trace_id'] = $lineTraceId;
+            }
+
+            $lineEventId = $this->extractContextValue(($parsedLine['context'] ?? '') ?: '', 'event_id');
+            if ($lineEventId !== null && preg_match(JsEventCollector::JS_EVENT_ID_PATTERN, $lineEventId)) {
+                $parsedLine['event_id'] = strtolower($lineEventId);
+                $parsedLine['feedback'] = $feedback[$parsedLine['event_id']] ?? [];
+                $parsedLine['highlight'] = $parsedLine['event_id'] === $eventId;
+            }
+        }
+        unset($parsedLine);
 
         return $this->view('logger/file-view', [
             'filename' => $filename,
@@ -349,6 +406,12 @@ final class LoggerController extends BaseController
             'page' => $page,
             'per_page' => $perPage,
             'pages' => $pages,
+            'event_id' => $eventId,
+            'event_found' => $eventLine !== null,
+            'event_file' => $eventFile,
+            'trace_id' => $traceId,
+            'trace_files' => $traceFiles,
+            'trace_files_complete' => $traceFilesComplete,
             'file_size' => filesize($filepath),
             'modified' => filemtime($filepath),
             'page_title' => 'Log: ' . $filename,
@@ -357,6 +420,239 @@ final class LoggerController extends BaseController
         ]);
     }
 
+    /**
+     * Collect user feedback entries of a log file, keyed by the event ID they refer to
+     *
+     * Feedback is logged as its own entry (feedback_for=<event_id>), usually
+     * after the error and possibly on another page of the file.
+     *
+     * @param array<int, string> $lines Non-empty lines of the whole file
+     * @return array<string, array<int, array{timestamp: string, comment: string, email: ?string, name: ?string}>>
+     */
+    private function collectJsFeedback(array $lines): array
+    {
+        $feedback = [];
+        $count = count($lines);
+
+        foreach ($lines as $index => $line) {
+            if (!str_contains($line, 'feedback_for')) {
+                continue;
+            }
+
+            // Multi-line formats: the entry starts at the last non-indented line
+            $start = $index;
+            while ($start > 0 && preg_match('/^\s/', $lines[$start])) {
+                $start--;
+            }
+            $end = $index + 1;
+            while ($end < $count && preg_match('/^\s/', $lines[$end])) {
+                $end++;
+            }
+
+            $entry = $this->parseLogLines(array_slice($lines, $start, $end - $start))[0] ?? null;
+            $context = $entry['context'] ?? null;
+            $eventId = $context ? $this->extractContextValue($context, 'feedback_for') : null;
+
+            if ($eventId === null || !preg_match(JsEventCollector::JS_EVENT_ID_PATTERN, $eventId)) {
+                continue;
+            }
+
+            $feedback[strtolower($eventId)][] = [
+                'timestamp' => $entry['timestamp'],
+                'comment' => preg_replace('/^User Feedback:\s*/', '', $entry['message']),
+                'email' => $this->extractContextValue($context, 'feedback_email'),
+                'name' => $this->extractContextValue($context, 'feedback_name'),
+            ];
+        }
+
+        return $feedback;
+    }
+
+    /**
+     * Parse only the entries with a line that mentions a string (trace filter)
+     *
+     * A raw-line scan picks the matching lines first, so a large file is not
+     * parsed as a whole to keep a handful of entries.
+     *
+     * @param array<int, string> $lines Non-empty lines of the whole file
+     * @return array<int, array<string, mixed>> Parsed entries, in file order
+     */
+    private function parseEntriesContaining(array $lines, string $needle): array
+    {
+        $entries = [];
+        $count = count($lines);
+        $end = 0;
+
+        foreach ($lines as $index => $line) {
+            if ($index < $end || !str_contains($line, $needle)) {
+                continue;
+            }
+
+            // Multi-line formats: the entry starts at the last non-indented line
+            $start = $index;
+            while ($start > 0 && preg_match('/^\s/', $lines[$start])) {
+                $start--;
+            }
+            $end = $index + 1;
+            while ($end < $count && preg_match('/^\s/', $lines[$end])) {
+                $end++;
+            }
+
+            array_push($entries, ...$this->parseLogLines(array_slice($lines, $start, $end - $start)));
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Other log files of the same day that mention a string (trace ID lookup)
+     *
+     * Only files in the logs directory; read in fixed-size chunks (no line
+     * is held whole), stopping at the first match, and at most
+     * MAX_TRACE_SCAN_BYTES over all files.
+     *
+     * @return array{0: array<int, string>, 1: bool} File names, and whether every file was searched
+     */
+    private function findLogFilesContaining(string $needle, string $currentFile): array
+    {
+        $date = preg_match('/(\d{4}-\d{2}-\d{2})/', $currentFile, $matches) ? $matches[1] : date('Y-m-d');
+        $budget = self::MAX_TRACE_SCAN_BYTES;
+        $found = [];
+        $complete = true;
+
+        foreach ($this->getAvailableLogFiles() as $file) {
+            if ($file['name'] === $currentFile || ($file['date'] ?? null) !== $date) {
+                continue;
+            }
+
+            if ($budget <= 0) {
+                $complete = false;
+                break;
+            }
+
+            $handle = @fopen($this->logsPath . '/' . $file['name'], 'r');
+            if ($handle === false) {
+                continue;
+            }
+
+            // Keep the end of the previous chunk for matches across the boundary
+            $carry = '';
+            while ($budget > 0 && ($chunk = fread($handle, 65536)) !== false && $chunk !== '') {
+                $budget -= strlen($chunk);
+
+                if (str_contains($carry . $chunk, $needle)) {
+                    $found[] = $file['name'];
+                    break;
+                }
+
+                $carry = substr($chunk, -(strlen($needle) - 1)) ?: '';
+            }
+
+            if ($budget <= 0 && !feof($handle) && !in_array($file['name'], $found, true)) {
+                $complete = false;
+            }
+
+            fclose($handle);
+        }
+
+        sort($found);
+
+        return [$found, $complete];
+    }
+
+    /**
+     * Index of the first line of the entry logged with the given JS event ID
+     *
+     * @param array<int, string> $lines Non-empty lines of the whole file
+     */
+    private function findJsEventLine(array $lines, string $eventId): ?int
+    {
+        foreach ($lines as $index => $line) {
+            if (stripos($line, $eventId) === false) {
+                continue;
+            }
+
+            $value = $this->extractContextValue($line, 'event_id');
+            if ($value === null || strtolower($value) !== $eventId) {
+                continue; // e.g. feedback_for=<id> of a feedback entry
+            }
+
+            // Multi-line formats: the entry starts at the last non-indented line
+            while ($index > 0 && preg_match('/^\s/', $lines[$index])) {
+                $index--;
+            }
+
+            return $index;
+        }
+
+        return null;
+    }
+
+    /**
+     * JS channel log file (newest first) holding the entry with the given event ID
+     *
+     * Event IDs come from the feedback dialog or a support ticket, often days
+     * after the error, so every js_errors/js_vitals file still kept by the
+     * retention policy is searched, line by line.
+     *
+     * @return string|null File name
+     */
+    private function findJsEventFile(string $eventId, string $currentFile): ?string
+    {
+        foreach ($this->getAvailableLogFiles() as $file) {
+            if ($file['name'] === $currentFile || !in_array($file['channel'], JsEventCollector::JS_CHANNELS, true)) {
+                continue;
+            }
+
+            $handle = @fopen($this->logsPath . '/' . $file['name'], 'r');
+            if ($handle === false) {
+                continue;
+            }
+
+            while (($line = fgets($handle)) !== false) {
+                if (stripos($line, $eventId) === false) {
+                    continue;
+                }
+
+                $value = $this->extractContextValue(rtrim($line, "\r\n"), 'event_id');
+                if ($value !== null && strtolower($value) === $eventId) {
+                    fclose($handle);
+
+                    return $file['name'];
+                }
+            }
+
+            fclose($handle);
+        }
+
+        return null;
+    }
+
+    /**
+     * Read a scalar context value from a parsed entry's context string
+     *
+     * Handles both key=value (DetailedLineFormatter, quoted when it has spaces)
+     * and JSON ("key":"value") context.
+     */
+    private function extractContextValue(string $context, string $key): ?string
+    {
+        $key = preg_quote($key, '/');
+
+        if (preg_match('/(?:^|[\s{,])"' . $key . '":"((?:[^"\\\\]|\\\\.)*)"/', $context, $matches)) {
+            $value = json_decode('"' . $matches[1] . '"');
+
+            return is_string($value) ? $value : null;
+        }
+        if (preg_match('/(?:^|\s)' . $key . '="((?:[^"\\\\]|\\\\.)*)"/', $context, $matches)) {
+            return str_replace('\\"', '"', $matches[1]);
+        }
+        if (preg_match('/(?:^|\s)' . $key . '=(\S+)/', $context, $matches)) {
+            return $matches[1];
+        }
+
+        return null;
+    }
+
     /**
      * Security Log Database Viewer
      * GET /admin/logger/security
@@ -1214,17 +1510,52 @@ final class LoggerController extends BaseController
      * This is a public endpoint (no auth required) for client-side error reporting.
      * Uses rate limiting and validation to prevent abuse.
      *
-     * Expected JSON payload:
+     * Validation, sanitizing and logging are done by JsEventCollector.
+     *
+     * Expected JSON payload (single event, or a JSON array of up to
+     * JsEventCollector::MAX_JS_BATCH_SIZE events - one rate limit hit per request):
      * {
-     *   "level": "error",           // error, warning, info, debug
+     *   "event_id": "uuid",         // Optional client event ID
+     *   "session_id": "uuid",       // Optional, per browser tab
+     *   "page_view_id": "uuid",     // Optional, per page load
+     *   "trace_id": "32 hex",       // Optional W3C trace ID (traceparent sent with fetch/XHR)
+     *   "channel": "js_vitals",     // Optional, one of JS_CHANNELS (default js_errors)
+     *   "level": "error",           // any PSR-3 level (plus log/trace/warn/fatal aliases)
      *   "message": "Error message",
      *   "stack": "stack trace...",  // Optional
      *   "url": "page URL",
      *   "line": 123,                // Optional
      *   "column": 45,               // Optional
      *   "userAgent": "...",         // Optional
-     *   "extra": {}                 // Optional additional context
+     *   "extra": {},                // Optional additional context
+     *   "fingerprint": "k3j9x1",    // Optional grouping key (normalized message + top frames)
+     *   "release": "1.4.2",         // Optional bundle release (source map lookup)
+     *   "user": {"id": 42},         // Optional, from PSR3Logger.setUser()
+     *   "tags": {"tenant": "acme"}, // Optional, from PSR3Logger.setTag()/setTags()
+     *   "contexts": {"cart": {}},   // Optional, from PSR3Logger.setContext()
+     *   "metrics": {"lcp_ms": 2140},// Optional flat map (error-handler-vitals.js)
+     *   "csp": {                    // Optional CSP violation, logged to the security channel
+     *                               // (MAX_JS_CSP_PER_MINUTE per IP, see docs/SECURITY.md)
+     *     "directive": "script-src-elem", "blocked_uri": "...", "source_file": "...",
+     *     "sample": "...", "disposition": "enforce", "status_code": 200
+     *   },
+     *   "breadcrumbs": [            // Optional, oldest first
+     *     {"timestamp": "...", "category": "click", "message": "button#save", "data": {}}
+     *   ],
+     *   "feedback": {               // Optional, user feedback (message = comment)
+     *     "event_id": "uuid", "email": "...", "name": "..."
+     *   },
+     *   "termination": {            // Optional, earlier page view that ended without a clean exit
+     *     "page_view_id": "uuid", "session_id": "uuid",
+     *     "last_heartbeat_at": "2026-01-27T14:30:45.123Z", "visibility": "visible"
+     *   }
      * }
+     *
+     * Batch response: {"success": bool, "accepted": n, "rejected": n,
+     * "results": [{"index": 0, "success": true}, {"index": 1, "success": false, "message": "..."}]}
+     *
+     * The body may be sent with "Content-Encoding: gzip" (decompressed size
+     * capped at MAX_JS_DECODED_BYTES).
      */
     public function logJsError(): Response
     {
@@ -1233,7 +1564,7 @@ final class LoggerController extends BaseController
         if ($this->isOriginAllowed($origin)) {
             header('Access-Control-Allow-Origin: ' . $origin);
             header('Access-Control-Allow-Methods: POST, OPTIONS');
-            header('Access-Control-Allow-Headers: Content-Type');
+            header('Access-Control-Allow-Headers: Content-Type, Content-Encoding');
             header('Access-Control-Max-Age: 86400'); // Cache preflight for 24h
             header('Vary: Origin'); // Required for proper caching
         }
@@ -1243,7 +1574,7 @@ final class LoggerController extends BaseController
             return $this->json(['ok' => true]);
         }
 
-        // Rate limiting by IP (100 errors per minute per IP)
+        // Rate limiting by IP (100 requests per minute per IP, a batch counts once)
         $clientIp = $this->getClientIp();
         $rateCheck = $this->rateLimiter->attempt("js_error:{$clientIp}", 'api');
         if (!$rateCheck['allowed']) {
@@ -1254,111 +1585,25 @@ final class LoggerController extends BaseController
             ], 429);
         }
 
-        // Parse JSON body
-        $json = file_get_contents('php://input');
-        $data = json_decode($json, true);
-
-        if (!is_array($data)) {
-            return $this->json(['success' => false, 'message' => 'Invalid JSON'], 400);
-        }
-
-        // Validate required fields
-        $message = $data['message'] ?? '';
-        if (empty($message) || strlen($message) > 10000) {
-            return $this->json(['success' => false, 'message' => 'Invalid message'], 400);
-        }
-
-        // Sanitize and extract fields
-        $level = $this->normalizeJsLevel($data['level'] ?? 'error');
-        $message = $this->sanitizeJsInput($message, 2000);
-        $stack = $this->sanitizeJsInput($data['stack'] ?? '', 5000);
-        $url = $this->sanitizeJsInput($data['url'] ?? '', 500);
-        $line = isset($data['line']) ? (int) $data['line'] : null;
-        $column = isset($data['column']) ? (int) $data['column'] : null;
-        $userAgent = $this->sanitizeJsInput($data['userAgent'] ?? $_SERVER['HTTP_USER_AGENT'] ?? '', 500);
-        $extra = is_array($data['extra'] ?? null) ? $data['extra'] : [];
-
-        // Build context
-        $context = [
-            'source' => 'javascript',
-            'url' => $url,
-            'user_agent' => $userAgent,
-            'ip' => $clientIp,
-        ];
-
-        if ($line !== null) {
-            $context['line'] = $line;
-        }
-        if ($column !== null) {
-            $context['column'] = $column;
-        }
-        if (!empty($stack)) {
-            $context['stack'] = $stack;
-        }
-        if (!empty($extra)) {
-            $context['extra'] = $extra;
-        }
-
         // Add session user ID if available
+        $userId = null;
         try {
             $user = $this->getUser();
             if (!empty($user['id'])) {
-                $context['user_id'] = $user['id'];
+                $userId = $user['id'];
             }
         } catch (\Throwable $e) {
             // No session, skip user ID
         }
 
-        // Log to js_errors channel
-        $logger = Logger::channel('js_errors');
-
-        match ($level) {
-            'debug' => $logger->debug($message, $context),
-            'info' => $logger->info($message, $context),
-            'notice' => $logger->notice($message, $context),
-            'warning' => $logger->warning($message, $context),
-            'critical' => $logger->critical($message, $context),
-            default => $logger->error($message, $context),
-        };
-
-        return $this->json(['success' => true]);
-    }
-
-    /**
-     * Normalize JavaScript log level to PSR-3 level
-     */
-    private function normalizeJsLevel(string $level): string
-    {
-        $level = strtolower(trim($level));
-
-        return match ($level) {
-            'log', 'debug', 'trace' => 'debug',
-            'info' => 'info',
-            'warn', 'warning' => 'warning',
-            'error' => 'error',
-            'critical', 'fatal' => 'critical',
-            default => 'error',
-        };
-    }
-
-    /**
-     * Sanitize JavaScript input to prevent log injection
-     */
-    private function sanitizeJsInput(mixed $input, int $maxLength): string
-    {
-        if (!is_string($input)) {
-            return '';
-        }
-
-        // Remove null bytes and control characters (except newlines and tabs)
-        $clean = preg_replace('/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/', '', $input);
-
-        // Limit length
-        if (strlen($clean) > $maxLength) {
-            $clean = substr($clean, 0, $maxLength) . '...';
-        }
+        [$payload, $status] = (new JsEventCollector($this->rateLimiter))->handle(
+            (string) file_get_contents('php://input'),
+            $_SERVER['HTTP_CONTENT_ENCODING'] ?? '',
+            $clientIp,
+            $userId
+        );
 
-        return $clean;
+        return $this->json($payload, $status);
     }
 
     // =========================================================================
@@ -1571,6 +1816,7 @@ final class LoggerController extends BaseController
      *    [2026-01-27 15:30:45.123456] [WRN] [channel] [pid:123] [mem:2MB]
      *      ▶ Message here
      *      │ key=value key2=value2
+     *      │ js={"stack":"...","frames":[...],"breadcrumbs":[...]}   (JavaScript events, kept as 'js')
      *      └ Exception info
      * 4. PHP error format: [27-Jan-2026 15:30:45 Europe/Rome] PHP Warning: message
      */
@@ -1624,14 +1870,18 @@ final class LoggerController extends BaseController
             }
 
             // Check for DetailedLineFormatter continuation lines (▶, │, └)
-            if (preg_match('/^\s+([▶│└])\s*(.*)$/', $line, $contMatch)) {
+            if (preg_match('/^\s+([▶│└])\s*(.*)$/u', $line, $contMatch)) {
                 if ($currentEntry !== null) {
                     $symbol = $contMatch[1];
                     $content = trim($contMatch[2]);
+                    // Full JavaScript event fields (DetailedLineFormatter js={...} line)
+                    $js = str_starts_with($content, 'js={') ? json_decode(substr($content, 3), true) : null;
 
                     if ($symbol === '▶') {
                         // This is the message line
                         $currentEntry['message'] = $content;
+                    } elseif (is_array($js)) {
+                        $currentEntry['js'] = $js;
                     } else {
                         // │ or └ are context/extra lines - add to details
                         if ($content !== '') {
@@ -1652,6 +1902,31 @@ final class LoggerController extends BaseController
 
             // --- NEW ENTRY PATTERNS ---
 
+            // Format 0: JsonFormatter (one object per line, PHP or node/psr3-logger.js)
+            // {"timestamp":"2026-01-27T15:30:45.123+01:00","level":"error","level_name":"Error","channel":"app","message":"..."}
+            if (str_starts_with($line, '{"timestamp"')) {
+                $json = json_decode($line, true);
+
+                if (is_array($json) && isset($json['timestamp'], $json['level'], $json['message']) && is_string($json['level'])) {
+                    $finalizeEntry();
+
+                    $level = strtolower($json['level']);
+                    $context = !empty($json['context']) ? json_encode($json['context'], JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) : null;
+
+                    $currentEntry = [
+                        'raw' => $line,
+                        'timestamp' => $this->convertJsonTimestamp((string) $json['timestamp']),
+                        'channel' => (string) ($json['channel'] ?? 'unknown'),
+                        'level' => $level,
+                        'message' => (string) $json['message'],
+                        'context' => $context !== false ? $context : null,
+                        'details' => [],
+                        'level_class' => $getLevelClass($level),
+                    ];
+                    continue;
+                }
+            }
+
             // Format 1: DetailedLineFormatter header (with full level name or abbreviation)
             // [2026-01-28 10:07:15.970494] [Warning] [security] [pid:62850] [mem:2MB]
             // or [2026-01-28 10:07:15.970494] [WRN] [security] [pid:62850] [mem:2MB]
@@ -1710,7 +1985,8 @@ final class LoggerController extends BaseController
             }
 
             // Format 2: Enhanced format - [2026-01-27 15:30:45.123] [LEVEL] channel | message | context
-            if (preg_match('/^\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(?:\.\d+)?)\]\s+\[(\w+)\]\s+(\w+)\s*\|\s*(.*)$/', $line, $matches)) {
+            // (LineFormatter pads the level name: [Error    ])
+            if (preg_match('/^\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(?:\.\d+)?)\]\s+\[(\w+)\s*\]\s+(\w+)\s*\|\s*(.*)$/', $line, $matches)) {
                 $finalizeEntry();
 
                 $level = strtolower(trim($matches[2]));
@@ -1736,7 +2012,8 @@ final class LoggerController extends BaseController
             }
 
             // Format 3: Simple format - [2026-01-27 15:30:45.123] channel.LEVEL: message {"context"}
-            if (preg_match('/^\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(?:\.\d+)?)\]\s+(\w+)\.(\w+):\s*(.*)$/', $line, $matches)) {
+            // (LineFormatter pads the level name: app.Error    : message)
+            if (preg_match('/^\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(?:\.\d+)?)\]\s+(\w+)\.(\w+)\s*:\s*(.*)$/', $line, $matches)) {
                 $finalizeEntry();
 
                 $message = $matches[4];
@@ -2149,6 +2426,30 @@ final class LoggerController extends BaseController
         }
     }
 
+    /**
+     * Convert JsonFormatter timestamp to local timezone format
+     *
+     * JSON format: 2026-01-27T15:30:45.123+00:00
+     * We convert to: 2026-01-27 16:30:45.123 (local timezone)
+     *
+     * @param string $timestamp RFC3339 timestamp
+     * @return string Converted timestamp in Y-m-d H:i:s.v format
+     */
+    private function convertJsonTimestamp(string $timestamp): string
+    {
+        try {
+            // Parse: 2026-01-27T15:30:45.123+01:00 (RFC3339_EXTENDED)
+            $dt = new \DateTime($timestamp);
+
+            // Convert to local timezone
+            $dt->setTimezone(new \DateTimeZone(date_default_timezone_get()));
+
+            return $dt->format('Y-m-d H:i:s.v');
+        } catch (\Throwable $e) {
+            return $timestamp;
+        }
+    }
+
     /**
      * Convert Nginx access log timestamp to standard format
      *
@@ -9,6 +9,12 @@
  * @var int $page Current page
  * @var int $per_page Lines per page
  * @var int $pages Total pages
+ * @var string|null $event_id Requested JS event ID (?event_id=)
+ * @var bool $event_found Whether the requested event was found in the file
+ * @var string|null $event_file Other JS channel log file holding the requested event
+ * @var string|null $trace_id Trace filter (?trace_id=), entries instead of lines are paginated
+ * @var array $trace_files Other log files of the same day mentioning the trace ID
+ * @var bool $trace_files_complete Whether every file of the day was searched (size cap)
  * @var int $file_size File size in bytes
  * @var int $modified File modification timestamp
  * @var string $page_title Page title
@@ -34,13 +40,24 @@ $getLevelClass = fn ($level) => match ($level) {
     default => 'secondary',
 };
 
+$trace_id ??= null;
+$trace_files ??= [];
+$trace_files_complete ??= true;
+$event_file ??= null;
+
+// Link to the entries of one trace (same or another file)
+$traceUrl = fn ($file, $traceId) => $admin_base_path . '/logger/view?' . http_build_query(['file' => $file, 'trace_id' => $traceId]);
+
 // Build query string for pagination links
-$buildUrl = function ($newPage, $newPerPage = null) use ($filename, $page, $per_page, $admin_base_path) {
+$buildUrl = function ($newPage, $newPerPage = null) use ($filename, $page, $per_page, $admin_base_path, $trace_id) {
     $params = [
         'file' => $filename,
         'page' => $newPage,
         'per_page' => $newPerPage ?? $per_page,
     ];
+    if (!empty($trace_id)) {
+        $params['trace_id'] = $trace_id;
+    }
 
     return $admin_base_path . '/logger/view?' . http_build_query($params);
 };
@@ -107,10 +124,28 @@ $buildUrl = function ($newPage, $newPerPage = null) use ($filename, $page, $per_
 <div class="eap-logger-viewer-controls">
     <div class="eap-logger-viewer-controls__left">
         <span class="eap-logger-viewer-controls__info">
-            Showing <?= number_format(($page - 1) * $per_page + 1) ?> - <?= number_format(min($page * $per_page, $total_lines)) ?> of <?= number_format($total_lines) ?> lines
+            Showing <?= number_format(($page - 1) * $per_page + 1) ?> - <?= number_format(min($page * $per_page, $total_lines)) ?> of <?= number_format($total_lines) ?> <?= $trace_id ? 'entries' : 'lines' ?>
         </span>
     </div>
     <div class="eap-logger-viewer-controls__right">
+        <form method="get" action="<?= esc($admin_base_path) ?>/logger/view" class="eap-logger-viewer-controls__search">
+            <input type="hidden" name="file" value="<?= esc($filename) ?>">
+            <input type="hidden" name="per_page" value="<?= (int) $per_page ?>">
+            <input type="search" name="event_id" value="<?= esc($event_id ?? '') ?>"
+                   class="eap-logger-viewer-controls__input" placeholder="Event ID"
+                   pattern="[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}"
+                   title="Event ID reported by the JavaScript error handler (UUID)">
+            <button type="submit" class="eap-btn eap-btn--secondary eap-btn--sm">Go</button>
+        </form>
+        <form method="get" action="<?= esc($admin_base_path) ?>/logger/view" class="eap-logger-viewer-controls__search">
+            <input type="hidden" name="file" value="<?= esc($filename) ?>">
+            <input type="hidden" name="per_page" value="<?= (int) $per_page ?>">
+            <input type="search" name="trace_id" value="<?= esc($trace_id ?? '') ?>"
+                   class="eap-logger-viewer-controls__input" placeholder="Trace ID"
+                   pattern="[0-9a-fA-F]{32}"
+                   title="W3C trace ID (32 hex), logged by error-handler.js and RequestProcessor">
+            <button type="submit" class="eap-btn eap-btn--secondary eap-btn--sm">Filter</button>
+        </form>
         <label class="eap-logger-viewer-controls__label">Lines per page:</label>
         <select class="eap-logger-viewer-controls__select" id="per-page-select">
             <option value="50" <?= $per_page === 50 ? 'selected' : '' ?>>50</option>
@@ -120,6 +155,43 @@ $buildUrl = function ($newPage, $newPerPage = null) use ($filename, $page, $per_
     </div>
 </div>
 
+<?php if (!empty($event_id) && empty($event_found)): ?>
+<div class="eap-logger-info-banner">
+    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="11" cy="11" r="8"/>
+        <line x1="21" y1="21" x2="16.65" y2="16.65"/>
+    </svg>
+    <span>
+        Event <strong><?= esc($event_id) ?></strong> was not found in this file.
+        <?php if ($event_file): ?>
+        It was logged in
+        <a href="<?= esc($admin_base_path . '/logger/view?' . http_build_query(['file' => $event_file, 'event_id' => $event_id])) ?>"><?= esc($event_file) ?></a>.
+        <?php endif; ?>
+    </span>
+</div>
+<?php endif; ?>
+
+<?php if ($trace_id): ?>
+<div class="eap-logger-info-banner">
+    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="22 12 18 12 15 21 9 3 6 12 2 12"/>
+    </svg>
+    <span>
+        Entries of trace <strong><?= esc($trace_id) ?></strong>.
+        <?php if (!empty($trace_files)): ?>
+        Also in:
+        <?php foreach ($trace_files as $i => $traceFile): ?><?= $i > 0 ? ', ' : '' ?><a href="<?= esc($traceUrl($traceFile, $trace_id)) ?>"><?= esc($traceFile) ?></a><?php endforeach; ?>.
+        <?php elseif ($trace_files_complete): ?>
+        No other log file of the same day mentions it.
+        <?php endif; ?>
+        <?php if (!$trace_files_complete): ?>
+        Some large log files of the same day were not searched.
+        <?php endif; ?>
+        <a href="<?= esc($admin_base_path) ?>/logger/view?<?= esc(http_build_query(['file' => $filename, 'per_page' => $per_page])) ?>">Clear filter</a>
+    </span>
+</div>
+<?php endif; ?>
+
 <!-- Log Content -->
 <div class="eap-card eap-logger-viewer">
     <div class="eap-card__body eap-logger-viewer__body">
@@ -134,7 +206,7 @@ $buildUrl = function ($newPage, $newPerPage = null) use ($filename, $page, $per_
         <?php else: ?>
         <div class="eap-logger-entries">
             <?php foreach ($lines as $index => $line): ?>
-            <div class="eap-logger-entry eap-logger-entry--<?= $getLevelClass($line['level']) ?>">
+            <div class="eap-logger-entry eap-logger-entry--<?= $getLevelClass($line['level']) ?><?= !empty($line['highlight']) ? ' eap-logger-entry--highlight' : '' ?>"<?php if (!empty($line['event_id'])): ?> id="event-<?= esc($line['event_id']) ?>"<?php endif; ?>>
                 <?php
                 // Separate metadata (pid, mem, req) from actual context data
                 $metadata = [];
@@ -165,6 +237,10 @@ $buildUrl = function ($newPage, $newPerPage = null) use ($filename, $page, $per_
                     <?php foreach ($metadata as $meta): ?>
                     <span class="eap-logger-entry__meta"><?= esc($meta) ?></span>
                     <?php endforeach; ?>
+                    <?php if (!empty($line['trace_id']) && $line['trace_id'] !== $trace_id): ?>
+                    <a class="eap-logger-entry__trace" href="<?= esc($traceUrl($filename, $line['trace_id'])) ?>"
+                       title="Show only entries of trace <?= esc($line['trace_id']) ?>">trace <?= esc(substr($line['trace_id'], 0, 8)) ?></a>
+                    <?php endif; ?>
                 </div>
 
                 <!-- Body -->
@@ -173,17 +249,41 @@ $buildUrl = function ($newPage, $newPerPage = null) use ($filename, $page, $per_
                     <div class="eap-logger-entry__message"><?= esc($line['message']) ?></div>
                     <?php endif; ?>
 
+                    <?php if (!empty($line['feedback'])): ?>
+                    <div class="eap-logger-feedback">
+                        <div class="eap-logger-feedback__title">User feedback</div>
+                        <?php foreach ($line['feedback'] as $feedback): ?>
+                        <div class="eap-logger-feedback__item">
+                            <div class="eap-logger-feedback__meta">
+                                <span class="eap-logger-feedback__time"><?= esc($feedback['timestamp']) ?></span>
+                                <?php if (!empty($feedback['name'])): ?>
+                                <span class="eap-logger-feedback__author"><?= esc($feedback['name']) ?></span>
+                                <?php endif; ?>
+                                <?php if (!empty($feedback['email'])): ?>
+                                <a class="eap-logger-feedback__email" href="mailto:<?= esc($feedback['email']) ?>"><?= esc($feedback['email']) ?></a>
+                                <?php endif; ?>
+                            </div>
+                            <div class="eap-logger-feedback__comment"><?= esc($feedback['comment']) ?></div>
+                        </div>
+                        <?php endforeach; ?>
+                    </div>
+                    <?php endif; ?>
+
                     <?php
                     // Combine context data for inline display (metadata already shown in header)
                     $allContext = $contextData; // Already filtered above
+                $jsonContextData = null;
 
                 // Add context if it's not already in details
                 if ($line['context'] && empty($contextData)) {
                     // Try to decode JSON context
                     $jsonContextData = json_decode($line['context'], true);
                     if ($jsonContextData !== null && is_array($jsonContextData)) {
-                        // Format as key=value pairs
+                        // Format as key=value pairs (breadcrumbs are shown as a timeline in the modal)
                         foreach ($jsonContextData as $key => $value) {
+                            if ($key === 'breadcrumbs') {
+                                continue;
+                            }
                             if (is_scalar($value)) {
                                 $allContext[] = $key . '=' . $value;
                             } elseif (is_array($value)) {
@@ -223,6 +323,17 @@ $buildUrl = function ($newPage, $newPerPage = null) use ($filename, $page, $per_
                         <?php endforeach; ?>
                     </div>
                     <?php endif; ?>
+
+                    <?php
+                    // JSON context, or the js={...} fields of a DetailedLineFormatter entry
+                    $modalContext = is_array($jsonContextData) ? $jsonContextData : ($line['js'] ?? null);
+                    ?>
+                    <?php if (is_array($modalContext)): ?>
+                    <button type="button" class="eap-logger-context-btn" data-context="<?= esc((string) json_encode($modalContext, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE)) ?>">
+                        View context<?php if (!empty($modalContext['breadcrumbs']) && is_array($modalContext['breadcrumbs'])): ?>
+                        &middot; <?= count($modalContext['breadcrumbs']) ?> breadcrumbs<?php endif; ?>
+                    </button>
+                    <?php endif; ?>
                 </div>
             </div>
             <?php endforeach; ?>
@@ -293,5 +404,19 @@ $buildUrl = function ($newPage, $newPerPage = null) use ($filename, $page, $per_
 </div>
 <?php endif; ?>
 
+<!-- Context Modal (JSON context + breadcrumb timeline) -->
+<div id="context-modal" class="eap-logger-modal-overlay hidden">
+    <div class="eap-logger-modal eap-logger-modal--wide">
+        <div class="eap-logger-modal__header">
+            <h3 class="eap-logger-modal__title">Log Context</h3>
+            <button type="button" class="eap-logger-modal__close" aria-label="Close">&times;</button>
+        </div>
+        <div class="eap-logger-modal__body">
+            <div id="context-breadcrumbs" class="eap-logger-breadcrumbs hidden"></div>
+            <pre id="context-content"></pre>
+        </div>
+    </div>
+</div>
+
 <!-- JS handlers in /module-assets/enterprise-psr3-logger/js/logger.js -->
 <?php endif; ?>
@@ -31,6 +31,9 @@ use Monolog\LogRecord;
  * - Duration tracking (if provided in context)
  * - Structured context with key=value pairs
  * - Exception summary with file:line
+ * - JavaScript events (context source=javascript): stack, frames and
+ *   breadcrumbs in full on their own js={...} JSON line, read back by the
+ *   log viewer and bin/js-symbolicate.js
  */
 class DetailedLineFormatter extends NormalizerFormatter implements FormatterInterface
 {
@@ -45,6 +48,12 @@ class DetailedLineFormatter extends NormalizerFormatter implements FormatterInte
         'EMERGENCY' => 'EMG',
     ];
 
+    /**
+     * Context keys of JavaScript events written as one js={...} JSON line
+     * (the key=value line would cut them to "[n items]" or 50 characters)
+     */
+    private const JS_PAYLOAD_KEYS = ['stack', 'frames', 'breadcrumbs'];
+
     private bool $includeProcessId;
     private bool $includeMemoryUsage;
     private bool $includeRequestId;
@@ -107,10 +116,14 @@ class DetailedLineFormatter extends NormalizerFormatter implements FormatterInte
 
             // Context line (if not empty)
             $context = $this->normalize($record->context);
+            [$context, $jsPayload] = $this->splitJsPayload($context);
             $contextStr = is_array($context) ? $this->formatContextKeyValue($context) : '';
             if ($contextStr !== '') {
                 $output[] = '  │ ' . $contextStr;
             }
+            if ($jsPayload !== '') {
+                $output[] = '  │ ' . $jsPayload;
+            }
 
             // Extra line (if not empty)
             $extra = $this->normalize($record->extra);
@@ -134,10 +147,14 @@ class DetailedLineFormatter extends NormalizerFormatter implements FormatterInte
             $parts = [$record->message];
 
             $context = $this->normalize($record->context);
+            [$context, $jsPayload] = $this->splitJsPayload($context);
             $contextStr = is_array($context) ? $this->formatContextKeyValue($context) : '';
             if ($contextStr !== '') {
                 $parts[] = $contextStr;
             }
+            if ($jsPayload !== '') {
+                $parts[] = $jsPayload;
+            }
 
             if (isset($record->context['exception']) && $record->context['exception'] instanceof \Throwable) {
                 $parts[] = $this->formatExceptionSummary($record->context['exception']);
@@ -254,6 +271,31 @@ class DetailedLineFormatter extends NormalizerFormatter implements FormatterInte
         return $result;
     }
 
+    /**
+     * Move the JS_PAYLOAD_KEYS of a JavaScript event out of the context
+     *
+     * @return array{0: mixed, 1: string} Remaining context and the js={...} part ('' if none)
+     */
+    private function splitJsPayload(mixed $context): array
+    {
+        if (!is_array($context) || ($context['source'] ?? null) !== 'javascript') {
+            return [$context, ''];
+        }
+
+        $payload = array_intersect_key($context, array_flip(self::JS_PAYLOAD_KEYS));
+        if (empty($payload)) {
+            return [$context, ''];
+        }
+
+        // JSON escapes newlines and control characters: the part stays on one line
+        $json = json_encode($payload, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_INVALID_UTF8_SUBSTITUTE);
+        if ($json === false) {
+            return [$context, ''];
+        }
+
+        return [array_diff_key($context, $payload), 'js=' . $json];
+    }
+
     /**
      * Format a scalar value for key=value output
      */
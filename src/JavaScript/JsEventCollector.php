@@ -0,0 +1,589 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdosLabs\EnterprisePSR3Logger\JavaScript;
+
+use AdosLabs\EnterprisePSR3Logger\LoggerFacade as Logger;
+use AdosLabs\EnterprisePSR3Logger\Security\RateLimiter;
+
+/**
+ * JavaScript Event Collector
+ *
+ * Validates, sanitizes and logs the events public/js/error-handler.js sends
+ * to POST /api/log/js-error (single event or batch, optionally gzip-encoded).
+ * Framework-agnostic: the admin LoggerController only adds CORS, the request
+ * rate limit and the session user, so any other front controller can reuse it.
+ *
+ * Events are written to the js_errors channel (or another JS_CHANNELS entry);
+ * CSP violations go to the security channel.
+ *
+ * @version 1.0.0
+ */
+final class JsEventCollector
+{
+    /**
+     * Maximum number of events accepted in one POST /api/log/js-error batch
+     */
+    private const MAX_JS_BATCH_SIZE = 50;
+
+    /**
+     * Maximum number of breadcrumbs kept per JavaScript error event
+     */
+    private const MAX_JS_BREADCRUMBS = 50;
+
+    /**
+     * Maximum number of parsed stack frames kept per JavaScript error event
+     * (same cap as MAX_FRAMES in error-handler.js)
+     */
+    private const MAX_JS_FRAMES = 50;
+
+    /**
+     * Maximum number of tags per JavaScript error event
+     */
+    private const MAX_JS_TAGS = 50;
+
+    /**
+     * Maximum JSON size (bytes) of the named contexts of a JavaScript error event
+     */
+    private const MAX_JS_CONTEXTS_BYTES = 5000;
+
+    /**
+     * Maximum decompressed size (bytes) of a gzip-encoded JavaScript error request
+     */
+    private const MAX_JS_DECODED_BYTES = 1048576;
+
+    /**
+     * Channels a JavaScript event may target ("channel" field, default js_errors)
+     */
+    public const JS_CHANNELS = ['js_errors', 'js_vitals'];
+
+    /**
+     * CSP reports per client IP and minute written to the security channel
+     * (on top of the request rate limit of the JS error API)
+     */
+    private const MAX_JS_CSP_PER_MINUTE = 30;
+
+    /**
+     * Maximum number of metrics per JavaScript event (logged as flat context keys)
+     */
+    private const MAX_JS_METRICS = 30;
+
+    /**
+     * Context keys written by processJsError() itself; metrics with these
+     * names are dropped, so a client can't fill in IDs, feedback links or
+     * server-side fields it didn't send (or isn't allowed to set)
+     */
+    private const RESERVED_CONTEXT_KEYS = [
+        'event_id', 'trace_id', 'session_id', 'page_view_id',
+        'feedback_for', 'feedback_email', 'feedback_name',
+        'terminated_page_view_id', 'terminated_session_id', 'last_heartbeat_at', 'visibility',
+        'csp_directive', 'csp_blocked_uri', 'csp_disposition', 'csp_source_file', 'csp_sample', 'csp_status_code',
+        'source', 'url', 'user_agent', 'ip', 'line', 'column', 'stack', 'frames', 'fingerprint', 'release',
+        'user', 'tags', 'contexts', 'extra', 'breadcrumbs', 'user_id', 'exception',
+    ];
+
+    /**
+     * CSP directive name (effectiveDirective of a securitypolicyviolation event)
+     */
+    private const CSP_DIRECTIVE_PATTERN = '/^[a-z][a-z-]{0,63}$/';
+
+    /**
+     * Client event ID format (UUID) - links user feedback to its error entry
+     * (also used by the log viewer's event lookup)
+     */
+    public const JS_EVENT_ID_PATTERN = '/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i';
+
+    /**
+     * Client release tag - also a directory below bin/js-symbolicate.js --maps,
+     * so "." and ".." path segments are rejected
+     */
+    private const JS_RELEASE_PATTERN = '#^(?!(?:.*/)?\.\.?(?:/|$))[A-Za-z0-9._+@/-]{1,100}$#';
+
+    /**
+     * W3C trace ID format (32 lowercase hex) - shared by JS events and RequestProcessor
+     * (also used by the log viewer's trace filter)
+     */
+    public const TRACE_ID_PATTERN = '/^[0-9a-f]{32}$/';
+
+    private RateLimiter $rateLimiter;
+
+    public function __construct(RateLimiter $rateLimiter)
+    {
+        $this->rateLimiter = $rateLimiter;
+    }
+
+    /**
+     * Decode a POST /api/log/js-error body and log its event(s)
+     *
+     * @param string $body Raw request body
+     * @param string $contentEncoding Content-Encoding header ('gzip' or empty)
+     * @param int|string|null $userId Authenticated user of the request (logged as user_id)
+     * @return array{0: array<string, mixed>, 1: int} Response payload and HTTP status
+     */
+    public function handle(string $body, string $contentEncoding, string $clientIp, int|string|null $userId = null): array
+    {
+        // Parse JSON body (optionally gzip-compressed by the client)
+        $json = $body;
+
+        if (strtolower(trim($contentEncoding)) === 'gzip') {
+            // Bounded decode: a small compressed body must not expand without limit
+            $json = @gzdecode($body, self::MAX_JS_DECODED_BYTES);
+
+            if ($json === false) {
+                return [['success' => false, 'message' => 'Invalid gzip body'], 400];
+            }
+        }
+
+        $data = json_decode($json, true);
+
+        if (!is_array($data)) {
+            return [['success' => false, 'message' => 'Invalid JSON'], 400];
+        }
+
+        // Single event (legacy payload) - keep the original response shape
+        if (!array_is_list($data)) {
+            $result = $this->processJsError($data, $clientIp, $userId);
+
+            return $result['success']
+                ? [['success' => true], 200]
+                : [['success' => false, 'message' => $result['message']], 400];
+        }
+
+        // Batch of events - validate and log each item independently
+        if (empty($data)) {
+            return [['success' => false, 'message' => 'Empty batch'], 400];
+        }
+
+        $results = [];
+        $accepted = 0;
+
+        foreach ($data as $index => $item) {
+            if ($index >= self::MAX_JS_BATCH_SIZE) {
+                $result = ['success' => false, 'message' => 'Batch size limit exceeded'];
+            } elseif (!is_array($item) || array_is_list($item)) {
+                $result = ['success' => false, 'message' => 'Invalid event'];
+            } else {
+                $result = $this->processJsError($item, $clientIp, $userId);
+            }
+
+            if ($result['success']) {
+                $accepted++;
+            }
+
+            $results[] = ['index' => $index] + $result;
+        }
+
+        return [[
+            'success' => $accepted > 0,
+            'accepted' => $accepted,
+            'rejected' => count($results) - $accepted,
+            'results' => $results,
+        ], $accepted > 0 ? 200 : 400];
+    }
+
+    /**
+     * Validate, sanitize and log a single JavaScript error event
+     *
+     * @param array<string, mixed> $data Decoded event payload
+     * @return array{success: bool, message?: string}
+     */
+    private function processJsError(array $data, string $clientIp, int|string|null $userId): array
+    {
+        // Validate required fields
+        $message = $data['message'] ?? '';
+        if (!is_string($message) || $message === '' || strlen($message) > 10000) {
+            return ['success' => false, 'message' => 'Invalid message'];
+        }
+
+        // Sanitize and extract fields
+        $level = $this->normalizeJsLevel(is_string($data['level'] ?? null) ? $data['level'] : 'error');
+        $message = $this->sanitizeJsInput($message, 2000);
+        $stack = $this->sanitizeJsInput($data['stack'] ?? '', 5000);
+        $url = $this->sanitizeJsInput($data['url'] ?? '', 500);
+        $line = isset($data['line']) ? (int) $data['line'] : null;
+        $column = isset($data['column']) ? (int) $data['column'] : null;
+        $userAgent = $this->sanitizeJsInput($data['userAgent'] ?? $_SERVER['HTTP_USER_AGENT'] ?? '', 500);
+        $extra = is_array($data['extra'] ?? null) ? $data['extra'] : [];
+        $breadcrumbs = $this->sanitizeJsBreadcrumbs($data['breadcrumbs'] ?? null);
+        $frames = $this->sanitizeJsFrames($data['frames'] ?? null);
+        $fingerprint = is_string($data['fingerprint'] ?? null) && preg_match('/^[A-Za-z0-9_-]{1,64}$/', $data['fingerprint'])
+            ? $data['fingerprint']
+            : null;
+        $release = is_string($data['release'] ?? null) && preg_match(self::JS_RELEASE_PATTERN, $data['release'])
+            ? $data['release']
+            : null;
+        $jsUser = $this->sanitizeJsMap($data['user'] ?? null, 10);
+        $tags = $this->sanitizeJsMap($data['tags'] ?? null, self::MAX_JS_TAGS);
+        $contexts = is_array($data['contexts'] ?? null) && !array_is_list($data['contexts'])
+            && strlen((string) json_encode($data['contexts'])) <= self::MAX_JS_CONTEXTS_BYTES
+            ? $data['contexts']
+            : [];
+        $eventId = $this->sanitizeJsEventId($data['event_id'] ?? null);
+        $channel = in_array($data['channel'] ?? null, self::JS_CHANNELS, true) ? $data['channel'] : 'js_errors';
+        $metrics = $this->sanitizeJsMap($data['metrics'] ?? null, self::MAX_JS_METRICS);
+        $csp = is_array($data['csp'] ?? null) ? $this->sanitizeJsCsp($data['csp']) : [];
+
+        // CSP violations go to the security channel, with a message built from
+        // the validated fields only (clients can't write free text there). The
+        // endpoint is public, so these are client claims: a separate per-IP
+        // budget keeps one client from flooding the channel alerts read
+        if (!empty($csp)) {
+            $rateCheck = $this->rateLimiter->attemptWithLimit("js_csp:{$clientIp}", self::MAX_JS_CSP_PER_MINUTE, 60);
+            if (!$rateCheck['allowed']) {
+                return ['success' => false, 'message' => 'Security event rate limit exceeded'];
+            }
+
+            $channel = 'security';
+            $level = 'warning';
+            $message = 'CSP violation' . ($csp['csp_disposition'] === 'report' ? ' (report-only)' : '')
+                . ': ' . $csp['csp_directive'] . ' blocked ' . $csp['csp_blocked_uri'];
+        }
+
+        // Build context (IDs, feedback and metric keys first and flat, so the
+        // line formatter's value truncation never hides them from the viewer)
+        $context = [];
+
+        if ($eventId !== null) {
+            $context['event_id'] = $eventId;
+        }
+        if (is_string($data['trace_id'] ?? null) && preg_match(self::TRACE_ID_PATTERN, $data['trace_id'])) {
+            $context['trace_id'] = $data['trace_id'];
+        }
+        foreach (['session_id', 'page_view_id'] as $key) {
+            $value = $this->sanitizeJsEventId($data[$key] ?? null);
+            if ($value !== null) {
+                $context[$key] = $value;
+            }
+        }
+        if (is_array($data['feedback'] ?? null)) {
+            $context += $this->sanitizeJsFeedback($data['feedback']);
+        }
+        if (is_array($data['termination'] ?? null)) {
+            $context += $this->sanitizeJsTermination($data['termination']);
+        }
+        $context += $csp;
+        $context += array_diff_key($metrics, array_flip(self::RESERVED_CONTEXT_KEYS));
+
+        $context += [
+            'source' => 'javascript',
+            'url' => $url,
+            'user_agent' => $userAgent,
+            'ip' => $clientIp,
+        ];
+
+        if ($line !== null) {
+            $context['line'] = $line;
+        }
+        if ($column !== null) {
+            $context['column'] = $column;
+        }
+        if (!empty($stack)) {
+            $context['stack'] = $stack;
+        }
+        if (!empty($frames)) {
+            $context['frames'] = $frames;
+        }
+        if ($fingerprint !== null) {
+            $context['fingerprint'] = $fingerprint;
+        }
+        if ($release !== null) {
+            $context['release'] = $release;
+        }
+        if (!empty($jsUser)) {
+            $context['user'] = $jsUser;
+        }
+        if (!empty($tags)) {
+            $context['tags'] = $tags;
+        }
+        if (!empty($contexts)) {
+            $context['contexts'] = $contexts;
+        }
+        if (!empty($extra)) {
+            $context['extra'] = $extra;
+        }
+        if (!empty($breadcrumbs)) {
+            $context['breadcrumbs'] = $breadcrumbs;
+        }
+
+        // Add session user ID if available
+        if (!empty($userId)) {
+            $context['user_id'] = $userId;
+        }
+
+        // Log to js_errors (or the requested JS channel)
+        $logger = Logger::channel($channel);
+
+        match ($level) {
+            'debug' => $logger->debug($message, $context),
+            'info' => $logger->info($message, $context),
+            'notice' => $logger->notice($message, $context),
+            'warning' => $logger->warning($message, $context),
+            'critical' => $logger->critical($message, $context),
+            'alert' => $logger->alert($message, $context),
+            'emergency' => $logger->emergency($message, $context),
+            default => $logger->error($message, $context),
+        };
+
+        return ['success' => true];
+    }
+
+    /**
+     * Normalize JavaScript log level to PSR-3 level
+     */
+    private function normalizeJsLevel(string $level): string
+    {
+        $level = strtolower(trim($level));
+
+        return match ($level) {
+            'log', 'debug', 'trace' => 'debug',
+            'info' => 'info',
+            'notice' => 'notice',
+            'warn', 'warning' => 'warning',
+            'error' => 'error',
+            'critical', 'fatal' => 'critical',
+            'alert' => 'alert',
+            'emergency' => 'emergency',
+            default => 'error',
+        };
+    }
+
+    /**
+     * Sanitize JavaScript input to prevent log injection
+     */
+    private function sanitizeJsInput(mixed $input, int $maxLength): string
+    {
+        if (!is_string($input)) {
+            return '';
+        }
+
+        // Remove null bytes and control characters (except newlines and tabs)
+        $clean = (string) preg_replace('/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/', '', $input);
+
+        // Limit length
+        if (strlen($clean) > $maxLength) {
+            $clean = substr($clean, 0, $maxLength) . '...';
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Lowercase client UUID (event, session or page-view ID), or null when invalid
+     */
+    private function sanitizeJsEventId(mixed $input): ?string
+    {
+        if (!is_string($input) || !preg_match(self::JS_EVENT_ID_PATTERN, $input)) {
+            return null;
+        }
+
+        return strtolower($input);
+    }
+
+    /**
+     * Sanitize user feedback fields into flat context keys
+     * (feedback_for, feedback_email, feedback_name)
+     *
+     * @param array<mixed> $feedback
+     * @return array<string, string>
+     */
+    private function sanitizeJsFeedback(array $feedback): array
+    {
+        $context = ['feedback_for' => $this->sanitizeJsEventId($feedback['event_id'] ?? null) ?? 'unknown'];
+
+        $email = is_string($feedback['email'] ?? null) ? trim($feedback['email']) : '';
+        if ($email !== '' && strlen($email) <= 254 && filter_var($email, FILTER_VALIDATE_EMAIL) !== false) {
+            $context['feedback_email'] = $email;
+        }
+
+        $name = $this->sanitizeJsInput(is_string($feedback['name'] ?? null) ? trim($feedback['name']) : '', 100);
+        if ($name !== '') {
+            $context['feedback_name'] = $name;
+        }
+
+        return $context;
+    }
+
+    /**
+     * Sanitize an unclean page view termination into flat context keys
+     * (terminated_page_view_id, terminated_session_id, last_heartbeat_at,
+     * visibility), each one only when valid
+     *
+     * @param array<mixed> $termination
+     * @return array<string, string>
+     */
+    private function sanitizeJsTermination(array $termination): array
+    {
+        $context = [];
+
+        foreach (['page_view_id', 'session_id'] as $key) {
+            $value = $this->sanitizeJsEventId($termination[$key] ?? null);
+            if ($value !== null) {
+                $context['terminated_' . $key] = $value;
+            }
+        }
+
+        $heartbeatAt = $termination['last_heartbeat_at'] ?? null;
+        if (is_string($heartbeatAt) && preg_match('/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{1,3})?Z$/', $heartbeatAt)) {
+            $context['last_heartbeat_at'] = $heartbeatAt;
+        }
+
+        if (in_array($termination['visibility'] ?? null, ['visible', 'hidden'], true)) {
+            $context['visibility'] = $termination['visibility'];
+        }
+
+        return $context;
+    }
+
+    /**
+     * Sanitize a CSP violation report into flat context keys (csp_directive,
+     * csp_blocked_uri, csp_disposition, csp_source_file, csp_sample,
+     * csp_status_code), or [] without a valid directive
+     *
+     * @param array<mixed> $csp
+     * @return array<string, string|int>
+     */
+    private function sanitizeJsCsp(array $csp): array
+    {
+        $directive = $csp['directive'] ?? null;
+        if (!is_string($directive) || !preg_match(self::CSP_DIRECTIVE_PATTERN, $directive)) {
+            return [];
+        }
+
+        // Part of the message: keep it on one line
+        $blockedUri = (string) preg_replace('/\s+/', ' ', $this->sanitizeJsInput($csp['blocked_uri'] ?? '', 200));
+
+        $context = [
+            'csp_directive' => $directive,
+            'csp_blocked_uri' => $blockedUri !== '' ? $blockedUri : 'none',
+            'csp_disposition' => ($csp['disposition'] ?? null) === 'report' ? 'report' : 'enforce',
+        ];
+
+        $sourceFile = $this->sanitizeJsInput($csp['source_file'] ?? '', 500);
+        if ($sourceFile !== '') {
+            $context['csp_source_file'] = $sourceFile;
+        }
+
+        $sample = $this->sanitizeJsInput($csp['sample'] ?? '', 40);
+        if ($sample !== '') {
+            $context['csp_sample'] = $sample;
+        }
+
+        if (is_int($csp['status_code'] ?? null) && $csp['status_code'] >= 0 && $csp['status_code'] < 1000) {
+            $context['csp_status_code'] = $csp['status_code'];
+        }
+
+        return $context;
+    }
+
+    /**
+     * Sanitize a flat client key/value map (user, tags): bounded size,
+     * identifier-like keys, scalar values only
+     *
+     * @return array<string, scalar>
+     */
+    private function sanitizeJsMap(mixed $input, int $maxKeys): array
+    {
+        if (!is_array($input)) {
+            return [];
+        }
+
+        $map = [];
+
+        foreach ($input as $key => $value) {
+            if (count($map) >= $maxKeys) {
+                break;
+            }
+            if (!preg_match('/^[A-Za-z0-9_.:-]{1,64}$/', (string) $key)) {
+                continue;
+            }
+
+            if (is_string($value)) {
+                $map[(string) $key] = $this->sanitizeJsInput($value, 200);
+            } elseif (is_scalar($value)) {
+                $map[(string) $key] = $value;
+            }
+        }
+
+        return $map;
+    }
+
+    /**
+     * Sanitize the client's parsed stack frames (bounded count, one
+     * {function, file, line, column} shape), used by bin/js-symbolicate.js
+     *
+     * @return array<int, array{function: string, file: string, line: int, column: int}>
+     */
+    private function sanitizeJsFrames(mixed $input): array
+    {
+        if (!is_array($input)) {
+            return [];
+        }
+
+        $frames = [];
+
+        foreach (array_slice(array_values($input), 0, self::MAX_JS_FRAMES) as $frame) {
+            if (!is_array($frame) || !is_int($frame['line'] ?? null) || !is_int($frame['column'] ?? null)) {
+                continue;
+            }
+
+            $file = $this->sanitizeJsInput($frame['file'] ?? '', 500);
+            if ($file === '' || $frame['line'] < 0 || $frame['column'] < 0) {
+                continue;
+            }
+
+            $frames[] = [
+                'function' => $this->sanitizeJsInput($frame['function'] ?? '', 200),
+                'file' => $file,
+                'line' => $frame['line'],
+                'column' => $frame['column'],
+            ];
+        }
+
+        return $frames;
+    }
+
+    /**
+     * Sanitize the client breadcrumb trail (bounded count, scalar data only)
+     *
+     * @return array<int, array{timestamp: string, category: string, message: string, data?: array<string, scalar>}>
+     */
+    private function sanitizeJsBreadcrumbs(mixed $input): array
+    {
+        if (!is_array($input)) {
+            return [];
+        }
+
+        $breadcrumbs = [];
+
+        foreach (array_slice(array_values($input), -self::MAX_JS_BREADCRUMBS) as $crumb) {
+            if (!is_array($crumb)) {
+                continue;
+            }
+
+            $sanitized = [
+                'timestamp' => $this->sanitizeJsInput($crumb['timestamp'] ?? '', 40),
+                'category' => $this->sanitizeJsInput($crumb['category'] ?? '', 30),
+                'message' => $this->sanitizeJsInput($crumb['message'] ?? '', 300),
+            ];
+
+            if (is_array($crumb['data'] ?? null)) {
+                $data = [];
+                foreach (array_slice($crumb['data'], 0, 10, true) as $key => $value) {
+                    if (is_string($value)) {
+                        $data[(string) $key] = $this->sanitizeJsInput($value, 200);
+                    } elseif (is_scalar($value)) {
+                        $data[(string) $key] = $value;
+                    }
+                }
+                if (!empty($data)) {
+                    $sanitized['data'] = $data;
+                }
+            }
+
+            $breadcrumbs[] = $sanitized;
+        }
+
+        return $breadcrumbs;
+    }
+}
@@ -15,6 +15,8 @@ use Monolog\Processor\ProcessorInterface;
  *
  * ADDED FIELDS (in extra):
  * - request_id: Unique request identifier (generated or from header)
+ * - trace_id: W3C trace ID from the traceparent header (if present and valid)
+ * - parent_span_id: Caller's span ID from the traceparent header
  * - http_method: HTTP method (GET, POST, etc.)
  * - url: Request URL (path + query string)
  * - ip: Client IP address
@@ -28,6 +30,11 @@ use Monolog\Processor\ProcessorInterface;
  * $logger->addProcessor(new RequestProcessor('X-Correlation-ID'));
  * ```
  *
+ * TRACE CORRELATION:
+ * error-handler.js (tracePropagation: true) sends a traceparent header with
+ * same-origin fetch/XHR (plus its tracePropagationTargets) and the same trace_id with its js_errors events, so
+ * both sides of a user action can be found by one trace ID.
+ *
  * SECURITY:
  * - IP addresses are anonymized if configured
  * - User agents are truncated to prevent log injection
@@ -44,6 +51,9 @@ class RequestProcessor implements ProcessorInterface
     /** Request ID validation pattern (alphanumeric + hyphen only, max 64 chars) */
     private const REQUEST_ID_PATTERN = '/^[a-zA-Z0-9\-]{1,64}$/';
 
+    /** W3C traceparent: version-trace_id-parent_id-flags (lowercase hex) */
+    private const TRACEPARENT_PATTERN = '/^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/';
+
     private readonly string $requestIdHeader;
     private readonly bool $anonymizeIp;
     private readonly int $userAgentMaxLength;
@@ -198,6 +208,31 @@ class RequestProcessor implements ProcessorInterface
         return $this->cachedRequestId;
     }
 
+    /**
+     * Parse the W3C traceparent request header
+     *
+     * Version ff and all-zero trace/parent IDs are invalid per the spec.
+     *
+     * @return array{trace_id: string, parent_span_id: string}|null
+     */
+    public function getTraceContext(): ?array
+    {
+        $header = $_SERVER['HTTP_TRACEPARENT'] ?? null;
+
+        if (!is_string($header) || !preg_match(self::TRACEPARENT_PATTERN, trim($header), $matches)) {
+            return null;
+        }
+
+        if ($matches[1] === 'ff' || $matches[2] === str_repeat('0', 32) || $matches[3] === str_repeat('0', 16)) {
+            return null;
+        }
+
+        return [
+            'trace_id' => $matches[2],
+            'parent_span_id' => $matches[3],
+        ];
+    }
+
     /**
      * Set request ID manually (useful for CLI or custom scenarios)
      *
@@ -224,6 +259,12 @@ class RequestProcessor implements ProcessorInterface
             'request_id' => $this->getRequestId(),
         ];
 
+        // W3C trace context (e.g. from error-handler.js)
+        $traceContext = $this->getTraceContext();
+        if ($traceContext !== null) {
+            $data += $traceContext;
+        }
+
         // HTTP method
         if (isset($_SERVER['REQUEST_METHOD'])) {
             $data['http_method'] = $_SERVER['REQUEST_METHOD'];
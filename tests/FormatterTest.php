@@ -198,6 +198,37 @@ class FormatterTest extends TestCase
         $this->assertStringContainsString('Test error', $output);
     }
 
+    public function testDetailedLineFormatterWritesJavaScriptBreadcrumbsInFull(): void
+    {
+        $formatter = new DetailedLineFormatter();
+        $breadcrumbs = array_map(fn (int $i) => ['timestamp' => "t{$i}", 'category' => 'click', 'message' => "button #{$i}"], range(1, 20));
+
+        $js = $formatter->format($this->createRecord(context: ['source' => 'javascript', 'breadcrumbs' => $breadcrumbs]));
+        $php = $formatter->format($this->createRecord(context: ['breadcrumbs' => $breadcrumbs]));
+
+        $this->assertSame(1, preg_match('/^  [│└] js=(.*)$/mu', $js, $matches));
+        $this->assertSame(['breadcrumbs' => $breadcrumbs], json_decode($matches[1], true));
+        $this->assertStringNotContainsString('breadcrumbs=', $js);
+        $this->assertStringContainsString('breadcrumbs=[20 items]', $php);
+        $this->assertStringNotContainsString('js=', $php);
+    }
+
+    public function testDetailedLineFormatterWritesJavaScriptStackAndFramesInFull(): void
+    {
+        $formatter = new DetailedLineFormatter();
+        $stack = "TypeError: x is undefined\n    at render (https://cdn.test/app.min.js:1:20345)\n    at main (https://cdn.test/app.min.js:1:98)";
+        $frames = [
+            ['function' => 'render', 'file' => 'https://cdn.test/app.min.js', 'line' => 1, 'column' => 20345],
+            ['function' => 'main', 'file' => 'https://cdn.test/app.min.js', 'line' => 1, 'column' => 98],
+        ];
+
+        $output = $formatter->format($this->createRecord(context: ['source' => 'javascript', 'stack' => $stack, 'frames' => $frames]));
+
+        $this->assertSame(1, preg_match('/^  [│└] js=(.*)$/mu', $output, $matches));
+        $this->assertSame(['stack' => $stack, 'frames' => $frames], json_decode($matches[1], true));
+        $this->assertStringNotContainsString('stack=', $output);
+    }
+
     // === PrettyFormatter Tests ===
 
     public function testPrettyFormatterBasic(): void
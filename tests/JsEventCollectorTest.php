@@ -0,0 +1,473 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdosLabs\EnterprisePSR3Logger\Tests;
+
+use AdosLabs\EnterprisePSR3Logger\Formatters\DetailedLineFormatter;
+use AdosLabs\EnterprisePSR3Logger\JavaScript\JsEventCollector;
+use AdosLabs\EnterprisePSR3Logger\Logger;
+use AdosLabs\EnterprisePSR3Logger\LoggerFacade;
+use AdosLabs\EnterprisePSR3Logger\Security\RateLimiter;
+use Monolog\Handler\TestHandler;
+use Monolog\LogRecord;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for the JavaScript event collector behind POST /api/log/js-error
+ *
+ * Private helpers are called through reflection; log records go to a
+ * TestHandler registered for every channel the collector writes to.
+ */
+class JsEventCollectorTest extends TestCase
+{
+    private const CHANNELS = ['js_errors', 'js_vitals', 'security'];
+
+    private TestHandler $handler;
+
+    private ?JsEventCollector $collector = null;
+
+    protected function setUp(): void
+    {
+        $this->handler = new TestHandler();
+
+        foreach (self::CHANNELS as $channel) {
+            LoggerFacade::registerLogger($channel, new Logger($channel, [$this->handler]));
+        }
+    }
+
+    protected function tearDown(): void
+    {
+        LoggerFacade::clearLoggers();
+    }
+
+    /**
+     * One collector per test, so rate limits carry over between calls
+     */
+    private function collector(): JsEventCollector
+    {
+        if ($this->collector === null) {
+            $rateLimiter = new RateLimiter();
+            $rateLimiter->clear('js_csp:203.0.113.7');
+
+            $this->collector = new JsEventCollector($rateLimiter);
+        }
+
+        return $this->collector;
+    }
+
+    private function invoke(string $method, mixed ...$args): mixed
+    {
+        return (new \ReflectionMethod($this->collector(), $method))->invoke($this->collector(), ...$args);
+    }
+
+    /**
+     * POST a body to the JS error API (without the HTTP layer)
+     *
+     * @return array{0: array<string, mixed>, 1: int}
+     */
+    private function post(mixed $payload, string $encoding = ''): array
+    {
+        $body = is_string($payload) ? $payload : (string) json_encode($payload);
+
+        return $this->collector()->handle($body, $encoding, '203.0.113.7');
+    }
+
+    /**
+     * @return LogRecord[]
+     */
+    private function records(): array
+    {
+        return $this->handler->getRecords();
+    }
+
+    // === Batching Tests ===
+
+    public function testSingleEventKeepsLegacyResponse(): void
+    {
+        [$payload, $status] = $this->post(['level' => 'error', 'message' => 'Boom', 'url' => 'https://app.test/']);
+
+        $this->assertSame(200, $status);
+        $this->assertSame(['success' => true], $payload);
+        $this->assertCount(1, $this->records());
+        $this->assertSame('Boom', $this->records()[0]->message);
+        $this->assertSame('203.0.113.7', $this->records()[0]->context['ip']);
+    }
+
+    public function testSessionUserIdIsLoggedWhenGiven(): void
+    {
+        $this->post(['message' => 'Anonymous']);
+        $this->collector()->handle('{"message":"Signed in"}', '', '203.0.113.7', 42);
+
+        [$anonymous, $signedIn] = $this->records();
+        $this->assertArrayNotHasKey('user_id', $anonymous->context);
+        $this->assertSame(42, $signedIn->context['user_id']);
+    }
+
+    public function testBatchLogsEveryValidEvent(): void
+    {
+        [$payload, $status] = $this->post([
+            ['level' => 'error', 'message' => 'First'],
+            ['level' => 'warn', 'message' => 'Second'],
+            ['level' => 'error', 'message' => ''],
+            'not an event',
+        ]);
+
+        $this->assertSame(200, $status);
+        $this->assertTrue($payload['success']);
+        $this->assertSame(2, $payload['accepted']);
+        $this->assertSame(2, $payload['rejected']);
+        $this->assertSame(['index' => 2, 'success' => false, 'message' => 'Invalid message'], $payload['results'][2]);
+        $this->assertSame(['index' => 3, 'success' => false, 'message' => 'Invalid event'], $payload['results'][3]);
+        $this->assertSame(['First', 'Second'], array_map(fn (LogRecord $record) => $record->message, $this->records()));
+        $this->assertSame('WARNING', $this->records()[1]->level->getName());
+    }
+
+    public function testBatchOverSizeLimitRejectsTheRest(): void
+    {
+        $events = array_fill(0, 52, ['level' => 'error', 'message' => 'Repeated']);
+
+        [$payload] = $this->post($events);
+
+        $this->assertSame(50, $payload['accepted']);
+        $this->assertSame(2, $payload['rejected']);
+        $this->assertSame('Batch size limit exceeded', $payload['results'][51]['message']);
+    }
+
+    public function testEmptyBatchAndInvalidJsonAreRejected(): void
+    {
+        $this->assertSame([['success' => false, 'message' => 'Empty batch'], 400], $this->post([]));
+        $this->assertSame([['success' => false, 'message' => 'Invalid JSON'], 400], $this->post('{not json'));
+        $this->assertSame(400, $this->post([['message' => '']])[1]);
+        $this->assertCount(0, $this->records());
+    }
+
+    // === Compression Tests ===
+
+    public function testGzipBodyIsDecoded(): void
+    {
+        $body = (string) gzencode((string) json_encode([['message' => 'Compressed'], ['message' => 'Batch']]));
+
+        [$payload, $status] = $this->post($body, 'gzip');
+
+        $this->assertSame(200, $status);
+        $this->assertSame(2, $payload['accepted']);
+        $this->assertSame(['Compressed', 'Batch'], array_map(fn (LogRecord $record) => $record->message, $this->records()));
+    }
+
+    public function testInvalidOrOversizedGzipBodyIsRejected(): void
+    {
+        $expected = [['success' => false, 'message' => 'Invalid gzip body'], 400];
+
+        $this->assertSame($expected, $this->post('{"message":"not compressed"}', 'gzip'));
+        $this->assertSame($expected, $this->post((string) gzencode(str_repeat(' ', 2 * 1048576)), 'gzip'));
+        $this->assertCount(0, $this->records());
+    }
+
+    // === Breadcrumb Tests ===
+
+    public function testBreadcrumbsAreSanitizedAndBounded(): void
+    {
+        $trail = array_map(fn (int $i) => ['timestamp' => "t{$i}", 'category' => 'click', 'message' => "crumb {$i}"], range(1, 60));
+        $trail[] = 'not a crumb';
+        $trail[] = [
+            'timestamp' => '2026-01-01T00:00:00.000Z',
+            'category' => 'console',
+            'message' => "line\x00one",
+            'data' => ['level' => 'warn', 'status' => 500, 'nested' => ['dropped'], 'long' => str_repeat('x', 300)],
+        ];
+
+        $breadcrumbs = $this->invoke('sanitizeJsBreadcrumbs', $trail);
+
+        $this->assertCount(49, $breadcrumbs);
+        $this->assertSame('crumb 13', $breadcrumbs[0]['message']);
+        $this->assertSame('lineone', $breadcrumbs[48]['message']);
+        $this->assertSame(['level', 'status', 'long'], array_keys($breadcrumbs[48]['data']));
+        $this->assertSame(500, $breadcrumbs[48]['data']['status']);
+        $this->assertSame(203, strlen($breadcrumbs[48]['data']['long']));
+        $this->assertSame([], $this->invoke('sanitizeJsBreadcrumbs', 'not an array'));
+    }
+
+    public function testBreadcrumbsAreLoggedInContext(): void
+    {
+        $this->post(['message' => 'Boom', 'breadcrumbs' => [['category' => 'navigation', 'message' => 'load: /']]]);
+
+        $this->assertSame(
+            [['timestamp' => '', 'category' => 'navigation', 'message' => 'load: /']],
+            $this->records()[0]->context['breadcrumbs']
+        );
+    }
+
+    public function testBreadcrumbsSurviveTheDefaultLineFormatter(): void
+    {
+        // LoggerFacade's default file logger formats with DetailedLineFormatter
+        $this->handler->setFormatter(new DetailedLineFormatter());
+        $trail = array_map(fn (int $i) => ['timestamp' => "t{$i}", 'category' => 'navigation', 'message' => "load: /page/{$i}"], range(1, 50));
+
+        $this->post(['message' => 'Boom', 'breadcrumbs' => $trail]);
+
+        $formatted = $this->records()[0]->formatted;
+        $this->assertSame(1, preg_match('/^  [│└] js=(.*)$/mu', $formatted, $matches));
+        $this->assertSame($trail, json_decode($matches[1], true)['breadcrumbs']);
+    }
+
+    // === Stack Frame Tests ===
+
+    public function testFramesAreSanitizedAndBounded(): void
+    {
+        $frames = array_fill(0, 60, ['function' => 'render', 'file' => 'https://cdn.test/app.js', 'line' => 1, 'column' => 200]);
+        array_unshift(
+            $frames,
+            ['function' => 'noLine', 'file' => 'https://cdn.test/app.js', 'column' => 1],
+            ['function' => 'noFile', 'line' => 1, 'column' => 1],
+            ['function' => ['not a string'], 'file' => "https://cdn.test/\x00b.js", 'line' => 2, 'column' => 3, 'extra' => 'dropped'],
+        );
+
+        $sanitized = $this->invoke('sanitizeJsFrames', $frames);
+
+        $this->assertCount(48, $sanitized);
+        $this->assertSame(['function' => '', 'file' => 'https://cdn.test/b.js', 'line' => 2, 'column' => 3], $sanitized[0]);
+        $this->assertSame([], $this->invoke('sanitizeJsFrames', 'at render (app.js:1:2)'));
+    }
+
+    public function testFramesAndFingerprintAreLoggedInContext(): void
+    {
+        $this->post([
+            'message' => 'Boom',
+            'stack' => "Error: Boom\n    at render (https://cdn.test/app.js:1:200)",
+            'frames' => [['function' => 'render', 'file' => 'https://cdn.test/app.js', 'line' => 1, 'column' => 200]],
+            'fingerprint' => 'abc123',
+        ]);
+
+        $context = $this->records()[0]->context;
+        $this->assertSame([['function' => 'render', 'file' => 'https://cdn.test/app.js', 'line' => 1, 'column' => 200]], $context['frames']);
+        $this->assertSame('abc123', $context['fingerprint']);
+    }
+
+    public function testStackAndFramesSurviveTheDefaultLineFormatter(): void
+    {
+        $this->handler->setFormatter(new DetailedLineFormatter());
+        $frames = array_map(fn (int $i) => ['function' => "fn{$i}", 'file' => 'https://cdn.test/app.min.js', 'line' => 1, 'column' => $i * 100], range(1, 20));
+        $stack = 'Error: Boom' . implode('', array_map(fn (array $frame) => "\n    at {$frame['function']} ({$frame['file']}:1:{$frame['column']})", $frames));
+
+        $this->post(['message' => 'Boom', 'stack' => $stack, 'frames' => $frames]);
+
+        $formatted = $this->records()[0]->formatted;
+        $this->assertSame(1, preg_match('/^  [│└] js=(.*)$/mu', $formatted, $matches));
+        $this->assertSame(['stack' => $stack, 'frames' => $frames], json_decode($matches[1], true));
+    }
+
+    // === Release Tests ===
+
+    public function testReleaseIsLoggedWhenItIsASafeMapsDirectory(): void
+    {
+        $releases = ['1.4.2', 'web/2026.01', 'app@1.0.0+build', '..', '../private', 'v1/../../etc', '.', 'a b'];
+
+        foreach ($releases as $release) {
+            $this->post(['message' => 'Boom', 'release' => $release]);
+        }
+
+        $this->assertSame(
+            ['1.4.2', 'web/2026.01', 'app@1.0.0+build', null, null, null, null, null],
+            array_map(fn (LogRecord $record) => $record->context['release'] ?? null, $this->records())
+        );
+    }
+
+    // === Scope Tests ===
+
+    public function testMapSanitizerKeepsBoundedScalarValues(): void
+    {
+        $map = $this->invoke('sanitizeJsMap', [
+            'plan' => 'pro',
+            'seats' => 5,
+            'trial' => false,
+            'bad key' => 'dropped',
+            'nested' => ['dropped'],
+            'note' => "two\x00words" . str_repeat('x', 300),
+            'extra' => 'over the limit',
+        ], 4);
+
+        $this->assertSame(['plan', 'seats', 'trial', 'note'], array_keys($map));
+        $this->assertSame(5, $map['seats']);
+        $this->assertFalse($map['trial']);
+        $this->assertStringStartsWith('twowords', $map['note']);
+        $this->assertSame(203, strlen($map['note']));
+        $this->assertSame([], $this->invoke('sanitizeJsMap', 'not a map', 5));
+    }
+
+    public function testScopeFieldsAreLoggedInContext(): void
+    {
+        $this->post([
+            'message' => 'Boom',
+            'user' => ['id' => 42, 'email' => 'jane@example.com'],
+            'tags' => ['area' => 'checkout'],
+            'contexts' => ['cart' => ['items' => 3]],
+        ]);
+        $this->post(['message' => 'Too big', 'contexts' => ['blob' => str_repeat('x', 6000)]]);
+        $this->post(['message' => 'List', 'contexts' => [['items' => 3]]]);
+
+        [$scoped, $tooBig, $list] = array_map(fn (LogRecord $record) => $record->context, $this->records());
+        $this->assertSame(['id' => 42, 'email' => 'jane@example.com'], $scoped['user']);
+        $this->assertSame(['area' => 'checkout'], $scoped['tags']);
+        $this->assertSame(['cart' => ['items' => 3]], $scoped['contexts']);
+        $this->assertArrayNotHasKey('contexts', $tooBig);
+        $this->assertArrayNotHasKey('contexts', $list);
+    }
+
+    // === Channel Tests ===
+
+    public function testEventsGoToTheRequestedJsChannelWithFlatMetrics(): void
+    {
+        $this->post([
+            ['level' => 'warning', 'message' => 'Web Vitals: poor LCP', 'channel' => 'js_vitals', 'metrics' => ['lcp' => 4200, 'rating' => 'poor', 'ip' => '10.0.0.1']],
+            ['level' => 'error', 'message' => 'Boom', 'channel' => 'app'],
+        ]);
+
+        [$vitals, $error] = $this->records();
+        $this->assertSame('js_vitals', $vitals->channel);
+        $this->assertSame(4200, $vitals->context['lcp']);
+        $this->assertSame('poor', $vitals->context['rating']);
+        $this->assertSame('203.0.113.7', $vitals->context['ip']);
+        $this->assertSame('js_errors', $error->channel);
+    }
+
+    public function testMetricsCannotFillReservedContextKeys(): void
+    {
+        $this->post([
+            'level' => 'info',
+            'message' => 'Web Vitals /checkout: LCP 1200ms good',
+            'channel' => 'js_vitals',
+            'metrics' => [
+                'lcp_ms' => 1200,
+                'event_id' => '6f1c2d3e-4a5b-4c6d-8e7f-8091a2b3c4d5',
+                'feedback_for' => '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d',
+                'trace_id' => '4bf92f3577b34da6a3ce929d0e0e4736',
+                'session_id' => 'forged',
+                'user_id' => 1,
+                'csp_directive' => 'script-src',
+                'stack' => 'forged',
+            ],
+        ]);
+
+        $context = $this->records()[0]->context;
+        $this->assertSame(1200, $context['lcp_ms']);
+        foreach (['event_id', 'feedback_for', 'trace_id', 'session_id', 'user_id', 'csp_directive', 'stack'] as $key) {
+            $this->assertArrayNotHasKey($key, $context);
+        }
+    }
+
+    // === CSP Tests ===
+
+    public function testCspReportsGoToTheSecurityChannelWithABuiltMessage(): void
+    {
+        $this->post([
+            'level' => 'debug',
+            'message' => 'Anything the client wants',
+            'channel' => 'js_vitals',
+            'csp' => ['directive' => 'script-src-elem', 'blocked_uri' => 'https://evil.test/x.js', 'disposition' => 'report'],
+        ]);
+        $this->post(['message' => 'No directive', 'csp' => ['blocked_uri' => 'https://evil.test/x.js']]);
+
+        [$csp, $plain] = $this->records();
+        $this->assertSame('security', $csp->channel);
+        $this->assertSame('WARNING', $csp->level->getName());
+        $this->assertSame('CSP violation (report-only): script-src-elem blocked https://evil.test/x.js', $csp->message);
+        $this->assertSame('javascript', $csp->context['source']);
+        $this->assertSame('js_errors', $plain->channel);
+    }
+
+    public function testCspReportsAreRateLimitedPerClientIp(): void
+    {
+        $report = ['message' => 'CSP', 'csp' => ['directive' => 'img-src', 'blocked_uri' => 'https://cdn.test/a.png']];
+
+        [$payload] = $this->post(array_fill(0, 32, $report));
+        [$errors] = $this->post([['message' => 'Still logged']]);
+
+        $this->assertSame(30, $payload['accepted']);
+        $this->assertSame('Security event rate limit exceeded', $payload['results'][30]['message']);
+        $this->assertSame(1, $errors['accepted']);
+    }
+
+    // === Feedback Tests ===
+
+    public function testFeedbackFieldsAreSanitizedIntoContext(): void
+    {
+        $eventId = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+        $this->assertSame(
+            ['feedback_for' => $eventId, 'feedback_email' => 'jane@example.com', 'feedback_name' => 'Jane'],
+            $this->invoke('sanitizeJsFeedback', ['event_id' => strtoupper($eventId), 'email' => ' jane@example.com ', 'name' => "Ja\x00ne"])
+        );
+        $this->assertSame(
+            ['feedback_for' => 'unknown'],
+            $this->invoke('sanitizeJsFeedback', ['event_id' => '../etc', 'email' => 'not an email', 'name' => ['Jane']])
+        );
+    }
+
+    public function testFeedbackIsLoggedWithItsComment(): void
+    {
+        $this->post([
+            'level' => 'info',
+            'message' => 'User Feedback: The cart was empty',
+            'feedback' => ['event_id' => '0f8fad5b-d9cb-469f-a165-70867728950e', 'email' => 'jane@example.com'],
+        ]);
+
+        $record = $this->records()[0];
+        $this->assertSame('User Feedback: The cart was empty', $record->message);
+        $this->assertSame('0f8fad5b-d9cb-469f-a165-70867728950e', $record->context['feedback_for']);
+        $this->assertSame('jane@example.com', $record->context['feedback_email']);
+    }
+
+    // === Unclean Termination Tests ===
+
+    public function testTerminationFieldsAreLoggedAsContextKeys(): void
+    {
+        $this->post([
+            'message' => 'Unclean termination: page view ended without a clean exit after 42s on https://app.test/',
+            'termination' => [
+                'page_view_id' => '6F1C2D3E-4A5B-4C6D-8E7F-8091A2B3C4D5',
+                'session_id' => 'not a uuid',
+                'last_heartbeat_at' => '2026-01-27T14:30:45.123Z',
+                'visibility' => 'visible',
+            ],
+            'metrics' => ['uptime_ms' => 42000],
+        ]);
+
+        $context = $this->records()[0]->context;
+        $this->assertSame('6f1c2d3e-4a5b-4c6d-8e7f-8091a2b3c4d5', $context['terminated_page_view_id']);
+        $this->assertArrayNotHasKey('terminated_session_id', $context);
+        $this->assertSame('2026-01-27T14:30:45.123Z', $context['last_heartbeat_at']);
+        $this->assertSame('visible', $context['visibility']);
+        $this->assertSame(42000, $context['uptime_ms']);
+        $this->assertSame([], $this->invoke('sanitizeJsTermination', ['last_heartbeat_at' => 'yesterday', 'visibility' => 'frozen']));
+    }
+
+    // === Level Tests ===
+
+    public function testClientLevelsAreNormalizedToPsr3Levels(): void
+    {
+        $levels = [
+            'debug' => 'debug', 'log' => 'debug', 'trace' => 'debug', 'info' => 'info', 'notice' => 'notice',
+            'warn' => 'warning', ' WARNING ' => 'warning', 'error' => 'error', 'fatal' => 'critical',
+            'critical' => 'critical', 'alert' => 'alert', 'emergency' => 'emergency', 'bogus' => 'error',
+        ];
+
+        foreach ($levels as $input => $expected) {
+            $this->assertSame($expected, $this->invoke('normalizeJsLevel', (string) $input), "level '{$input}'");
+        }
+    }
+
+    public function testEveryPsr3LevelIsLoggedAtThatLevel(): void
+    {
+        $levels = ['emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug'];
+
+        foreach ($levels as $level) {
+            $this->post(['level' => $level, 'message' => "At {$level}"]);
+        }
+
+        $this->assertSame(
+            array_map('strtoupper', $levels),
+            array_map(fn (LogRecord $record) => $record->level->getName(), $this->records())
+        );
+    }
+}
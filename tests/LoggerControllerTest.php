@@ -0,0 +1,192 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdosLabs\EnterprisePSR3Logger\Tests;
+
+use AdosLabs\AdminPanel\Controllers\BaseController;
+use AdosLabs\EnterprisePSR3Logger\AdminIntegration\Controllers\LoggerController;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for the LoggerController log viewer helpers
+ *
+ * The controller extends the admin panel's BaseController, so these tests
+ * run only where ados-labs/enterprise-admin-panel is installed. The
+ * controller is created without its constructor and the private helpers
+ * are called through reflection. The JavaScript error API itself is
+ * covered by JsEventCollectorTest.
+ */
+class LoggerControllerTest extends TestCase
+{
+    private ?string $logsPath = null;
+
+    private ?LoggerController $controller = null;
+
+    protected function setUp(): void
+    {
+        if (!class_exists(BaseController::class)) {
+            $this->markTestSkipped('LoggerController requires ados-labs/enterprise-admin-panel');
+        }
+    }
+
+    protected function tearDown(): void
+    {
+        if ($this->logsPath !== null) {
+            array_map('unlink', glob($this->logsPath . '/*') ?: []);
+            rmdir($this->logsPath);
+        }
+    }
+
+    private function controller(): LoggerController
+    {
+        if ($this->controller === null) {
+            $this->controller = (new \ReflectionClass(LoggerController::class))->newInstanceWithoutConstructor();
+        }
+
+        if ($this->logsPath !== null) {
+            (new \ReflectionProperty($this->controller, 'logsPath'))->setValue($this->controller, $this->logsPath);
+            (new \ReflectionProperty($this->controller, 'allowSystemLogs'))->setValue($this->controller, false);
+        }
+
+        return $this->controller;
+    }
+
+    private function invoke(string $method, mixed ...$args): mixed
+    {
+        return (new \ReflectionMethod($this->controller(), $method))->invoke($this->controller(), ...$args);
+    }
+
+    /**
+     * Create a logs directory with the given files (name => lines), oldest first
+     */
+    private function logFiles(array $files): void
+    {
+        $this->logsPath = sys_get_temp_dir() . '/psr3-logger-test-' . bin2hex(random_bytes(4));
+        mkdir($this->logsPath);
+
+        $modified = time() - count($files);
+        foreach ($files as $name => $lines) {
+            file_put_contents("{$this->logsPath}/{$name}", implode("\n", $lines) . "\n");
+            touch("{$this->logsPath}/{$name}", $modified++);
+        }
+    }
+
+    // === Feedback Tests ===
+
+    public function testFeedbackIsCollectedByTheEventItRefersTo(): void
+    {
+        $eventId = '0f8fad5b-d9cb-469f-a165-70867728950e';
+        $line = fn (string $message, array $context) => (string) json_encode([
+            'timestamp' => '2026-01-27T15:30:45.123+01:00',
+            'level' => 'info',
+            'channel' => 'js_errors',
+            'message' => $message,
+            'context' => $context,
+        ]);
+
+        $feedback = $this->invoke('collectJsFeedback', [
+            $line('Boom', ['event_id' => $eventId]),
+            $line('User Feedback: The cart was empty', ['feedback_for' => $eventId, 'feedback_email' => 'jane@example.com']),
+            $line('User Feedback: No event', ['feedback_for' => 'unknown']),
+        ]);
+
+        $this->assertSame([$eventId], array_keys($feedback));
+        $this->assertSame('The cart was empty', $feedback[$eventId][0]['comment']);
+        $this->assertSame('jane@example.com', $feedback[$eventId][0]['email']);
+        $this->assertNull($feedback[$eventId][0]['name']);
+    }
+
+    // === Log Parsing Tests ===
+
+    public function testDetailedLineJsFieldsAreParsedForTheContextModal(): void
+    {
+        $entries = $this->invoke('parseLogLines', [
+            '[2026-01-27 15:30:45.000000] [ERR] [js_errors] [pid:1]',
+            '  ▶ Boom',
+            '  │ source=javascript url=https://app.test/',
+            '  └ js={"breadcrumbs":[{"timestamp":"t1","category":"click","message":"button#save"}]}',
+        ]);
+
+        $this->assertCount(1, $entries);
+        $this->assertSame('button#save', $entries[0]['js']['breadcrumbs'][0]['message']);
+        $this->assertSame(['source=javascript url=https://app.test/'], $entries[0]['details']);
+    }
+
+    // === Event ID Lookup Tests ===
+
+    public function testEventLineIsTheFirstLineOfItsEntry(): void
+    {
+        $eventId = '0f8fad5b-d9cb-469f-a165-70867728950e';
+        $lines = [
+            '[2026-01-27 15:30:40.000000] [ERR] [js_errors] [pid:1]',
+            '    ▶ User Feedback: Still broken',
+            "    │ feedback_for={$eventId}",
+            '[2026-01-27 15:30:45.000000] [ERR] [js_errors] [pid:1]',
+            '    ▶ Boom',
+            "    │ event_id={$eventId}",
+        ];
+
+        $this->assertSame(3, $this->invoke('findJsEventLine', $lines, $eventId));
+        $this->assertNull($this->invoke('findJsEventLine', array_slice($lines, 0, 3), $eventId));
+    }
+
+    public function testEventIsFoundInOtherJsChannelFiles(): void
+    {
+        $eventId = '0f8fad5b-d9cb-469f-a165-70867728950e';
+        $entry = fn (string $channel, array $context) => (string) json_encode([
+            'timestamp' => '2026-01-20T15:30:45.123+01:00',
+            'level' => 'error',
+            'channel' => $channel,
+            'message' => 'Boom',
+            'context' => $context,
+        ]);
+
+        $this->logFiles([
+            'js_errors-2026-01-20.log' => [$entry('js_errors', ['event_id' => $eventId])],
+            'app-2026-01-25.log' => [$entry('app', ['event_id' => $eventId])],
+            'js_errors-2026-01-26.log' => [$entry('js_errors', ['feedback_for' => $eventId])],
+            'js_errors-2026-01-27.log' => [$entry('js_errors', ['event_id' => '11111111-2222-4333-8444-555555555555'])],
+        ]);
+
+        $this->assertSame('js_errors-2026-01-20.log', $this->invoke('findJsEventFile', $eventId, 'js_errors-2026-01-27.log'));
+        $this->assertNull($this->invoke('findJsEventFile', $eventId, 'js_errors-2026-01-20.log'));
+    }
+
+    // === Trace Filter Tests ===
+
+    public function testTraceFilterParsesOnlyTheEntriesMentioningTheTrace(): void
+    {
+        $traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+        $lines = [
+            '[2026-01-27 15:30:40.000000] [INF] [app] [pid:1]',
+            '    ▶ Checkout started',
+            "    │ trace_id={$traceId}",
+            '[2026-01-27 15:30:41.000000] [INF] [app] [pid:1]',
+            '    ▶ Unrelated request',
+            (string) json_encode(['timestamp' => '2026-01-27T15:30:45.123+01:00', 'level' => 'error', 'channel' => 'js_errors', 'message' => 'Boom', 'context' => ['trace_id' => $traceId]]),
+        ];
+
+        $entries = $this->invoke('parseEntriesContaining', $lines, $traceId);
+
+        $this->assertSame(['Checkout started', 'Boom'], array_column($entries, 'message'));
+        $this->assertSame([], $this->invoke('parseEntriesContaining', $lines, 'ffffffffffffffffffffffffffffffff'));
+    }
+
+    public function testTraceIsLookedUpInOtherFilesOfTheSameDay(): void
+    {
+        $traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+        $this->logFiles([
+            'app-2026-01-27.log' => ["[2026-01-27 15:30:40.000000] [INF] [app] trace_id={$traceId}"],
+            'js_errors-2026-01-27.log' => [str_repeat('x', 70000) . $traceId],
+            'js_vitals-2026-01-27.log' => ['no trace here'],
+            'js_errors-2026-01-26.log' => [$traceId],
+        ]);
+
+        $this->assertSame(
+            [['app-2026-01-27.log', 'js_errors-2026-01-27.log'], true],
+            $this->invoke('findLogFilesContaining', $traceId, 'error-2026-01-27.log')
+        );
+    }
+}
@@ -264,4 +264,41 @@ class ProcessorsTest extends TestCase
         // In CLI, should have sapi field
         $this->assertEquals('cli', $record->extra['sapi']);
     }
+
+    public function testRequestProcessorParsesTraceparent(): void
+    {
+        $_SERVER['HTTP_TRACEPARENT'] = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+        try {
+            $context = (new RequestProcessor())->getTraceContext();
+        } finally {
+            unset($_SERVER['HTTP_TRACEPARENT']);
+        }
+
+        $this->assertEquals([
+            'trace_id' => '4bf92f3577b34da6a3ce929d0e0e4736',
+            'parent_span_id' => '00f067aa0ba902b7',
+        ], $context);
+    }
+
+    public function testRequestProcessorRejectsInvalidTraceparent(): void
+    {
+        $processor = new RequestProcessor();
+
+        $invalid = [
+            'ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01', // forbidden version
+            '00-00000000000000000000000000000000-00f067aa0ba902b7-01', // zero trace ID
+            '00-4BF92F3577B34DA6A3CE929D0E0E4736-00f067aa0ba902b7-01', // uppercase
+            "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01\ninjected",
+        ];
+
+        try {
+            foreach ($invalid as $header) {
+                $_SERVER['HTTP_TRACEPARENT'] = $header;
+                $this->assertNull($processor->getTraceContext(), $header);
+            }
+        } finally {
+            unset($_SERVER['HTTP_TRACEPARENT']);
+        }
+    }
 }
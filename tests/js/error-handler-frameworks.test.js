@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Tests for public/js/error-handler-frameworks.js (run with: node --test tests/js/*.test.js)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { createBrowser, tick, waitFor } = require('./helpers/browser');
+
+/**
+ * Minimal React: Component with props and a synchronous setState()
+ */
+function createReact() {
+    function Component(props) {
+        this.props = props;
+    }
+
+    Component.prototype.setState = function(partial) {
+        this.state = Object.assign({}, this.state, partial);
+    };
+
+    return { Component };
+}
+
+/**
+ * Page running error-handler.js and the framework integrations
+ */
+function setup(t, config = {}, globals = {}) {
+    const browser = createBrowser({ globals: Object.assign({ PSR3_AUTO_INIT: false }, globals) });
+    const logger = browser.load('error-handler.js').PSR3Logger;
+    const printed = [];
+    const consoleError = browser.window.console.error;
+
+    browser.window.console.error = function(...args) {
+        printed.push(args);
+        return consoleError.apply(this, args);
+    };
+    logger.init(Object.assign({ transport: 'fetch', captureConsole: false, captureBreadcrumbs: false, batchDelayMs: 5 }, config));
+    t.after(() => logger.close());
+
+    const integrations = browser.load('error-handler-frameworks.js').PSR3Integrations;
+
+    return { browser, integrations, printed };
+}
+
+/**
+ * Error created in the page's realm (instanceof Error there, like in a browser)
+ */
+function pageError(browser, message, type = 'Error') {
+    return vm.runInContext(`new ${type}(${JSON.stringify(message)})`, browser.window);
+}
+
+/**
+ * Render cycle React runs for an error thrown below the boundary
+ */
+function throwInto(boundary, ErrorBoundary, error, componentStack) {
+    boundary.setState(ErrorBoundary.getDerivedStateFromError(error));
+    boundary.componentDidCatch(error, { componentStack });
+}
+
+// === React ErrorBoundary Tests ===
+
+test('the ErrorBoundary reports the error, renders the fallback and resets', async (t) => {
+    const { browser, integrations } = setup(t);
+    const ErrorBoundary = integrations.createErrorBoundary(createReact());
+    const caught = [];
+    const boundary = new ErrorBoundary({
+        name: 'Checkout',
+        children: 'checkout form',
+        fallback: (props) => ({ retry: props.resetError, text: 'Retry (' + props.error.message + ')' }),
+        onError: (error, componentStack) => caught.push([error.message, componentStack]),
+    });
+
+    assert.strictEqual(boundary.render(), 'checkout form');
+
+    const error = pageError(browser, 'cart is undefined', 'TypeError');
+    throwInto(boundary, ErrorBoundary, error, '\n    in CartSummary\n    in Checkout');
+    await waitFor(() => browser.events().length === 1);
+
+    const [event] = browser.events();
+    assert.strictEqual(event.message, 'React error in Checkout: cart is undefined');
+    assert.strictEqual(event.stack, error.stack);
+    assert.strictEqual(event.extra.framework, 'React');
+    assert.strictEqual(event.extra.route, '/page');
+    assert.strictEqual(event.extra.component_stack, '\n    in CartSummary\n    in Checkout');
+    assert.deepStrictEqual(caught, [['cart is undefined', '\n    in CartSummary\n    in Checkout']]);
+
+    const fallback = boundary.render();
+    assert.strictEqual(fallback.text, 'Retry (cart is undefined)');
+    fallback.retry();
+    assert.strictEqual(boundary.render(), 'checkout form');
+});
+
+test('without a name the component comes from the component stack, a plain fallback is rendered as is', async (t) => {
+    const { browser, integrations } = setup(t);
+    const ErrorBoundary = integrations.createErrorBoundary(createReact());
+    const boundary = new ErrorBoundary({ level: 'critical', fallback: 'Something went wrong' });
+
+    throwInto(boundary, ErrorBoundary, 'thrown string', '\n    at ProductList (https://app.test/app.js:1:2)');
+    await waitFor(() => browser.events().length === 1);
+
+    assert.strictEqual(browser.events()[0].level, 'critical');
+    assert.strictEqual(browser.events()[0].message, 'React error in ProductList: thrown string');
+    assert.strictEqual(boundary.render(), 'Something went wrong');
+    assert.throws(() => integrations.createErrorBoundary(undefined), /requires React/);
+});
+
+test('window.React at load time provides a ready ErrorBoundary', (t) => {
+    const { integrations } = setup(t, {}, { React: createReact() });
+
+    assert.strictEqual(typeof integrations.ErrorBoundary, 'function');
+    assert.strictEqual(integrations.ErrorBoundary.displayName, 'PSR3ErrorBoundary');
+});
+
+// === Vue Plugin Tests ===
+
+/**
+ * Vue 3 component instance: CartItem inside App, on /cart?coupon=SAVE10
+ */
+function createVueInstance() {
+    const root = { $options: { __file: 'src/App.vue' }, $parent: null };
+
+    return { $options: { __name: 'CartItem' }, $parent: root, $route: { fullPath: '/cart?coupon=SAVE10' } };
+}
+
+test('the Vue plugin reports component errors with the component stack and route', async (t) => {
+    const { browser, integrations } = setup(t);
+    const app = { config: {} };
+
+    integrations.vuePlugin.install(app, { level: 'warning' });
+    app.config.errorHandler(pageError(browser, 'price is NaN'), createVueInstance(), 'render function');
+    await waitFor(() => browser.events().length === 1);
+
+    const [event] = browser.events();
+    assert.strictEqual(event.level, 'warning');
+    assert.strictEqual(event.message, 'Vue error in CartItem: price is NaN');
+    assert.strictEqual(event.extra.component_stack, 'at CartItem\nat App');
+    assert.strictEqual(event.extra.route, '/cart');
+    assert.strictEqual(event.extra.info, 'render function');
+});
+
+test('the Vue plugin chains to an earlier errorHandler, else prints the error like Vue', async (t) => {
+    const { browser, integrations, printed } = setup(t);
+    const chained = [];
+    const handledApp = { config: { errorHandler: (error, instance, info) => chained.push([error.message, info]) } };
+    const plainApp = { config: {} };
+
+    integrations.vuePlugin.install(handledApp);
+    integrations.vuePlugin.install(plainApp);
+
+    handledApp.config.errorHandler(pageError(browser, 'handled'), createVueInstance(), 'setup function');
+    assert.deepStrictEqual(chained, [['handled', 'setup function']]);
+    assert.deepStrictEqual(printed, []);
+
+    const error = pageError(browser, 'unhandled');
+    plainApp.config.errorHandler(error, null, 'watcher callback');
+    assert.strictEqual(printed.length, 1);
+    assert.strictEqual(printed[0][0], error);
+    await waitFor(() => browser.events().length === 2);
+});
+
+test('the printed Vue error is not captured a second time by captureConsole', async (t) => {
+    const { browser, integrations, printed } = setup(t, { captureConsole: true });
+    const app = { config: {} };
+
+    integrations.vuePlugin.install(app);
+    app.config.errorHandler(pageError(browser, 'once'), createVueInstance(), 'render function');
+    browser.window.console.error('Unrelated failure');
+    await waitFor(() => browser.events().length === 2);
+    await tick(20);
+
+    assert.strictEqual(printed.length, 2);
+    assert.deepStrictEqual(browser.events().map((event) => event.message), [
+        'Vue error in CartItem: once',
+        'Console Error: Unrelated failure',
+    ]);
+});
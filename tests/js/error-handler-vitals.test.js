@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Tests for public/js/error-handler-vitals.js (run with: node --test tests/js/*.test.js)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, tick, waitFor } = require('./helpers/browser');
+
+/**
+ * PerformanceObserver stand-in: emit(type, entries) delivers entries to the
+ * observers of that type, like the browser does for buffered entries
+ */
+function createPerformanceObserver(supportedEntryTypes) {
+    const observers = [];
+
+    class PerformanceObserver {
+        constructor(callback) {
+            this.callback = callback;
+            this.init = null;
+        }
+
+        observe(init) {
+            this.init = init;
+            observers.push(this);
+        }
+
+        disconnect() {
+            observers.splice(observers.indexOf(this), 1);
+        }
+    }
+
+    PerformanceObserver.supportedEntryTypes = supportedEntryTypes;
+
+    return {
+        PerformanceObserver,
+        observers,
+        emit(type, entries) {
+            observers
+                .filter((observer) => observer.init.type === type)
+                .forEach((observer) => observer.callback({ getEntries: () => entries }));
+        },
+    };
+}
+
+const ALL_ENTRY_TYPES = ['largest-contentful-paint', 'layout-shift', 'event', 'first-input', 'longtask', 'navigation'];
+
+/**
+ * Page running error-handler.js and the vitals module (started by hand)
+ */
+function setup(t, { entryTypes = ALL_ENTRY_TYPES, navigation = { type: 'navigate', responseStart: 300, activationStart: 0 } } = {}) {
+    const performanceObserver = createPerformanceObserver(entryTypes);
+    const browser = createBrowser({
+        globals: {
+            PSR3_AUTO_INIT: false,
+            PSR3_VITALS_AUTO_START: false,
+            PerformanceObserver: performanceObserver.PerformanceObserver,
+            performance: {
+                now: () => 5000,
+                getEntriesByType: (type) => (type === 'navigation' && navigation ? [navigation] : []),
+            },
+        },
+    });
+    const logger = browser.load('error-handler.js').PSR3Logger;
+
+    logger.init({ transport: 'fetch', captureConsole: false, captureBreadcrumbs: false, batchDelayMs: 5 });
+    t.after(() => logger.close());
+
+    const vitals = browser.load('error-handler-vitals.js').PSR3Vitals;
+    t.after(() => vitals.stop());
+
+    return { browser, vitals, emit: performanceObserver.emit, observers: performanceObserver.observers };
+}
+
+// === Metric Tests ===
+
+test('LCP, CLS, INP, TTFB and long tasks are summed up in one js_vitals record', async (t) => {
+    const { browser, vitals, emit } = setup(t);
+
+    vitals.start();
+    emit('largest-contentful-paint', [
+        { startTime: 1800, element: { tagName: 'IMG', id: 'hero' } },
+        { startTime: 2100, element: { tagName: 'DIV', id: '', className: ' banner big' } },
+    ]);
+    emit('layout-shift', [
+        { startTime: 100, value: 0.05 },
+        { startTime: 600, value: 0.05 },
+        { startTime: 800, value: 0.5, hadRecentInput: true },
+        { startTime: 3000, value: 0.02 },
+    ]);
+    emit('event', [
+        { interactionId: 1, duration: 120 },
+        { interactionId: 1, duration: 350 },
+        { interactionId: 2, duration: 80 },
+        { interactionId: 0, duration: 900 },
+    ]);
+    emit('longtask', [{ duration: 120 }, { duration: 80 }]);
+    browser.window.dispatch('pagehide');
+    await waitFor(() => browser.events().length === 1);
+
+    const [event] = browser.events();
+    assert.strictEqual(event.channel, 'js_vitals');
+    assert.strictEqual(event.level, 'info');
+    assert.strictEqual(event.message, 'Web Vitals /page: LCP 2100ms good, CLS 0.1 good, INP 350ms needs-improvement, '
+        + 'TTFB 300ms good, TBT 100ms good, 2 long tasks');
+    assert.deepStrictEqual(event.metrics, {
+        lcp_ms: 2100,
+        lcp_rating: 'good',
+        cls: 0.1,
+        cls_rating: 'good',
+        inp_ms: 350,
+        inp_rating: 'needs-improvement',
+        ttfb_ms: 300,
+        ttfb_rating: 'good',
+        tbt_ms: 100,
+        tbt_rating: 'good',
+        long_tasks: 2,
+        long_task_total_ms: 200,
+        long_task_max_ms: 120,
+        lcp_element: 'div.banner',
+        interactions: 2,
+        navigation_type: 'navigate',
+    });
+});
+
+test('LCP stops at the first input, and hiding the page sends the record', async (t) => {
+    const { browser, vitals, emit } = setup(t);
+
+    vitals.start();
+    emit('largest-contentful-paint', [{ startTime: 1500, element: { tagName: 'H1', id: 'title' } }]);
+    browser.document.dispatch('keydown');
+    emit('largest-contentful-paint', [{ startTime: 6000, element: { tagName: 'IMG', id: 'late' } }]);
+    browser.document.visibilityState = 'hidden';
+    browser.document.dispatch('visibilitychange');
+    await waitFor(() => browser.events().length === 1);
+
+    const [event] = browser.events();
+    assert.strictEqual(event.metrics.lcp_ms, 1500);
+    assert.strictEqual(event.metrics.lcp_element, 'h1#title');
+});
+
+test('INP skips one outlier per 50 interactions', async (t) => {
+    const { browser, vitals, emit } = setup(t, { entryTypes: ['event'] });
+
+    vitals.start();
+    emit('event', Array.from({ length: 60 }, (_, i) => ({ interactionId: i + 1, duration: i === 7 ? 2000 : 100 + i })));
+    vitals.report();
+    await waitFor(() => browser.events().length === 1);
+
+    assert.strictEqual(browser.events()[0].metrics.inp_ms, 159);
+    assert.strictEqual(browser.events()[0].metrics.interactions, 60);
+});
+
+// === Rating and Reporting Tests ===
+
+test('a poor metric makes the record a warning; thresholds and channel are configurable', async (t) => {
+    const { browser, vitals, emit } = setup(t);
+
+    vitals.start({ channel: 'js_perf', thresholds: { lcp: [1000, 2000] } });
+    emit('largest-contentful-paint', [{ startTime: 2500 }]);
+    emit('longtask', [{ duration: 900 }]);
+    const eventId = vitals.report();
+    await waitFor(() => browser.events().length === 1);
+
+    const [event] = browser.events();
+    assert.strictEqual(event.event_id, eventId);
+    assert.strictEqual(event.channel, 'js_perf');
+    assert.strictEqual(event.level, 'warning');
+    assert.strictEqual(event.metrics.lcp_rating, 'poor');
+    assert.strictEqual(event.metrics.tbt_ms, 850);
+    assert.strictEqual(event.metrics.poor, 'lcp,tbt');
+    assert.strictEqual(event.metrics.ttfb_rating, 'good');
+});
+
+test('a page view is reported once and report() then stops the observers', async (t) => {
+    const { browser, vitals, emit, observers } = setup(t);
+
+    vitals.start();
+    emit('largest-contentful-paint', [{ startTime: 1000 }]);
+    assert.strictEqual(typeof vitals.report(), 'string');
+    assert.strictEqual(observers.length, 0);
+    assert.strictEqual(vitals.report(), null);
+    browser.window.dispatch('pagehide');
+    await tick(20);
+
+    assert.strictEqual(browser.events().length, 1);
+});
+
+test('missing entry types are omitted, and nothing is sent without any metric', async (t) => {
+    const { browser, vitals, emit, observers } = setup(t, { entryTypes: ['largest-contentful-paint'], navigation: null });
+
+    vitals.start();
+    assert.deepStrictEqual(observers.map((observer) => observer.init.type), ['largest-contentful-paint']);
+    assert.strictEqual(vitals.report(), null);
+
+    emit('largest-contentful-paint', [{ startTime: 1200 }]);
+    vitals.report();
+    await waitFor(() => browser.events().length === 1);
+
+    assert.deepStrictEqual(Object.keys(browser.events()[0].metrics), ['lcp_ms', 'lcp_rating']);
+});
+
+test('stop() disconnects without sending', async (t) => {
+    const { browser, vitals, emit, observers } = setup(t);
+
+    vitals.start();
+    emit('largest-contentful-paint', [{ startTime: 1000 }]);
+    vitals.stop();
+    browser.window.dispatch('pagehide');
+    await tick(20);
+
+    assert.strictEqual(observers.length, 0);
+    assert.strictEqual(vitals.report(), null);
+    assert.deepStrictEqual(browser.events(), []);
+});
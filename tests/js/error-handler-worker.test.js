@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Tests for public/js/error-handler-worker.js (run with: node --test tests/js/*.test.js)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser, createWorkerScope, tick, waitFor } = require('./helpers/browser');
+
+/**
+ * Page running error-handler.js with a dedicated worker attached to it
+ */
+function setup(t) {
+    const browser = createBrowser({ globals: { PSR3_AUTO_INIT: false } });
+    const logger = browser.load('error-handler.js').PSR3Logger;
+    const worker = createWorkerScope();
+    const appMessages = [];
+
+    logger.init({ transport: 'fetch', captureConsole: false, captureBreadcrumbs: false, batchDelayMs: 5 });
+    worker.importScripts('error-handler.js', 'error-handler-worker.js');
+    worker.self.addEventListener('message', (event) => appMessages.push(event.data));
+
+    // Worker object as the page sees it: postMessage() reaches the worker scope
+    const workerObject = {
+        postMessage: (data, transfer) => worker.self.dispatch('message', { data, ports: transfer || [] }),
+    };
+
+    let detach = () => {};
+    t.after(() => {
+        detach();
+        logger.close();
+    });
+
+    return {
+        browser,
+        worker,
+        appMessages,
+        attach() {
+            detach = logger.attachWorker(workerObject);
+        },
+    };
+}
+
+// === Loading Tests ===
+
+test('error-handler.js only exposes the shared event builder in a worker', () => {
+    const worker = createWorkerScope();
+    worker.importScripts('error-handler.js');
+
+    assert.strictEqual(worker.self.PSR3Logger, undefined);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(worker.self.PSR3Core.buildLogEvent('NOTICE', 'Chunk {n} failed', { n: 3 }))), {
+        level: 'notice',
+        message: 'Chunk 3 failed',
+        extra: { n: 3 },
+    });
+});
+
+test('error-handler-worker.js requires error-handler.js', () => {
+    assert.throws(() => createWorkerScope().importScripts('error-handler-worker.js'), /Load error-handler\.js before/);
+});
+
+// === postMessage Transport Tests ===
+
+test('events logged before attachWorker() are forwarded over the dedicated port', async (t) => {
+    const { browser, worker, appMessages, attach } = setup(t);
+    const error = new Error('chunk failed');
+
+    const ids = [worker.self.PSR3Logger.warning('Chunk {n} failed', { n: 3, exception: error })];
+    attach();
+    ids.push(worker.self.PSR3Logger.error('after attach'));
+    await waitFor(() => browser.events().length === 2);
+
+    const events = browser.events();
+    assert.deepStrictEqual(events.map((event) => [event.level, event.message]), [['warning', 'Chunk 3 failed'], ['error', 'after attach']]);
+    assert.deepStrictEqual(events.map((event) => event.event_id), ids);
+    assert.strictEqual(events[0].session_id, browser.sessionStorage.getItem('psr3_session_id'));
+    assert.match(events[0].page_view_id, /^[0-9a-f-]{36}$/);
+    assert.deepStrictEqual(events[0].tags, { worker: 'dedicated', worker_script: 'https://app.test/js/import.js' });
+    assert.strictEqual(events[0].stack, error.stack);
+
+    // Neither the handshake nor the events go through the app's own channel
+    assert.deepStrictEqual(appMessages, []);
+    assert.deepStrictEqual(worker.messages, []);
+});
+
+test('forwarded events with an unknown level are logged as errors', async (t) => {
+    const { browser } = setup(t);
+    let port = null;
+
+    // Post raw messages over the page's channel, like a stale or foreign worker script could
+    const detach = browser.window.PSR3Logger.attachWorker({ postMessage: (data, transfer) => (port = transfer[0]) });
+    t.after(() => {
+        port.close();
+        detach();
+    });
+
+    ['fatal', 42, 'notice'].forEach((level) => port.postMessage({ psr3: 'event', event: { level, message: 'Level ' + level } }));
+    await waitFor(() => browser.events().length === 3);
+
+    assert.deepStrictEqual(browser.events().map((event) => [event.message, event.level]), [
+        ['Level fatal', 'error'],
+        ['Level 42', 'error'],
+        ['Level notice', 'notice'],
+    ]);
+});
+
+// === fetch Transport Tests ===
+
+test('service workers always send to the endpoint themselves', async () => {
+    class ServiceWorkerGlobalScope {
+        static [Symbol.hasInstance]() {
+            return true;
+        }
+    }
+
+    const worker = createWorkerScope({ globals: { ServiceWorkerGlobalScope, PSR3_WORKER_TRANSPORT: 'postMessage', PSR3_RELEASE: '1.4.2' } });
+    worker.importScripts('error-handler.js', 'error-handler-worker.js');
+
+    const eventId = worker.self.PSR3Logger.error('sync failed');
+    assert.strictEqual(worker.self.PSR3Logger.error('sync failed'), null);
+    worker.self.PSR3Logger.flush();
+    await tick();
+
+    assert.strictEqual(worker.requests.length, 1);
+    const events = JSON.parse(worker.requests[0].body);
+    assert.deepStrictEqual(events.map((event) => [event.message, event.release, event.tags.worker]), [['sync failed', '1.4.2', 'service']]);
+    assert.strictEqual(events[0].event_id, eventId);
+    assert.match(events[0].session_id, /^[0-9a-f-]{36}$/);
+    assert.strictEqual(events[0].page_view_id, events[0].session_id);
+});
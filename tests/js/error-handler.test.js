@@ -0,0 +1,1081 @@
+'use strict';
+
+/**
+ * Tests for public/js/error-handler.js (run with: node --test tests/js/*.test.js)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const zlib = require('zlib');
+const { createBrowser, createXMLHttpRequest, tick, waitFor } = require('./helpers/browser');
+
+// Loggers started by the current test; closed even when an assertion fails
+let loggers = [];
+
+test.afterEach(() => {
+    loggers.forEach((logger) => logger.close());
+    loggers = [];
+});
+
+/**
+ * Load error-handler.js and init() it with test-friendly defaults
+ */
+function setup(config = {}, browserOptions = {}) {
+    const browser = createBrowser(Object.assign({}, browserOptions, {
+        globals: Object.assign({ PSR3_AUTO_INIT: false }, browserOptions.globals || {}),
+    }));
+    const logger = browser.load('error-handler.js').PSR3Logger;
+
+    logger.init(Object.assign({
+        transport: 'fetch',
+        captureConsole: false,
+        captureBreadcrumbs: false,
+        batchDelayMs: 5,
+    }, config));
+    loggers.push(logger);
+
+    return { browser, logger };
+}
+
+// === Batching Tests ===
+
+test('a full batch is sent as one JSON array request', async () => {
+    const { browser, logger } = setup({ batchSize: 3 });
+
+    logger.error('first');
+    logger.error('second');
+    assert.strictEqual(browser.requests.length, 0);
+
+    logger.error('third');
+    await tick();
+
+    assert.strictEqual(browser.requests.length, 1);
+    assert.strictEqual(browser.requests[0].url, '/api/log/js-error');
+    assert.deepStrictEqual(JSON.parse(browser.requests[0].body).map((event) => event.message), ['first', 'second', 'third']);
+});
+
+test('a partial batch is sent after batchDelayMs', async () => {
+    const { browser, logger } = setup({ batchSize: 5, batchDelayMs: 10 });
+
+    logger.error('only one');
+    assert.strictEqual(browser.requests.length, 0);
+
+    await tick(30);
+
+    assert.deepStrictEqual(browser.events().map((event) => event.message), ['only one']);
+});
+
+// === Offline Queue Tests ===
+
+test('errors are stored offline while the browser is offline and replayed on reconnect', async () => {
+    const { browser, logger } = setup({ batchDelayMs: 1 });
+
+    browser.window.navigator.onLine = false;
+    logger.error('while offline');
+    await tick(10);
+
+    assert.strictEqual(browser.requests.length, 0);
+    assert.strictEqual(JSON.parse(browser.localStorage.getItem('psr3_error_queue'))[0].error.message, 'while offline');
+
+    browser.window.navigator.onLine = true;
+    browser.window.dispatch('online');
+    await tick();
+
+    assert.deepStrictEqual(browser.events().map((event) => event.message), ['while offline']);
+    assert.strictEqual(browser.localStorage.getItem('psr3_error_queue'), null);
+});
+
+test('a failed replay keeps the original queuedAt', async () => {
+    const queuedAt = Date.now() - 3600000;
+    const { browser, logger } = setup({}, {
+        localStorage: {
+            psr3_error_queue: JSON.stringify([{ queuedAt, error: { level: 'error', message: 'stored' } }]),
+        },
+        fetch: () => Promise.reject(new TypeError('Failed to fetch')),
+    });
+
+    await tick(10);
+
+    const stored = JSON.parse(browser.localStorage.getItem('psr3_error_queue'));
+    assert.strictEqual(browser.requests.length, 1);
+    assert.deepStrictEqual(stored.map((item) => [item.queuedAt, item.error.message]), [[queuedAt, 'stored']]);
+});
+
+test('the offline queue is replayed one batch at a time, each after the previous one succeeded', async () => {
+    const responses = [];
+    const stored = [1, 2, 3, 4, 5].map((i) => ({ queuedAt: Date.now(), error: { level: 'error', message: `stored ${i}` } }));
+    const { browser } = setup({ batchSize: 2 }, {
+        localStorage: { psr3_error_queue: JSON.stringify(stored) },
+        fetch: () => new Promise((resolve) => responses.push(resolve)),
+    });
+
+    const ok = { ok: true, status: 200, headers: { get: () => null } };
+    const sent = () => browser.requests.map((request) => JSON.parse(request.body).map((event) => event.message));
+
+    await waitFor(() => browser.requests.length === 1);
+    await tick(10);
+    assert.deepStrictEqual(sent(), [['stored 1', 'stored 2']]);
+
+    responses[0](ok);
+    await waitFor(() => browser.requests.length === 2);
+    await tick(10);
+    assert.deepStrictEqual(sent()[1], ['stored 3', 'stored 4']);
+
+    responses[1](ok);
+    await waitFor(() => browser.requests.length === 3);
+    responses[2](ok);
+    await tick(10);
+
+    assert.deepStrictEqual(sent()[2], ['stored 5']);
+    assert.strictEqual(browser.localStorage.getItem('psr3_error_queue'), null);
+});
+
+test('a failed replay batch stops the replay until the next trigger', async () => {
+    const stored = [1, 2, 3].map((i) => ({ queuedAt: Date.now(), error: { level: 'error', message: `stored ${i}` } }));
+    const { browser } = setup({ batchSize: 1 }, {
+        localStorage: { psr3_error_queue: JSON.stringify(stored) },
+        fetch: () => Promise.reject(new TypeError('Failed to fetch')),
+    });
+
+    await tick(20);
+
+    const queue = JSON.parse(browser.localStorage.getItem('psr3_error_queue'));
+    assert.strictEqual(browser.requests.length, 1);
+    assert.deepStrictEqual(queue.map((item) => item.error.message).sort(), ['stored 1', 'stored 2', 'stored 3']);
+});
+
+test('expired offline entries are dropped instead of replayed', async () => {
+    const { browser, logger } = setup({}, {
+        localStorage: {
+            psr3_error_queue: JSON.stringify([{ queuedAt: Date.now() - 90000000, error: { level: 'error', message: 'stale' } }]),
+        },
+    });
+
+    await tick(10);
+
+    assert.strictEqual(browser.requests.length, 0);
+});
+
+// === Breadcrumb Tests ===
+
+test('console calls are attached to the next error as breadcrumbs', async () => {
+    const { browser, logger } = setup({ captureBreadcrumbs: true });
+
+    browser.window.console.log('loaded', { id: 7 });
+    browser.window.console.warn('slow response');
+    logger.error('failure');
+    await tick(10);
+
+    const breadcrumbs = browser.events()[0].breadcrumbs.filter((crumb) => crumb.category === 'console');
+    assert.deepStrictEqual(breadcrumbs.map((crumb) => [crumb.category, crumb.data.level]), [['console', 'log'], ['console', 'warn']]);
+    assert.match(breadcrumbs[0].message, /^loaded/);
+    assert.ok(!Number.isNaN(Date.parse(breadcrumbs[0].timestamp)));
+});
+
+test('the breadcrumb buffer keeps the latest maxBreadcrumbs entries', async () => {
+    const { browser, logger } = setup({ captureBreadcrumbs: true, maxBreadcrumbs: 3 });
+
+    for (let i = 1; i <= 5; i++) {
+        browser.window.console.info('step ' + i);
+    }
+    logger.error('failure');
+    await tick(10);
+
+    assert.deepStrictEqual(browser.events()[0].breadcrumbs.map((crumb) => crumb.message), ['step 3', 'step 4', 'step 5']);
+});
+
+test('close() restores the original console methods', () => {
+    const browser = createBrowser({ globals: { PSR3_AUTO_INIT: false } });
+    const original = browser.window.console.log;
+    const logger = browser.load('error-handler.js').PSR3Logger;
+
+    logger.init({ captureConsole: false, captureBreadcrumbs: true });
+    assert.notStrictEqual(browser.window.console.log, original);
+
+    logger.close();
+    assert.strictEqual(browser.window.console.log, original);
+});
+
+// === Lifecycle Tests ===
+
+test('close() keeps a wrapper installed by other code after init()', () => {
+    const calls = [];
+    const console = { log() {}, warn() {}, error() {}, debug() {}, info: () => calls.push('native') };
+    const { browser, logger } = setup({ captureBreadcrumbs: true }, { globals: { console } });
+    const ours = console.info;
+
+    console.info = function() {
+        calls.push('app');
+        return ours.apply(this, arguments);
+    };
+    const appWrapper = console.info;
+
+    logger.close();
+    assert.strictEqual(console.info, appWrapper);
+
+    // Our layer now passes straight through to the native method
+    console.info('after close');
+    assert.deepStrictEqual(calls, ['app', 'native']);
+    assert.strictEqual(browser.requests.length, 0);
+});
+
+test('configure() restarts the timers when their interval changes', async () => {
+    const { browser, logger } = setup({ detectCrashes: true, sampleRates: { info: 0 } });
+    const heartbeatAt = () => Object.values(JSON.parse(browser.localStorage.getItem('psr3_heartbeats')))[0].heartbeat_at;
+
+    logger.info('sampled out');
+    const firstBeat = heartbeatAt();
+    logger.configure({ heartbeatIntervalMs: 10, droppedReportIntervalMs: 10 });
+    await waitFor(() => browser.events().length === 1);
+    await waitFor(() => heartbeatAt() > firstBeat + 20);
+
+    assert.strictEqual(browser.events()[0].message, '1 client events dropped (rate limit: 0, dedupe: 0, sampling: 1)');
+});
+
+// === Serialization and Size Limit Tests ===
+
+const TRUNCATED = '...[truncated]';
+
+/**
+ * Evaluate an expression in the page's realm (Date, Map, Error... as the logger sees them there)
+ */
+function inPage(browser, expression) {
+    return vm.runInContext('(' + expression + ')', browser.window);
+}
+
+test('context values are serialized safely: cycles, depth, breadth and special values', async () => {
+    const { browser, logger } = setup();
+
+    logger.error('Serialize', inPage(browser, `{
+        cyclic: (function() { var order = { id: 1 }; order.self = order; return order; })(),
+        deep: { a: { b: { c: { d: { e: 1 } } } } },
+        wide: Array.from({ length: 60 }, function(_, i) { return i; }),
+        handler: function onSave() {},
+        missing: undefined,
+        ratio: NaN,
+        when: new Date(Date.UTC(2026, 0, 27)),
+        seen: new Set(['a', 'b']),
+        cause: new TypeError('bad input'),
+        unreadable: Object.defineProperty({}, 'secret', { enumerable: true, get: function() { throw new Error('denied'); } }),
+        long: 'x'.repeat(1500)
+    }`));
+    await waitFor(() => browser.events().length === 1);
+
+    const { extra } = browser.events()[0];
+    assert.deepStrictEqual(extra.cyclic, { id: 1, self: '[Circular]' });
+    assert.deepStrictEqual(extra.deep, { a: { b: { c: { d: '[Object]' } } } });
+    assert.strictEqual(extra.wide.length, 51);
+    assert.strictEqual(extra.wide[50], '[truncated] 10 more items');
+    assert.strictEqual(extra.handler, '[Function: onSave]');
+    assert.strictEqual(extra.missing, '[undefined]');
+    assert.strictEqual(extra.ratio, 'NaN');
+    assert.strictEqual(extra.when, '2026-01-27T00:00:00.000Z');
+    assert.deepStrictEqual(extra.seen, { '[Set]': ['a', 'b'] });
+    assert.deepStrictEqual([extra.cause.name, extra.cause.message], ['TypeError', 'bad input']);
+    assert.deepStrictEqual(extra.unreadable, { secret: '[Unreadable]' });
+    assert.strictEqual(extra.long.length, 1000);
+    assert.ok(extra.long.endsWith(TRUNCATED));
+});
+
+test('maxDepth, maxBreadth and maxStringLength are configurable', async () => {
+    const { browser, logger } = setup({ maxDepth: 2, maxBreadth: 2, maxStringLength: 20 });
+
+    logger.error('Limits', inPage(browser, `{ nested: { list: [1, 2], text: 'y'.repeat(30) }, keys: { a: 1, b: 2, c: 3 } }`));
+    await waitFor(() => browser.events().length === 1);
+
+    const { extra } = browser.events()[0];
+    assert.deepStrictEqual(extra.nested, { list: '[Array(2)]', text: 'y'.repeat(6) + TRUNCATED });
+    assert.deepStrictEqual(extra.keys, { a: 1, b: 2, '[truncated]': '1 more keys' });
+});
+
+test('fields are cut to the server limits in UTF-8 bytes with a marker, never inside a character', async () => {
+    const { browser, logger } = setup();
+
+    logger.setUser({ id: 42, name: '😀'.repeat(100) });
+    logger.setContext('cart', { items: 3 });
+    logger.setContext('dump', { rows: ['z'.repeat(900), 'z'.repeat(900), 'z'.repeat(900), 'z'.repeat(900), 'z'.repeat(900), 'z'.repeat(900)] });
+    logger.error('€'.repeat(1000));
+    await waitFor(() => browser.events().length === 1);
+
+    const [event] = browser.events();
+    const loneSurrogate = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+    assert.ok(event.message.endsWith(TRUNCATED));
+    assert.ok(Buffer.byteLength(event.message) <= 2000);
+    assert.ok(Buffer.byteLength(event.message) > 1980);
+    assert.ok(event.user.name.endsWith(TRUNCATED));
+    assert.ok(Buffer.byteLength(event.user.name) <= 200);
+    assert.doesNotMatch(event.user.name, loneSurrogate);
+    assert.strictEqual(event.user.id, 42);
+    // A named context that doesn't fit is dropped whole and listed
+    assert.deepStrictEqual(event.contexts, { cart: { items: 3 }, '[truncated]': ['dump'] });
+});
+
+// === Ignore Rule Tests ===
+
+/**
+ * Error-like exception whose top stack frame is in the given script
+ */
+function thrownIn(file) {
+    return { name: 'Error', message: 'failed', stack: 'Error: failed\n    at run (' + file + ':1:2)\n    at main (https://app.test/app.js:3:4)' };
+}
+
+/**
+ * Uncaught error event from the given script
+ */
+function dispatchUncaught(browser, message, filename) {
+    browser.window.dispatch('error', { target: browser.window, message, filename, lineno: 1, colno: 1 });
+}
+
+test('ignoreErrors drops events by message substring or RegExp', async () => {
+    const { browser, logger } = setup({ ignoreErrors: ['Request aborted', /^Non-Error promise rejection/] });
+
+    assert.strictEqual(logger.error('Fetch failed: Request aborted by user'), null);
+    assert.strictEqual(logger.error('Non-Error promise rejection captured'), null);
+    logger.error('A Non-Error promise rejection inside');
+    await tick(20);
+
+    assert.deepStrictEqual(browser.events().map((event) => event.message), ['A Non-Error promise rejection inside']);
+});
+
+test('denyUrls drops errors from matching scripts, by source or top stack frame', async () => {
+    const { browser, logger } = setup({ denyUrls: ['cdn.vendor.test', /\/legacy\//] });
+
+    dispatchUncaught(browser, 'Vendor widget crashed', 'https://cdn.vendor.test/widget.js');
+    dispatchUncaught(browser, 'Legacy crashed', 'https://app.test/js/legacy/old.js');
+    logger.error('Thrown by the widget', { exception: thrownIn('https://cdn.vendor.test/widget.js') });
+    logger.error('Thrown by the app', { exception: thrownIn('https://app.test/app.js') });
+    await tick(20);
+
+    assert.deepStrictEqual(browser.events().map((event) => event.message), ['Thrown by the app']);
+});
+
+test('allowUrls keeps only errors from matching scripts, and those without a script', async () => {
+    const { browser, logger } = setup({ allowUrls: ['https://app.test/'] });
+
+    dispatchUncaught(browser, 'Third-party crashed', 'https://ads.test/tag.js');
+    dispatchUncaught(browser, 'App crashed', 'https://app.test/app.js');
+    logger.error('Thrown by a third party', { exception: thrownIn('https://ads.test/tag.js') });
+    logger.error('No stack at all');
+    await tick(20);
+
+    assert.deepStrictEqual(browser.events().map((event) => event.message), ['App crashed', 'No stack at all']);
+});
+
+test('known browser noise is dropped unless ignoreBrowserNoise is off', async () => {
+    const noisy = (browser, logger) => {
+        dispatchUncaught(browser, 'Script error.', '');
+        dispatchUncaught(browser, 'ResizeObserver loop limit exceeded', 'https://app.test/app.js');
+        dispatchUncaught(browser, 'Extension crashed', 'chrome-extension://abcdef/content.js');
+        logger.error('Thrown in an extension', { exception: thrownIn('moz-extension://1234/inject.js') });
+        logger.error('Real error');
+    };
+
+    const filtered = setup();
+    noisy(filtered.browser, filtered.logger);
+    const unfiltered = setup({ ignoreBrowserNoise: false });
+    noisy(unfiltered.browser, unfiltered.logger);
+    await tick(20);
+
+    assert.deepStrictEqual(filtered.browser.events().map((event) => event.message), ['Real error']);
+    assert.strictEqual(unfiltered.browser.events().length, 5);
+});
+
+// === beforeSend and PII Scrubbing Tests ===
+
+test('beforeSend sees the scrubbed event and can modify or drop it', async () => {
+    const seen = [];
+    const { browser, logger } = setup({
+        beforeSend(event) {
+            seen.push(event.message);
+            if (event.message === 'drop me') return null;
+            event.tags = { checked: 'yes' };
+            return event;
+        },
+    });
+
+    assert.strictEqual(logger.error('drop me'), null);
+    logger.error('Signup failed for jane@example.com');
+    await tick(10);
+
+    assert.deepStrictEqual(seen, ['drop me', 'Signup failed for [email]']);
+    assert.deepStrictEqual(browser.events().map((event) => [event.message, event.tags]), [
+        ['Signup failed for [email]', { checked: 'yes' }],
+    ]);
+});
+
+test('beforeSend only runs for events that passed sampling, dedupe and rate limiting', async () => {
+    const seen = [];
+    const { browser, logger } = setup({
+        sampleRates: { debug: 0 },
+        levelBudgets: { warning: 1 },
+        beforeSend(event) {
+            seen.push(event.message);
+            return event;
+        },
+    });
+
+    logger.debug('sampled out');
+    logger.error('duplicate');
+    logger.error('duplicate');
+    logger.warning('first warning');
+    logger.warning('second warning');
+    await tick(10);
+
+    assert.deepStrictEqual(seen, ['duplicate', 'first warning']);
+    assert.deepStrictEqual(browser.events().map((event) => event.message), ['duplicate', 'first warning']);
+});
+
+test('a throwing beforeSend does not lose the event', async () => {
+    const { browser, logger } = setup({
+        beforeSend() {
+            throw new Error('broken hook');
+        },
+    });
+
+    logger.error('still sent');
+    await tick(10);
+
+    assert.deepStrictEqual(browser.events().map((event) => event.message), ['still sent']);
+});
+
+// === Stack Frame and Fingerprint Tests ===
+
+test('V8 and Gecko stacks are parsed into frames with the same fingerprint', async () => {
+    const { browser, logger } = setup({ dedupeWindowMs: 0 });
+    const queue = (stack, url) => logger.captureEvent({ level: 'error', message: 'Cannot read 3 of undefined', stack, url });
+
+    queue('TypeError: x\n    at render (https://cdn.test/js/app.3f2a9c1b.js?v=1:1:200)\n    at https://cdn.test/js/app.3f2a9c1b.js:1:50', 'https://app.test/a');
+    queue('render@https://cdn.test/js/app.9d8e7f6a.js:1:210\n@https://cdn.test/js/app.9d8e7f6a.js:1:60', 'https://app.test/b?x=1');
+    await tick(10);
+
+    const [chrome, firefox] = browser.events();
+    assert.deepStrictEqual(chrome.frames[0], { function: 'render', file: 'https://cdn.test/js/app.3f2a9c1b.js?v=1', line: 1, column: 200 });
+    assert.strictEqual(chrome.frames[1].function, '<anonymous>');
+    assert.strictEqual(firefox.frames.length, 2);
+    assert.strictEqual(chrome.fingerprint, firefox.fingerprint);
+});
+
+test('the same error on another page is deduplicated', async () => {
+    const { browser, logger } = setup();
+
+    logger.captureEvent({ level: 'error', message: 'Same bug', url: 'https://app.test/a' });
+    logger.captureEvent({ level: 'error', message: 'Same bug', url: 'https://app.test/b' });
+    await tick(10);
+
+    assert.strictEqual(browser.events().length, 1);
+});
+
+// === Sampling and Rate Limiting Tests ===
+
+test('sampled-out and rate-limited events are dropped before serialization', async () => {
+    let reads = 0;
+    const extra = {};
+    Object.defineProperty(extra, 'expensive', { enumerable: true, get: () => ++reads });
+
+    const { browser, logger } = setup({ sampleRates: { info: 0 }, levelBudgets: { error: 1 } });
+
+    assert.strictEqual(logger.info('sampled out', { extra }), null);
+    logger.error('first', { extra });
+    assert.strictEqual(logger.error('over budget', { extra }), null);
+    await tick(10);
+
+    assert.strictEqual(reads, 1);
+    assert.deepStrictEqual(browser.events().map((event) => event.message), ['first']);
+});
+
+test('critical events are never sampled and dropped events are summarized', async () => {
+    const { browser, logger } = setup({ sampleRates: { critical: 0, warning: 0 }, release: '2.0.1' });
+
+    logger.critical('kept');
+    logger.warning('dropped 1');
+    logger.warning('dropped 2');
+    logger.close();
+    await tick(10);
+
+    const events = browser.events();
+    assert.deepStrictEqual(events.map((event) => event.message), [
+        'kept',
+        '2 client events dropped (rate limit: 0, dedupe: 0, sampling: 2)',
+    ]);
+    assert.deepStrictEqual(events[1].extra.dropped_by_level, { warning: 2 });
+
+    // The summary is correlated like any other event
+    assert.match(events[1].event_id, /^[0-9a-f-]{36}$/);
+    assert.notStrictEqual(events[1].event_id, events[0].event_id);
+    assert.strictEqual(events[1].session_id, events[0].session_id);
+    assert.strictEqual(events[1].page_view_id, events[0].page_view_id);
+    assert.strictEqual(events[1].release, '2.0.1');
+});
+
+test('events on other channels skip sampling, dedupe, rate limits and breadcrumbs', async () => {
+    const { browser, logger } = setup({
+        captureBreadcrumbs: true,
+        sampleRates: { warning: 0 },
+        levelBudgets: { warning: 1 },
+    });
+
+    browser.window.console.log('clicked pay');
+    const ids = [1, 2, 3].map(() => logger.captureEvent({
+        level: 'warning',
+        message: 'Web Vitals: poor LCP',
+        channel: 'js_vitals',
+        metrics: { lcp: 4200 },
+    }));
+    assert.strictEqual(logger.warning('sampled out'), null);
+    await tick(10);
+
+    const events = browser.events();
+    assert.ok(ids.every((id) => typeof id === 'string'));
+    assert.deepStrictEqual(events.map((event) => event.channel), ['js_vitals', 'js_vitals', 'js_vitals']);
+    assert.ok(events.every((event) => event.breadcrumbs === undefined));
+});
+
+// === Scope Tests ===
+
+test('user, tags and contexts from the scope are merged into every event', async () => {
+    const { browser, logger } = setup({ scrubPii: false });
+
+    logger.setUser({ id: 42, email: 'jane@example.com' });
+    logger.setTags({ area: 'checkout', tier: 'pro' });
+    logger.setContext('cart', { items: 3 });
+    logger.captureEvent({ level: 'error', message: 'Payment failed', tags: { tier: 'free' } });
+    await tick(10);
+
+    const event = browser.events()[0];
+    assert.deepStrictEqual(event.user, { id: 42, email: 'jane@example.com' });
+    assert.deepStrictEqual(event.tags, { area: 'checkout', tier: 'free' });
+    assert.deepStrictEqual(event.contexts, { cart: { items: 3 } });
+});
+
+test('withScope changes do not leak out of the callback', async () => {
+    const { browser, logger } = setup();
+
+    logger.setTag('area', 'checkout');
+    logger.withScope(() => {
+        logger.setTag('step', 'payment');
+        logger.error('inside');
+    });
+    logger.error('outside');
+    await tick(10);
+
+    assert.deepStrictEqual(browser.events().map((event) => event.tags), [
+        { area: 'checkout', step: 'payment' },
+        { area: 'checkout' },
+    ]);
+});
+
+// === PSR-3 API Tests ===
+
+test('messages are interpolated and the remaining context becomes extra', async () => {
+    const { browser, logger } = setup();
+
+    logger.warning('User {user} failed {count} times at {when} ({missing}, {list})', {
+        user: 'jane',
+        count: 3,
+        when: new Date(Date.UTC(2026, 0, 27)),
+        list: [1, 2],
+    });
+    await tick(10);
+
+    const event = browser.events()[0];
+    assert.strictEqual(event.level, 'warning');
+    assert.strictEqual(event.message, 'User jane failed 3 times at 2026-01-27T00:00:00.000Z ({missing}, {list})');
+    assert.deepStrictEqual(Object.keys(event.extra), ['user', 'count', 'when', 'list']);
+});
+
+test('log() accepts every PSR-3 level and an Error in the exception key', async () => {
+    const { browser, logger } = setup({ maxErrorsPerMinute: 100 });
+    const error = new TypeError('bad input');
+
+    logger.log('NOTICE', 'notice level');
+    logger.log('verbose', 'unknown level');
+    logger.error('with exception', { exception: error });
+    await tick(10);
+
+    const [notice, unknown, withException] = browser.events();
+    assert.strictEqual(notice.level, 'notice');
+    assert.strictEqual(unknown.level, 'error');
+    assert.strictEqual(withException.stack, error.stack);
+    assert.deepStrictEqual(withException.extra.exception, { name: 'TypeError', message: 'bad input' });
+});
+
+// === Transport and Compression Tests ===
+
+test('batches over compressMinBytes UTF-8 bytes are gzipped for header-capable transports', async () => {
+    const requests = [];
+    const { logger } = setup({
+        compressMinBytes: 1000,
+        transport: (request, done) => {
+            requests.push(request);
+            done(true);
+        },
+    }, {
+        globals: { Blob: require('buffer').Blob, CompressionStream, Response },
+    });
+
+    // 400 UTF-16 units, but over 1000 UTF-8 bytes once JSON-encoded
+    logger.error('€'.repeat(400));
+    await waitFor(() => requests.length === 1);
+
+    const request = requests[0];
+    assert.strictEqual(request.headers['Content-Encoding'], 'gzip');
+    assert.ok(request.body instanceof ArrayBuffer);
+    assert.strictEqual(JSON.parse(zlib.gunzipSync(Buffer.from(request.body)).toString())[0].message, '€'.repeat(400));
+});
+
+test('small batches and beacon batches are sent as plain JSON', async () => {
+    const { browser, logger } = setup({ transport: 'beacon', compressMinBytes: 10 }, {
+        globals: { CompressionStream, Response },
+    });
+
+    logger.error('x'.repeat(100));
+    await tick(10);
+
+    assert.strictEqual(browser.requests[0].via, 'beacon');
+    assert.strictEqual(browser.events()[0].message, 'x'.repeat(100));
+});
+
+test("the 'auto' transport uses fetch, so a 429 pauses sending", async () => {
+    const { browser, logger } = setup({ transport: 'auto', batchSize: 1, retryBaseDelayMs: 60000 }, {
+        fetch: () => Promise.resolve({ ok: false, status: 429, headers: { get: () => '30' } }),
+    });
+
+    logger.error('first');
+    await tick(10);
+    logger.error('second');
+    await tick(10);
+
+    const queue = JSON.parse(browser.localStorage.getItem('psr3_error_queue'));
+    assert.deepStrictEqual(browser.requests.map((request) => request.via), ['fetch']);
+    assert.deepStrictEqual(queue.map((item) => item.error.message), ['first', 'second']);
+});
+
+test("the 'auto' transport uses sendBeacon only for the flush on pagehide or hidden", async () => {
+    const { browser, logger } = setup({ transport: 'auto', batchDelayMs: 60000 });
+
+    logger.error('on pagehide');
+    browser.window.dispatch('pagehide', { persisted: false });
+    logger.error('on hidden');
+    browser.document.visibilityState = 'hidden';
+    browser.document.dispatch('visibilitychange');
+    browser.document.visibilityState = 'visible';
+    logger.error('on close');
+    logger.close();
+    await tick(10);
+
+    assert.deepStrictEqual(
+        browser.requests.map((request) => [request.via, JSON.parse(request.body)[0].message]),
+        [['beacon', 'on pagehide'], ['beacon', 'on hidden'], ['fetch', 'on close']]
+    );
+});
+
+// === Global Error Handler Tests ===
+
+test('runtime errors are captured without replacing window.onerror or other error listeners', async () => {
+    const appOnError = () => false;
+    const seen = [];
+    const browser = createBrowser({ globals: { PSR3_AUTO_INIT: false, onerror: appOnError } });
+    browser.window.addEventListener('error', (event) => seen.push(event.message));
+    const logger = browser.load('error-handler.js').PSR3Logger;
+    logger.init({ transport: 'fetch', captureConsole: false, captureBreadcrumbs: false, batchDelayMs: 5 });
+    loggers.push(logger);
+
+    const error = new TypeError('x is undefined');
+    browser.window.dispatch('error', {
+        target: browser.window, message: 'Uncaught TypeError: x is undefined', filename: 'https://app.test/app.js', lineno: 12, colno: 3, error,
+    });
+    await waitFor(() => browser.events().length === 1);
+
+    const [event] = browser.events();
+    assert.strictEqual(event.message, 'Uncaught TypeError: x is undefined');
+    assert.strictEqual(event.url, 'https://app.test/app.js');
+    assert.strictEqual(event.line, 12);
+    assert.strictEqual(event.stack, error.stack);
+    assert.strictEqual(browser.window.onerror, appOnError);
+    assert.deepStrictEqual(seen, ['Uncaught TypeError: x is undefined']);
+
+    logger.close();
+    assert.strictEqual(browser.window.listeners.error.length, 1);
+});
+
+test('failed script, stylesheet and image loads are captured in the capture phase', async () => {
+    const { browser } = setup();
+
+    assert.strictEqual(browser.window.capturing.length, 1);
+    browser.window.dispatch('error', { target: { tagName: 'SCRIPT', src: 'https://cdn.test/app.js' } });
+    browser.window.dispatch('error', { target: { tagName: 'LINK', href: 'https://cdn.test/app.css' } });
+    browser.window.dispatch('error', { target: { tagName: 'IMG', src: 'logo.png', currentSrc: 'https://cdn.test/logo.2x.png' } });
+    browser.window.dispatch('error', { target: { tagName: 'SCRIPT', src: '' } });
+    browser.window.dispatch('error', { target: { tagName: 'VIDEO', src: 'https://cdn.test/intro.mp4' } });
+    await waitFor(() => browser.events().length === 3);
+    await tick(20);
+
+    assert.deepStrictEqual(browser.events().map((event) => event.message), [
+        'Resource Error: <script> failed to load https://cdn.test/app.js',
+        'Resource Error: <link> failed to load https://cdn.test/app.css',
+        'Resource Error: <img> failed to load https://cdn.test/logo.2x.png',
+    ]);
+    assert.deepStrictEqual(browser.events()[0].extra.resource, { tag: 'script', url: 'https://cdn.test/app.js' });
+    assert.strictEqual(browser.events()[0].url, 'https://app.test/page');
+});
+
+// === Network Capture Tests ===
+
+/**
+ * fetch option answering with the given status (or rejecting with an Error) per URL, 200 otherwise
+ */
+function respondByUrl(responses) {
+    return (url) => {
+        const response = responses[String(url)];
+        if (response instanceof Error) {
+            return Promise.reject(response);
+        }
+
+        const status = response || 200;
+        return Promise.resolve({ ok: status < 400, status, type: 'basic', headers: { get: () => null }, json: () => Promise.resolve({}) });
+    };
+}
+
+test('a failed fetch is reported as a network error and still rejects for the app', async () => {
+    const { browser } = setup({ captureNetworkErrors: true }, {
+        fetch: respondByUrl({ 'https://api.test/orders?id=7': new TypeError('Failed to fetch') }),
+    });
+
+    await assert.rejects(browser.window.fetch('https://api.test/orders?id=7', { method: 'post' }), /Failed to fetch/);
+    await waitFor(() => browser.events().length === 1);
+
+    const [event] = browser.events();
+    assert.strictEqual(event.level, 'error');
+    assert.strictEqual(event.message, 'Network Error: POST https://api.test/orders (Failed to fetch)');
+    assert.deepStrictEqual(
+        Object.assign({}, event.extra.request, { duration_ms: 0 }),
+        { type: 'fetch', method: 'POST', url: 'https://api.test/orders', status: 0, duration_ms: 0 }
+    );
+});
+
+test('non-2xx XHR responses are reported by status, 4xx only with captureHttp4xx', async () => {
+    const xhr = createXMLHttpRequest();
+    const { browser } = setup({ captureNetworkErrors: true }, { globals: { XMLHttpRequest: xhr.XMLHttpRequest } });
+
+    ['/api/cart', '/api/missing', '/api/ok'].forEach((url) => {
+        const request = new browser.window.XMLHttpRequest();
+        request.open('put', url + '?token=secret');
+        request.send('{}');
+    });
+    xhr.instances[0].finish(503);
+    xhr.instances[1].finish(404);
+    xhr.instances[2].finish(204);
+    await waitFor(() => browser.events().length > 0);
+    await tick(20);
+
+    assert.deepStrictEqual(browser.events().map((event) => [event.level, event.message]), [['error', 'HTTP 503: PUT /api/cart']]);
+    assert.strictEqual(browser.events()[0].extra.request.type, 'xhr');
+});
+
+test("requests to the logger's own endpoint are never captured", async () => {
+    const xhr = createXMLHttpRequest();
+    const { browser, logger } = setup({ captureNetworkErrors: true, captureBreadcrumbs: true }, {
+        fetch: respondByUrl({ 'https://app.test/api/log/js-error?debug=1': 500 }),
+        globals: { XMLHttpRequest: xhr.XMLHttpRequest },
+    });
+
+    await browser.window.fetch('https://app.test/api/log/js-error?debug=1', { method: 'POST', body: '[]' });
+    const request = new browser.window.XMLHttpRequest();
+    request.open('POST', '/api/log/js-error');
+    request.send('[]');
+    request.finish(0);
+
+    logger.error('marker');
+    await waitFor(() => browser.events().length > 0);
+    logger.error('second');
+    await waitFor(() => browser.events().length > 1);
+
+    // The first send is not a breadcrumb of the second event either
+    assert.deepStrictEqual(browser.events().map((event) => event.message), ['marker', 'second']);
+    assert.deepStrictEqual(browser.events()[1].breadcrumbs.filter((crumb) => ['fetch', 'xhr'].includes(crumb.category)), []);
+});
+
+// === Trace Context Tests ===
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-[0-9a-f]{16}-01$/;
+
+/**
+ * traceparent header of a recorded fetch (Headers instance, plain object or none)
+ */
+function fetchTraceparent(request) {
+    const headers = request.init.headers;
+
+    if (!headers) return undefined;
+    return typeof headers.get === 'function' ? headers.get('traceparent') || undefined : headers.traceparent;
+}
+
+test('fetch gets a traceparent for same-origin and allow-listed URLs only', async () => {
+    const { browser, logger } = setup({
+        tracePropagation: true,
+        tracePropagationTargets: ['https://api.partner.test/', /^https:\/\/cdn\.partner\.test\//],
+    }, { globals: { Headers } });
+    const urls = [
+        '/api/orders',
+        'https://app.test/api/cart',
+        'https://api.partner.test/v1/quote',
+        'https://cdn.partner.test/config.json',
+        'https://api.other.test/v1/track',
+        '//api.other.test/pixel',
+        '/api/log/js-error',
+    ];
+
+    await Promise.all(urls.map((url) => browser.window.fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' } })));
+
+    const headers = browser.requests.map(fetchTraceparent);
+    const traceIds = headers.slice(0, 4).map((header) => TRACEPARENT.exec(header)[1]);
+    assert.deepStrictEqual(headers.slice(4), [undefined, undefined, undefined]);
+    assert.deepStrictEqual(new Set(traceIds), new Set([TRACEPARENT.exec(logger.getTraceparent())[1]]));
+    assert.strictEqual(browser.requests[0].init.headers.get('content-type'), 'application/json');
+});
+
+test('fetch keeps a traceparent the app already set', async () => {
+    const { browser } = setup({ tracePropagation: true }, { globals: { Headers } });
+    const own = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+    await browser.window.fetch('/api/orders', { headers: { traceparent: own } });
+    await browser.window.fetch('/api/cart', { headers: new Headers({ traceparent: own }) });
+
+    assert.deepStrictEqual(browser.requests.map(fetchTraceparent), [own, own]);
+});
+
+test('XHR gets a traceparent for same-origin and allow-listed URLs, never over its own', async () => {
+    const xhr = createXMLHttpRequest();
+    const { browser } = setup({
+        tracePropagation: true,
+        tracePropagationTargets: ['https://api.partner.test/'],
+    }, { globals: { XMLHttpRequest: xhr.XMLHttpRequest } });
+    const own = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+    ['/api/orders', 'https://api.partner.test/v1/quote', 'https://api.other.test/v1/track', '/api/cart'].forEach((url, i) => {
+        const request = new browser.window.XMLHttpRequest();
+        request.open('GET', url);
+        if (i === 3) {
+            request.setRequestHeader('Traceparent', own);
+        }
+        request.send();
+    });
+
+    const headers = xhr.instances.map((request) => request.headers.traceparent);
+    assert.match(headers[0], TRACEPARENT);
+    assert.match(headers[1], TRACEPARENT);
+    assert.deepStrictEqual(headers.slice(2), [undefined, own]);
+});
+
+test('no traceparent is added unless tracePropagation is on', async () => {
+    const xhr = createXMLHttpRequest();
+    const { browser, logger } = setup({ captureNetworkErrors: true }, { globals: { Headers, XMLHttpRequest: xhr.XMLHttpRequest } });
+    const request = new browser.window.XMLHttpRequest();
+
+    request.open('GET', '/api/orders');
+    request.send();
+    await browser.window.fetch('/api/orders');
+
+    assert.strictEqual(xhr.instances[0].headers.traceparent, undefined);
+    assert.strictEqual(fetchTraceparent(browser.requests[0]), undefined);
+    logger.error('untraced');
+    await waitFor(() => browser.events().length === 1);
+    assert.strictEqual(browser.events()[0].trace_id, undefined);
+});
+
+// === Event ID Tests ===
+
+test('every sent event carries the UUID returned by the logging call', async () => {
+    const { browser, logger } = setup();
+
+    const ids = [logger.error('first'), logger.warning('second')];
+    await tick(10);
+
+    assert.deepStrictEqual(browser.events().map((event) => event.event_id), ids);
+    ids.forEach((id) => assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/));
+    assert.notStrictEqual(ids[0], ids[1]);
+});
+
+test('a UUID v4 is generated without crypto.randomUUID', async () => {
+    const { browser, logger } = setup({}, {
+        globals: { crypto: { getRandomValues: (bytes) => require('crypto').randomFillSync(bytes) } },
+    });
+
+    const id = logger.error('no randomUUID');
+    await tick(10);
+
+    assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    assert.strictEqual(browser.events()[0].event_id, id);
+});
+
+// === Feedback Tests ===
+
+test('feedback comments are scrubbed, the shared email is kept and the event is linked', async () => {
+    const { browser, logger } = setup();
+
+    const eventId = logger.error('Checkout failed');
+    logger.captureFeedback({ comment: 'Paid with 4111 1111 1111 1111, mail me at jane@example.com', email: 'jane@example.com' });
+    await tick(10);
+
+    const feedback = browser.events()[1];
+    assert.strictEqual(feedback.message, 'User Feedback: Paid with [card], mail me at [email]');
+    assert.deepStrictEqual(feedback.feedback, { event_id: eventId, email: 'jane@example.com' });
+});
+
+test('feedback comments are sent as typed when scrubPii is off', async () => {
+    const { browser, logger } = setup({ scrubPii: false });
+
+    assert.strictEqual(logger.captureFeedback({ comment: '   ' }), false);
+    assert.strictEqual(logger.captureFeedback({ eventId: 'abc', comment: 'Mail me at jane@example.com' }), true);
+    await tick(10);
+
+    assert.strictEqual(browser.events()[0].message, 'User Feedback: Mail me at jane@example.com');
+});
+
+// === CSP Violation Tests ===
+
+test('CSP violations skip sampling, rate limits and ignoreErrors, once per directive and URI', async () => {
+    const { browser } = setup({
+        captureCspViolations: true,
+        sampleRates: { warning: 0 },
+        levelBudgets: { warning: 0 },
+        ignoreErrors: [/CSP violation/],
+    });
+
+    const violation = (blockedURI) => ({
+        effectiveDirective: 'script-src-elem',
+        blockedURI,
+        sourceFile: 'https://app.test/page',
+        disposition: 'enforce',
+    });
+
+    browser.document.dispatch('securitypolicyviolation', violation('https://evil.test/a.js'));
+    browser.document.dispatch('securitypolicyviolation', violation('https://evil.test/a.js'));
+    browser.document.dispatch('securitypolicyviolation', violation('https://evil.test/b.js'));
+    browser.document.dispatch('securitypolicyviolation', violation('chrome-extension://abc/inject.js'));
+    await tick(10);
+
+    const events = browser.events();
+    assert.deepStrictEqual(events.map((event) => event.csp.blocked_uri), ['https://evil.test/a.js', 'https://evil.test/b.js']);
+    assert.ok(events.every((event) => event.channel === 'security' && event.level === 'warning'));
+});
+
+// === Crash Detection Tests ===
+
+const EARLIER_PAGE_VIEW = '6f1c2d3e-4a5b-4c6d-8e7f-8091a2b3c4d5';
+
+/**
+ * localStorage heartbeats holding one earlier page view, last seen ageMs ago
+ */
+function heartbeats(ageMs, visibility = 'visible') {
+    const now = Date.now();
+
+    return {
+        psr3_heartbeats: JSON.stringify({
+            [EARLIER_PAGE_VIEW]: {
+                session_id: '0f8fad5b-d9cb-469f-a165-70867728950e',
+                url: 'https://app.test/checkout',
+                started_at: now - ageMs - 42000,
+                heartbeat_at: now - ageMs,
+                visibility,
+                breadcrumbs: [{ timestamp: new Date(now - ageMs).toISOString(), category: 'click', message: 'button#pay' }],
+            },
+        }),
+    };
+}
+
+/**
+ * navigator with a Web Locks API whose held locks can be inspected
+ */
+function lockingNavigator(heldNames = []) {
+    const held = heldNames.map((name) => ({ name }));
+
+    return {
+        userAgent: 'node-test',
+        onLine: true,
+        held,
+        locks: {
+            request(name, callback) {
+                const lock = { name };
+                held.push(lock);
+                return Promise.resolve(callback(lock)).then(() => held.splice(held.indexOf(lock), 1));
+            },
+            query: () => Promise.resolve({ held: held.slice() }),
+        },
+    };
+}
+
+test('a page view without a clean exit is reported with its termination context', async () => {
+    const { browser } = setup({ detectCrashes: true }, { localStorage: heartbeats(180000) });
+
+    await tick(20);
+
+    const event = browser.events()[0];
+    assert.match(event.message, /^Unclean termination: page view ended without a clean exit after 42s on https:\/\/app.test\/checkout$/);
+    assert.strictEqual(event.level, 'error');
+    assert.strictEqual(event.termination.page_view_id, EARLIER_PAGE_VIEW);
+    assert.strictEqual(event.termination.session_id, '0f8fad5b-d9cb-469f-a165-70867728950e');
+    assert.strictEqual(event.termination.visibility, 'visible');
+    assert.ok(!Number.isNaN(Date.parse(event.termination.last_heartbeat_at)));
+    assert.deepStrictEqual(event.metrics, { uptime_ms: 42000 });
+    assert.deepStrictEqual(event.breadcrumbs.map((crumb) => crumb.message), ['button#pay']);
+    assert.deepStrictEqual(Object.keys(JSON.parse(browser.localStorage.getItem('psr3_heartbeats'))).filter((id) => id === EARLIER_PAGE_VIEW), []);
+});
+
+test('without Web Locks a visible page view is given minutes before it counts as dead', async () => {
+    const { browser } = setup({ detectCrashes: true }, { localStorage: heartbeats(30000) });
+
+    await tick(20);
+
+    assert.strictEqual(browser.requests.length, 0);
+    assert.ok(JSON.parse(browser.localStorage.getItem('psr3_heartbeats'))[EARLIER_PAGE_VIEW]);
+});
+
+test('with Web Locks a page view is dead when its lock is gone, alive while it is held', async () => {
+    const dead = setup({ detectCrashes: true }, {
+        localStorage: heartbeats(30000),
+        globals: { navigator: lockingNavigator() },
+    });
+    const alive = setup({ detectCrashes: true }, {
+        localStorage: heartbeats(600000),
+        globals: { navigator: lockingNavigator([`psr3-page-view:${EARLIER_PAGE_VIEW}`]) },
+    });
+
+    await tick(20);
+
+    assert.strictEqual(dead.browser.events()[0].termination.page_view_id, EARLIER_PAGE_VIEW);
+    assert.strictEqual(alive.browser.requests.length, 0);
+
+    // This page view holds its own lock until close()
+    const navigator = dead.browser.window.navigator;
+    assert.strictEqual(navigator.held.filter((lock) => lock.name.startsWith('psr3-page-view:')).length, 1);
+    dead.logger.close();
+    await tick();
+    assert.strictEqual(navigator.held.length, 0);
+});
+
+test('breadcrumb heartbeats are throttled and scrubbed before they are stored', async () => {
+    const { browser } = setup({ detectCrashes: true, captureBreadcrumbs: true });
+    const setItem = browser.localStorage.setItem;
+    let writes = 0;
+
+    browser.localStorage.setItem = (key, value) => {
+        if (key === 'psr3_heartbeats') writes++;
+        setItem(key, value);
+    };
+
+    // Past the first heartbeat and the unclean exit check
+    await tick(1100);
+    writes = 0;
+
+    for (let i = 0; i < 20; i++) {
+        browser.window.console.log(`reply to jane@example.com #${i}`);
+    }
+
+    assert.strictEqual(writes, 1);
+    await tick(1100);
+    assert.strictEqual(writes, 2);
+
+    const record = Object.values(JSON.parse(browser.localStorage.getItem('psr3_heartbeats')))[0];
+    assert.strictEqual(record.breadcrumbs.length, 10);
+    assert.strictEqual(record.breadcrumbs[9].message, 'reply to [email] #19');
+});
@@ -0,0 +1,278 @@
+'use strict';
+
+/**
+ * Minimal browser environment for the scripts in public/js
+ *
+ * Runs a script in a vm context with a fake window, document, Web Storage,
+ * fetch and sendBeacon (or a fake dedicated worker scope). Requests are
+ * recorded instead of sent; timers, MessageChannel and crypto are Node's,
+ * so call PSR3Logger.close() at the end of a test.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PUBLIC_JS = path.join(__dirname, '..', '..', '..', 'public', 'js');
+
+function createEventTarget() {
+    const listeners = {};
+    // Listeners added for the capture phase (dispatch() runs all listeners alike)
+    const capturing = [];
+
+    return {
+        listeners,
+        capturing,
+        addEventListener(type, handler, options) {
+            (listeners[type] = listeners[type] || []).push(handler);
+            if (options === true || (options && options.capture)) {
+                capturing.push(handler);
+            }
+        },
+        removeEventListener(type, handler) {
+            listeners[type] = (listeners[type] || []).filter((listener) => listener !== handler);
+        },
+        dispatch(type, event = {}) {
+            let stopped = false;
+            const dispatched = Object.assign({
+                type,
+                stopImmediatePropagation() {
+                    stopped = true;
+                },
+            }, event);
+
+            for (const listener of (listeners[type] || []).slice()) {
+                if (stopped) break;
+                listener(dispatched);
+            }
+        },
+    };
+}
+
+function createStorage(initial = {}) {
+    const items = Object.assign({}, initial);
+
+    return {
+        items,
+        getItem: (key) => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+        setItem: (key, value) => {
+            items[key] = String(value);
+        },
+        removeItem: (key) => {
+            delete items[key];
+        },
+    };
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.globals] Extra window properties (PSR3_* settings, XMLHttpRequest...)
+ * @param {Function} [options.fetch] (url, init) => Promise<Response-like>; default: 200 OK
+ * @param {boolean} [options.beacon] Whether navigator.sendBeacon exists (default true)
+ * @param {Object} [options.localStorage] Initial localStorage items
+ * @param {Object} [options.sessionStorage] Initial sessionStorage items
+ */
+function createBrowser(options = {}) {
+    const requests = [];
+    const window = createEventTarget();
+    const document = Object.assign(createEventTarget(), {
+        visibilityState: 'visible',
+        readyState: 'complete',
+        body: null,
+    });
+    const localStorage = createStorage(options.localStorage);
+    const sessionStorage = createStorage(options.sessionStorage);
+
+    const respond = options.fetch || (() => Promise.resolve({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: () => Promise.resolve({ success: true }),
+    }));
+
+    const navigator = {
+        userAgent: 'node-test',
+        onLine: true,
+    };
+
+    if (options.beacon !== false) {
+        navigator.sendBeacon = (url, data) => {
+            requests.push({ via: 'beacon', url, body: data && data.text !== undefined ? data.text : data });
+            return true;
+        };
+    }
+
+    class Blob {
+        constructor(parts = [], blobOptions = {}) {
+            this.text = parts.map(String).join('');
+            this.type = blobOptions.type || '';
+            this.size = Buffer.byteLength(this.text);
+        }
+    }
+
+    Object.assign(window, {
+        location: { href: 'https://app.test/page', origin: 'https://app.test', pathname: '/page' },
+        document,
+        navigator,
+        localStorage,
+        sessionStorage,
+        Blob,
+        fetch: (url, init = {}) => {
+            requests.push({ via: 'fetch', url: String(url), body: init.body, init });
+            return respond(url, init);
+        },
+        console: { log() {}, info() {}, warn() {}, error() {}, debug() {} },
+        crypto: require('crypto').webcrypto,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        URL,
+        MessageChannel,
+        TextEncoder,
+        Uint8Array,
+        Promise,
+        Date,
+        JSON,
+        Math,
+    }, options.globals || {});
+
+    window.window = window;
+    window.self = window;
+    vm.createContext(window);
+
+    return {
+        window,
+        document,
+        localStorage,
+        sessionStorage,
+        requests,
+
+        /**
+         * Run a script from public/js in this window
+         */
+        load(file) {
+            const filename = path.join(PUBLIC_JS, file);
+            vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+            return window;
+        },
+
+        /**
+         * Events sent to the endpoint, in order (batches flattened)
+         */
+        events() {
+            return requests
+                .filter((request) => typeof request.body === 'string')
+                .reduce((events, request) => events.concat(JSON.parse(request.body)), []);
+        },
+    };
+}
+
+/**
+ * Dedicated worker scope: self is the global, postMessage() is recorded
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.globals] Extra self properties (PSR3_* settings...)
+ */
+function createWorkerScope(options = {}) {
+    const requests = [];
+    const messages = [];
+    const self = Object.assign(createEventTarget(), {
+        location: { href: 'https://app.test/js/import.js?v=2' },
+        navigator: { userAgent: 'node-test' },
+        fetch: (url, init = {}) => {
+            requests.push({ via: 'fetch', url: String(url), body: init.body, init });
+            return Promise.resolve({ ok: true, status: 200 });
+        },
+        postMessage: (message) => messages.push(message),
+        console: { log() {}, info() {}, warn() {}, error() {}, debug() {} },
+        crypto: require('crypto').webcrypto,
+        setTimeout,
+        clearTimeout,
+        Date,
+        JSON,
+        Promise,
+    }, options.globals || {});
+
+    self.self = self;
+    vm.createContext(self);
+
+    return {
+        self,
+        requests,
+        messages,
+
+        /**
+         * Run scripts from public/js in this worker, like importScripts()
+         */
+        importScripts(...files) {
+            files.forEach((file) => {
+                const filename = path.join(PUBLIC_JS, file);
+                vm.runInContext(fs.readFileSync(filename, 'utf8'), self, { filename });
+            });
+            return self;
+        },
+    };
+}
+
+/**
+ * Fake XMLHttpRequest for window globals: requests are recorded in
+ * instances, finish(status) ends one (loadend)
+ */
+function createXMLHttpRequest() {
+    const instances = [];
+
+    class XMLHttpRequest {
+        constructor() {
+            Object.assign(this, createEventTarget());
+            this.status = 0;
+            this.headers = {};
+            this.opened = false;
+            instances.push(this);
+        }
+
+        open(method, url) {
+            this.method = method;
+            this.url = url;
+            this.opened = true;
+        }
+
+        setRequestHeader(name, value) {
+            if (!this.opened) {
+                throw new Error('InvalidStateError');
+            }
+            this.headers[name.toLowerCase()] = value;
+        }
+
+        send(body) {
+            this.body = body;
+        }
+
+        finish(status) {
+            this.status = status;
+            this.dispatch('loadend');
+        }
+    }
+
+    return { XMLHttpRequest, instances };
+}
+
+function tick(ms = 0) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Resolve once predicate() is true (for MessagePort delivery and other
+ * asynchronous hops); rejects after timeoutMs
+ */
+async function waitFor(predicate, timeoutMs = 2000) {
+    const start = Date.now();
+
+    while (!predicate()) {
+        if (Date.now() - start > timeoutMs) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await tick(5);
+    }
+}
+
+module.exports = { createBrowser, createWorkerScope, createStorage, createXMLHttpRequest, tick, waitFor, PUBLIC_JS };
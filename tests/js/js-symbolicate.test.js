@@ -0,0 +1,235 @@
+'use strict';
+
+/**
+ * Tests for bin/js-symbolicate.js (run with: node --test tests/js/*.test.js)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { SourceMap, SourceMapStore, parseEntry, trackDetailedEntry, symbolicateStack, symbolicateFrames } = require('../../bin/js-symbolicate');
+
+const SCRIPT = path.join(__dirname, '..', '..', 'bin', 'js-symbolicate.js');
+
+// Line 1: column 1 -> src/app.js 1:1 (handleClick), column 11 -> src/app.js 11:11 (render)
+const RAW_MAP = {
+    version: 3,
+    sources: ['app.js'],
+    sourceRoot: 'src',
+    names: ['handleClick', 'render'],
+    mappings: 'AAAAA,UAUUC',
+};
+
+/**
+ * Store stub resolving every bundle against RAW_MAP
+ */
+function createStore() {
+    const map = new SourceMap(RAW_MAP);
+
+    return {
+        resolve: (release, frame) => (/\/app\.min\.js$/.test(frame.file) ? map.originalPositionFor(frame.line, frame.column) : null),
+    };
+}
+
+// === Source Map Decoding Tests ===
+
+test('originalPositionFor maps 1-based generated positions to the original source', () => {
+    const map = new SourceMap(RAW_MAP);
+
+    assert.deepStrictEqual(map.originalPositionFor(1, 1), { source: 'src/app.js', line: 1, column: 1, name: 'handleClick' });
+    assert.deepStrictEqual(map.originalPositionFor(1, 15), { source: 'src/app.js', line: 11, column: 11, name: 'render' });
+    assert.strictEqual(map.originalPositionFor(2, 1), null);
+});
+
+/**
+ * Temporary maps directory: <root>/maps/<release>/app.min.js.map, plus a
+ * sibling <root>/maps-private/ that must stay out of reach
+ */
+function createMapsDir(t, release) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'js-symbolicate-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const maps = path.join(root, 'maps');
+    fs.mkdirSync(path.join(maps, release), { recursive: true });
+    fs.mkdirSync(path.join(root, 'maps-private'));
+    fs.writeFileSync(path.join(maps, release, 'app.min.js.map'), JSON.stringify(RAW_MAP));
+    fs.writeFileSync(path.join(root, 'maps-private', 'app.min.js.map'), JSON.stringify(RAW_MAP));
+
+    return maps;
+}
+
+// === Source Map Store Tests ===
+
+test('SourceMapStore resolves frames with the maps of the entry release', (t) => {
+    const store = new SourceMapStore(createMapsDir(t, '1.4.2'));
+    const frame = { file: 'https://cdn.test/js/app.min.js?v=2', line: 1, column: 12 };
+
+    assert.strictEqual(store.resolve('1.4.2', frame).source, 'src/app.js');
+    assert.strictEqual(store.resolve('1.4.3', frame), null);
+    assert.strictEqual(store.resolve(null, frame), null);
+});
+
+test('SourceMapStore never reads maps outside the maps directory', (t) => {
+    const store = new SourceMapStore(createMapsDir(t, '1.4.2'));
+    const frame = { file: 'https://cdn.test/js/app.min.js', line: 1, column: 12 };
+
+    // "../maps-private" resolves to a sibling sharing the "maps" prefix
+    assert.strictEqual(store.resolve('../maps-private', frame), null);
+    assert.strictEqual(store.resolve('..', frame), null);
+    assert.strictEqual(store.resolve('.', frame), null);
+    assert.strictEqual(store.resolve('1.4.2/../../maps-private', frame), null);
+});
+
+// === Log Entry Tests ===
+
+test('parseEntry reads the context of JSON and line formatted entries', () => {
+    const json = parseEntry(JSON.stringify({ message: 'Boom', context: { stack: 'Error: Boom', release: '1.4.2' } }));
+    assert.strictEqual(json.format, 'json');
+    assert.strictEqual(json.context.release, '1.4.2');
+
+    const line = parseEntry('[2026-01-27 10:00:00] js_errors.ERROR: Boom {"stack":"Error: Boom","url":"https://app.test/"} []');
+    assert.strictEqual(line.format, 'line');
+    assert.strictEqual(line.message, 'Boom');
+    assert.strictEqual(line.context.url, 'https://app.test/');
+    assert.strictEqual(line.suffix, ' []');
+
+    assert.strictEqual(parseEntry('not a log line'), null);
+});
+
+test('parseEntry reads DetailedLineFormatter js={...} lines, trackDetailedEntry their message and release', () => {
+    const lines = [
+        '[2026-01-27 10:00:00.000000] [ERR] [js_errors] [pid:1] [mem:2MB]',
+        '  ▶ Boom',
+        '  │ event_id=0f8fad5b-d9cb-469f-a165-70867728950e source=javascript release=1.4.2',
+        '  └ js={"stack":"Error: Boom","frames":[]}',
+    ];
+    const tracked = { message: 'stale', release: 'stale' };
+    lines.forEach((line) => trackDetailedEntry(line, tracked));
+
+    const entry = parseEntry(lines[3]);
+    assert.strictEqual(entry.format, 'detailed');
+    assert.strictEqual(entry.prefix, '  └ js=');
+    assert.strictEqual(entry.context.stack, 'Error: Boom');
+    assert.deepStrictEqual(tracked, { message: 'Boom', release: '1.4.2' });
+    assert.strictEqual(parseEntry('  └ js={"breadcrumbs":[]}'), null);
+    assert.strictEqual(parseEntry(lines[2]), null);
+});
+
+test('symbolicateStack rewrites resolvable stack lines', () => {
+    const stack = 'TypeError: x\n    at a (https://cdn.test/js/app.min.js:1:12)\n    at b (https://cdn.test/js/app.min.js:1:2)';
+    const result = symbolicateStack(stack, null, createStore());
+
+    assert.strictEqual(result.resolved, 2);
+    assert.strictEqual(result.frames, 2);
+    assert.strictEqual(result.stack, 'TypeError: x\n    at handleClick (src/app.js:11:11)\n    at b (src/app.js:1:1)');
+});
+
+// === Frame Tests ===
+
+test('symbolicateFrames rewrites resolvable client frames and keeps the rest', () => {
+    const frames = [
+        { function: 'a', file: 'https://cdn.test/js/app.min.js', line: 1, column: 12 },
+        { function: 'b', file: 'https://cdn.test/js/app.min.js', line: 1, column: 2 },
+        { function: 'vendor', file: 'https://cdn.test/js/vendor.js', line: 3, column: 4 },
+    ];
+
+    assert.deepStrictEqual(symbolicateFrames(frames, null, createStore()), [
+        // Enclosing function name comes from the caller's call site
+        { function: 'handleClick', file: 'src/app.js', line: 11, column: 11 },
+        { function: 'b', file: 'src/app.js', line: 1, column: 1 },
+        frames[2],
+    ]);
+});
+
+// === Command Line Tests ===
+
+function localDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Temporary log file with the given lines
+ */
+function createLogFile(t, name, lines) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-symbolicate-logs-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+
+    return file;
+}
+
+function run(args) {
+    return spawnSync(process.execPath, [SCRIPT].concat(args), { encoding: 'utf8', timeout: 30000 });
+}
+
+const MINIFIED_STACK = 'TypeError: x\n    at a (https://cdn.test/js/app.min.js:1:12)\n    at b (https://cdn.test/js/app.min.js:1:2)';
+
+test('--in-place replaces a past log file through a temporary file', (t) => {
+    const maps = createMapsDir(t, '1.4.2');
+    const file = createLogFile(t, 'js_errors-2026-01-20.log', [
+        JSON.stringify({ message: 'Boom', context: { stack: MINIFIED_STACK, release: '1.4.2' } }),
+        JSON.stringify({ message: 'No stack', context: {} }),
+    ]);
+
+    const result = run(['--maps', maps, '--in-place', file]);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    const [boom, plain] = fs.readFileSync(file, 'utf8').split('\n').map((line) => (line ? JSON.parse(line) : null));
+    assert.strictEqual(boom.context.stack, 'TypeError: x\n    at handleClick (src/app.js:11:11)\n    at b (src/app.js:1:1)');
+    assert.strictEqual(boom.context.stack_minified, MINIFIED_STACK);
+    assert.strictEqual(plain.message, 'No stack');
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['js_errors-2026-01-20.log']);
+});
+
+test("--in-place refuses today's log file, which is still being written", (t) => {
+    const maps = createMapsDir(t, '1.4.2');
+    const line = JSON.stringify({ message: 'Boom', context: { stack: MINIFIED_STACK, release: '1.4.2' } });
+    const file = createLogFile(t, `js_errors-${localDate(new Date())}.log`, [line]);
+
+    const result = run(['--maps', maps, '--in-place', file]);
+
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /refuses today's log file/);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), line + '\n');
+});
+
+test('DetailedLineFormatter entries are symbolicated with the release of their key=value line', (t) => {
+    const maps = createMapsDir(t, '1.4.2');
+    const file = createLogFile(t, 'js_errors-2026-01-20.log', [
+        '[2026-01-20 10:00:00.000000] [ERR] [js_errors] [pid:1] [mem:2MB]',
+        '  ▶ Boom',
+        '  │ source=javascript release=1.4.2',
+        '  └ js=' + JSON.stringify({ stack: MINIFIED_STACK, frames: [{ function: 'a', file: 'https://cdn.test/js/app.min.js', line: 1, column: 12 }] }),
+    ]);
+
+    const printed = run(['--maps', maps, file]);
+    assert.match(printed.stdout, /^Boom \[release 1\.4\.2\]\n/);
+    assert.match(printed.stdout, /at handleClick \(src\/app\.js:11:11\)/);
+
+    assert.strictEqual(run(['--maps', maps, '--in-place', file]).status, 0);
+    const jsLine = fs.readFileSync(file, 'utf8').split('\n')[3];
+    assert.ok(jsLine.startsWith('  └ js={'));
+    assert.strictEqual(JSON.parse(jsLine.slice(7)).frames[0].file, 'src/app.js');
+});
+
+test('a warning is printed when no entry carries a stack', (t) => {
+    const maps = createMapsDir(t, '1.4.2');
+    const file = createLogFile(t, 'js_errors-2026-01-20.log', [
+        '[2026-01-20 10:00:00.000000] [ERR] [js_errors] [pid:1] [mem:2MB]',
+        '  ▶ Boom',
+        '  └ source=javascript stack="TypeError: x at a (https://cdn.test/js/app.mi..."',
+    ]);
+    const before = fs.readFileSync(file, 'utf8');
+
+    const result = run(['--maps', maps, '--in-place', file]);
+
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stderr, /No entries with a stack found/);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), before);
+});
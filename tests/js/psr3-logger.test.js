@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Tests for node/psr3-logger.js (run with: node --test tests/js/*.test.js)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Logger = require('../../node/psr3-logger');
+
+const { LineFormatter, JsonFormatter, RotatingFileHandler } = Logger;
+
+function record(overrides = {}) {
+    return Object.assign({
+        datetime: new Date(2026, 0, 27, 10, 30, 5, 123),
+        channel: 'payments',
+        level: 'error',
+        message: 'Charge {id} failed',
+        context: { id: 17 },
+        extra: {},
+    }, overrides);
+}
+
+function createLogsDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psr3-logger-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    return dir;
+}
+
+// === Formatter Tests ===
+
+test('LineFormatter writes the PHP SIMPLE_FORMAT line', () => {
+    assert.strictEqual(
+        new LineFormatter().formatRecord(record()),
+        '[2026-01-27 10:30:05] payments.Error    : Charge {id} failed {"id":17} []\n'
+    );
+    assert.strictEqual(
+        new LineFormatter().useEnhancedFormat().formatRecord(record({ context: { id: 17, note: 'two words' } })),
+        '[2026-01-27 10:30:05] [Error    ] payments | Charge {id} failed | id=17 note="two words"\n'
+    );
+});
+
+test('LineFormatter strips what the PHP sanitizer strips', () => {
+    const message = 'a\x1b[31mred\x1b[0m\nnext\x00line\x07\x7f ‮evil\ttab';
+
+    assert.strictEqual(
+        new LineFormatter('%message%').formatRecord(record({ message })),
+        'ared ⏎ nextline evil\ttab'
+    );
+});
+
+test('LineFormatter truncates long values on a character boundary', () => {
+    const line = new LineFormatter('%message%').formatRecord(record({ message: 'xx' + '€'.repeat(4000) }));
+
+    // 10000 bytes would end in the middle of the 3333rd euro sign
+    assert.strictEqual(line, 'xx' + '€'.repeat(3332) + '...[truncated]');
+    assert.ok(!line.includes('\ufffd'));
+});
+
+test('JsonFormatter writes one JsonFormatter record per line', () => {
+    const error = new TypeError('bad input');
+    const line = new JsonFormatter().formatRecord(record({ context: { exception: error } }));
+    const data = JSON.parse(line);
+
+    assert.ok(line.endsWith('}\n'));
+    assert.deepStrictEqual(Object.keys(data), ['timestamp', 'level', 'level_name', 'channel', 'message', 'context', 'extra']);
+    assert.match(data.timestamp, /^2026-01-27T10:30:05\.123[+-]\d{2}:\d{2}$/);
+    assert.strictEqual(data.level_name, 'Error');
+    assert.strictEqual(data.context.exception.class, 'TypeError');
+    assert.strictEqual(data.context.exception.message, 'bad input');
+    assert.deepStrictEqual(data.extra, []);
+});
+
+// === Rotation Tests ===
+
+test('RotatingFileHandler uses the RotatingFileHandler file names', (t) => {
+    const dir = createLogsDir(t);
+    const date = new Date(2026, 0, 27, 14);
+    const filename = path.join(dir, 'payments.log');
+
+    assert.strictEqual(new RotatingFileHandler(filename).getTargetFilename(date), path.join(dir, 'payments-2026-01-27.log'));
+    assert.strictEqual(new RotatingFileHandler(filename, { rotationType: 'hourly' }).getTargetFilename(date), path.join(dir, 'payments-2026-01-27-14.log'));
+    assert.strictEqual(new RotatingFileHandler(filename, { rotationType: 'none' }).getTargetFilename(date), filename);
+});
+
+test('RotatingFileHandler keeps maxFiles old files plus the new one when the day changes', (t) => {
+    const dir = createLogsDir(t);
+    const handler = new RotatingFileHandler(path.join(dir, 'payments.log'), { maxFiles: 2 });
+
+    ['2026-01-20', '2026-01-21', '2026-01-22'].forEach((day, i) => {
+        const file = path.join(dir, `payments-${day}.log`);
+        fs.writeFileSync(file, 'old\n');
+        fs.utimesSync(file, 1000 + i, 1000 + i);
+    });
+    fs.writeFileSync(path.join(dir, 'other-2026-01-20.log'), 'other channel\n');
+    ['payments-eu-2026-01-19.log', 'payments-2026-01-19.log.gz', 'payments-backup.log'].forEach((name) => {
+        fs.writeFileSync(path.join(dir, name), 'not a file of payments.log\n');
+        fs.utimesSync(path.join(dir, name), 1, 1);
+    });
+
+    handler.handle(record({ datetime: new Date(2026, 0, 26, 23, 59) }));
+    handler.handle(record({ datetime: new Date(2026, 0, 27, 0, 1) }));
+
+    // Cleaned up before the new file is created, like the PHP handler
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), [
+        'other-2026-01-20.log',
+        'payments-2026-01-19.log.gz',
+        'payments-2026-01-22.log',
+        'payments-2026-01-26.log',
+        'payments-2026-01-27.log',
+        'payments-backup.log',
+        'payments-eu-2026-01-19.log',
+    ]);
+    assert.match(fs.readFileSync(path.join(dir, 'payments-2026-01-27.log'), 'utf8'), /^\[2026-01-27 00:01:00\] payments\.Error/);
+});
+
+// === Channel Tests ===
+
+test('channel() writes to <logsPath>/<channel>-<date>.log and caches the logger', (t) => {
+    const dir = createLogsDir(t);
+    Logger.configure({ logsPath: dir, formatter: 'json' });
+    t.after(() => Logger.configure({ formatter: 'line' }));
+
+    assert.strictEqual(Logger.channel('node_worker'), Logger.channel('node_worker'));
+    Logger.channel('node_worker').warning('Queue {name} is slow', { name: 'mail' });
+
+    const [file] = fs.readdirSync(dir);
+    assert.match(file, /^node_worker-\d{4}-\d{2}-\d{2}\.log$/);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')).message, 'Queue {name} is slow');
+});
+
+test('channel() rejects names that leave the log directory', (t) => {
+    const dir = createLogsDir(t);
+    Logger.configure({ logsPath: path.join(dir, 'logs') });
+
+    for (const name of ['../escaped', 'nested/channel', '/etc/passwd', 'null\0byte', '']) {
+        assert.throws(() => Logger.channel(name), /Invalid channel name/, JSON.stringify(name));
+    }
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+});